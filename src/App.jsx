@@ -1,13 +1,71 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import TokenInput from "./components/TokenInput";
 import OrgInput from "./components/OrgInput";
 import RepoSelector from "./components/RepoSelector";
 import Leaderboard from "./components/Leaderboard";
 import ProgressBar from "./components/ProgressBar";
-import { fetchRepos, fetchAllStats, clearCache } from "./utils/github";
+import AliasEditor from "./components/AliasEditor";
+import ExclusionEditor from "./components/ExclusionEditor";
+import LineFilterEditor from "./components/LineFilterEditor";
+import BranchScopeEditor from "./components/BranchScopeEditor";
+import TeamEditor from "./components/TeamEditor";
+import HostEditor from "./components/HostEditor";
+import ForgeEditor from "./components/ForgeEditor";
+import WorkspaceSwitcher from "./components/WorkspaceSwitcher";
+import {
+  fetchOrgTeams,
+  setHost,
+  clearCache,
+  getCacheUsage,
+} from "./utils/github";
+import {
+  fetchReposFromSources,
+  fetchAllStats,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_FORGE_SETTINGS,
+  resolveForgeHosts,
+  setForgeHosts,
+} from "./utils/forges";
+import {
+  getRateLimitState,
+  subscribeRateLimit,
+  pauseRequests,
+  resumeRequests,
+} from "./utils/scheduler";
+import { parseMailmap } from "./utils/identity";
+import { parseIgnoreList } from "./utils/exclusions";
+import { DEFAULT_LINE_EXCLUSIONS, parseGlobList } from "./utils/fileFilters";
+import { DEFAULT_BRANCH_SETTINGS, parseBranchList } from "./utils/branches";
+import { readUrlState, writeUrlState } from "./utils/permalink";
+import {
+  loadWorkspaces,
+  saveWorkspaces,
+  exportWorkspaces,
+  parseWorkspaceImport,
+  mergeWorkspaces,
+} from "./utils/workspaces";
+import { downloadFile } from "./utils/export";
+import { parseTeams, formatTeams, mergeTeams } from "./utils/teams";
+import { parseOwnerList } from "./utils/owners";
+import { DEFAULT_HOST_SETTINGS, resolveHost } from "./utils/hosts";
+import {
+  createHistoryConfig,
+  hashConfig,
+  saveSnapshot,
+} from "./utils/history";
 
 const TOKEN_STORAGE_KEY = "github_leaderboard_token";
+const ENTERPRISE_TOKENS_STORAGE_KEY = "github_leaderboard_enterprise_tokens";
+const ALIASES_STORAGE_KEY = "github_leaderboard_aliases";
+const EXCLUSIONS_STORAGE_KEY = "github_leaderboard_exclusions";
+const LINE_EXCLUSIONS_STORAGE_KEY = "github_leaderboard_line_exclusions";
+const TEAMS_STORAGE_KEY = "github_leaderboard_teams";
+const HOST_STORAGE_KEY = "github_leaderboard_host";
+const FORGES_STORAGE_KEY = "github_leaderboard_forges";
+const BRANCHES_STORAGE_KEY = "github_leaderboard_branches";
+const CO_AUTHOR_CREDIT_STORAGE_KEY = "github_leaderboard_coauthor_credit";
 const AUTO_REFRESH_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const CONCURRENCY_OPTIONS = [1, 2, 4, 6, 8, 12];
 
 const TIME_RANGES = [
   { value: "all", label: "All Time", days: null },
@@ -17,56 +75,468 @@ const TIME_RANGES = [
   { value: "90d", label: "Last 90 Days", days: 90 },
   { value: "180d", label: "Last 6 Months", days: 180 },
   { value: "365d", label: "Last Year", days: 365 },
+  { value: "custom", label: "Custom Range", days: null },
 ];
 
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+  }
+  return Math.round(bytes / 1024) + " KB";
+}
+
+// Repos named in a shared link, or every non-fork repo by default.
+// Links name repos by label; full names always match too.
+function selectRepos(repos, names) {
+  if (!names) return repos.filter((r) => !r.fork);
+  return repos.filter(
+    (r) => names.includes(r.label) || names.includes(r.full_name)
+  );
+}
+
+const DEFAULT_SORT = { key: "score", order: "desc" };
+
+// github.com keeps its token under the original key; Enterprise Servers each have their own
+const GITHUB_COM_KEY = resolveHost().key;
+
+function loadGithubTokens() {
+  let enterpriseTokens = {};
+  try {
+    enterpriseTokens =
+      JSON.parse(localStorage.getItem(ENTERPRISE_TOKENS_STORAGE_KEY)) || {};
+  } catch {
+    // No Enterprise Server tokens
+  }
+  return {
+    ...enterpriseTokens,
+    [GITHUB_COM_KEY]: localStorage.getItem(TOKEN_STORAGE_KEY) || "",
+  };
+}
+
+function validTimeRange(value) {
+  return TIME_RANGES.some((t) => t.value === value) ? value : "all";
+}
+
 function App() {
-  const [token, setToken] = useState(() => {
-    return localStorage.getItem(TOKEN_STORAGE_KEY) || "";
+  // Leaderboard inputs from a shared link, read once on load
+  const [urlState] = useState(readUrlState);
+
+  // .mailmap-style alias table, persisted like the token
+  const [aliasText, setAliasText] = useState(() => {
+    return localStorage.getItem(ALIASES_STORAGE_KEY) || "";
+  });
+
+  useEffect(() => {
+    if (aliasText) {
+      localStorage.setItem(ALIASES_STORAGE_KEY, aliasText);
+    } else {
+      localStorage.removeItem(ALIASES_STORAGE_KEY);
+    }
+  }, [aliasText]);
+
+  const aliases = useMemo(() => parseMailmap(aliasText), [aliasText]);
+
+  // How Co-authored-by trailers are credited: off, full or split
+  const [coAuthorCredit, setCoAuthorCredit] = useState(() => {
+    return localStorage.getItem(CO_AUTHOR_CREDIT_STORAGE_KEY) || "off";
+  });
+
+  useEffect(() => {
+    localStorage.setItem(CO_AUTHOR_CREDIT_STORAGE_KEY, coAuthorCredit);
+  }, [coAuthorCredit]);
+
+  // GitHub host (github.com or an Enterprise Server), persisted and saved with workspaces
+  const [hostSettings, setHostSettings] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(HOST_STORAGE_KEY));
+      if (saved) return { ...DEFAULT_HOST_SETTINGS, ...saved };
+    } catch {
+      // Fall through to github.com
+    }
+    return DEFAULT_HOST_SETTINGS;
   });
 
-  // Persist token to localStorage
+  const { host, hostError } = useMemo(() => {
+    try {
+      return { host: resolveHost(hostSettings), hostError: "" };
+    } catch (err) {
+      return { host: null, hostError: err.message };
+    }
+  }, [hostSettings]);
+
+  // Runs before the effect that loads a shared link, so that fetch uses this host
+  useEffect(() => {
+    if (host) setHost(hostSettings);
+    localStorage.setItem(HOST_STORAGE_KEY, JSON.stringify(hostSettings));
+  }, [host, hostSettings]);
+
+  // GitHub token per host, so switching servers never sends a token elsewhere
+  const [githubTokens, setGithubTokens] = useState(loadGithubTokens);
+  const token = (host && githubTokens[host.key]) || "";
+  const setToken = (value) => {
+    if (host) setGithubTokens((prev) => ({ ...prev, [host.key]: value }));
+  };
+
+  // Persist tokens to localStorage
   useEffect(() => {
-    if (token) {
-      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    const { [GITHUB_COM_KEY]: githubToken, ...enterpriseTokens } = githubTokens;
+    if (githubToken) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, githubToken);
     } else {
       localStorage.removeItem(TOKEN_STORAGE_KEY);
     }
-  }, [token]);
+    const saved = Object.fromEntries(
+      Object.entries(enterpriseTokens).filter(([, value]) => value)
+    );
+    if (Object.keys(saved).length > 0) {
+      localStorage.setItem(ENTERPRISE_TOKENS_STORAGE_KEY, JSON.stringify(saved));
+    } else {
+      localStorage.removeItem(ENTERPRISE_TOKENS_STORAGE_KEY);
+    }
+  }, [githubTokens]);
+
+  // GitLab and Gitea servers and tokens, persisted like the GitHub token
+  const [forgeSettings, setForgeSettings] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(FORGES_STORAGE_KEY));
+      if (saved) {
+        return {
+          gitlab: { ...DEFAULT_FORGE_SETTINGS.gitlab, ...saved.gitlab },
+          gitea: { ...DEFAULT_FORGE_SETTINGS.gitea, ...saved.gitea },
+        };
+      }
+    } catch {
+      // Fall through to the public instances
+    }
+    return DEFAULT_FORGE_SETTINGS;
+  });
+
+  const { forgeHosts, forgeError } = useMemo(() => {
+    try {
+      return { forgeHosts: resolveForgeHosts(forgeSettings), forgeError: "" };
+    } catch (err) {
+      return { forgeHosts: null, forgeError: err.message };
+    }
+  }, [forgeSettings]);
+
+  useEffect(() => {
+    if (forgeHosts) setForgeHosts(forgeSettings);
+    localStorage.setItem(FORGES_STORAGE_KEY, JSON.stringify(forgeSettings));
+  }, [forgeHosts, forgeSettings]);
+
+  // Access token per forge, as the fetchers take them
+  const tokens = useMemo(
+    () => ({
+      github: token,
+      gitlab: forgeSettings.gitlab.token,
+      gitea: forgeSettings.gitea.token,
+    }),
+    [token, forgeSettings]
+  );
+
+  // Team assignments for the Teams tab, one `Team: login, login` per line
+  const [teamText, setTeamText] = useState(() => {
+    return localStorage.getItem(TEAMS_STORAGE_KEY) || "";
+  });
+
+  useEffect(() => {
+    if (teamText) {
+      localStorage.setItem(TEAMS_STORAGE_KEY, teamText);
+    } else {
+      localStorage.removeItem(TEAMS_STORAGE_KEY);
+    }
+  }, [teamText]);
+
+  const teams = useMemo(() => parseTeams(teamText), [teamText]);
+
+  // Bot detection toggle and ignore list, persisted together
+  const [exclusionSettings, setExclusionSettings] = useState(() => {
+    try {
+      return {
+        excludeBots: true,
+        ignoreList: "",
+        ...JSON.parse(localStorage.getItem(EXCLUSIONS_STORAGE_KEY)),
+      };
+    } catch {
+      return { excludeBots: true, ignoreList: "" };
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem(
+      EXCLUSIONS_STORAGE_KEY,
+      JSON.stringify(exclusionSettings)
+    );
+  }, [exclusionSettings]);
+
+  const exclusions = useMemo(
+    () => ({
+      excludeBots: exclusionSettings.excludeBots,
+      ...parseIgnoreList(exclusionSettings.ignoreList),
+    }),
+    [exclusionSettings]
+  );
+
+  // Generated and vendored paths left out of line counts
+  const [lineFilterSettings, setLineFilterSettings] = useState(() => {
+    try {
+      return {
+        globs: DEFAULT_LINE_EXCLUSIONS,
+        useGitattributes: true,
+        ...JSON.parse(localStorage.getItem(LINE_EXCLUSIONS_STORAGE_KEY)),
+      };
+    } catch {
+      return { globs: DEFAULT_LINE_EXCLUSIONS, useGitattributes: true };
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem(
+      LINE_EXCLUSIONS_STORAGE_KEY,
+      JSON.stringify(lineFilterSettings)
+    );
+  }, [lineFilterSettings]);
+
+  const lineExclusions = useMemo(
+    () => ({
+      globs: parseGlobList(lineFilterSettings.globs),
+      useGitattributes: lineFilterSettings.useGitattributes,
+    }),
+    [lineFilterSettings]
+  );
+
+  // Branches commits are counted on
+  const [branchSettings, setBranchSettings] = useState(() => {
+    try {
+      return {
+        ...DEFAULT_BRANCH_SETTINGS,
+        ...JSON.parse(localStorage.getItem(BRANCHES_STORAGE_KEY)),
+      };
+    } catch {
+      return DEFAULT_BRANCH_SETTINGS;
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem(BRANCHES_STORAGE_KEY, JSON.stringify(branchSettings));
+  }, [branchSettings]);
+
+  const branchScope = useMemo(
+    () => ({
+      mode: branchSettings.mode,
+      branches: parseBranchList(branchSettings.branches),
+    }),
+    [branchSettings]
+  );
 
   const handleClearToken = () => {
+    cancelRun();
+    cancelRepoListing();
     setToken("");
     clearCache();
   };
 
-  const handleClearCache = () => {
-    clearCache();
+  const handleClearCache = async () => {
+    cancelRun();
+    cancelRepoListing();
+    await clearCache();
+    setCacheUsage(await getCacheUsage());
     setRepos([]);
     setSelectedRepos([]);
     setLeaderboard([]);
     setProgressLogs([]);
   };
 
-  const [org, setOrg] = useState("");
-  const [timeRange, setTimeRange] = useState("all");
+  const [org, setOrg] = useState(urlState.org);
+  const [timeRange, setTimeRange] = useState(() =>
+    validTimeRange(urlState.timeRange)
+  );
+  // Custom range bounds as YYYY-MM-DD strings from the date inputs
+  const [customStart, setCustomStart] = useState(urlState.customStart);
+  const [customEnd, setCustomEnd] = useState(urlState.customEnd);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
   const [repos, setRepos] = useState([]);
   const [selectedRepos, setSelectedRepos] = useState([]);
   const [leaderboard, setLeaderboard] = useState([]);
+  // Compare mode: the same-length period before the selected range
+  const [compareEnabled, setCompareEnabled] = useState(urlState.compare);
+  const [previousLeaderboard, setPreviousLeaderboard] = useState(null);
+  // Bumped whenever a snapshot is saved so the history view reloads
+  const [historyVersion, setHistoryVersion] = useState(0);
   const [loading, setLoading] = useState(false);
   const [loadingStats, setLoadingStats] = useState(false);
   const [progress, setProgress] = useState(0);
   const [progressLogs, setProgressLogs] = useState([]);
   const [error, setError] = useState("");
+  const [rateLimit, setRateLimit] = useState(getRateLimitState);
+  const [runCancelled, setRunCancelled] = useState(false);
+  const [cacheUsage, setCacheUsage] = useState(null);
+  // Leaderboard view state, kept here so it can be shared in the URL
+  const [sort, setSort] = useState(urlState.sort);
+  const [searchTerm, setSearchTerm] = useState(urlState.search);
+  // Repo names from a link, selected once that org's repos have loaded
+  const pendingRepoNamesRef = useRef(urlState.repos);
+
+  // Refresh the cache size readout whenever a run finishes
+  useEffect(() => {
+    if (loadingStats) return;
+    getCacheUsage().then(setCacheUsage);
+  }, [loadingStats]);
+
+  // Mirror the request scheduler's rate limit budget for display
+  useEffect(() => subscribeRateLimit(setRateLimit), []);
+
+  // AbortController of the in-flight leaderboard run, if any
+  const runControllerRef = useRef(null);
+
+  // Cancels the in-flight run so none of its late results reach the leaderboard
+  const cancelRun = () => {
+    if (!runControllerRef.current) return;
+    runControllerRef.current.abort();
+    runControllerRef.current = null;
+    resumeRequests();
+    setLoadingStats(false);
+    setRunCancelled(true);
+  };
+
+  // AbortController of the in-flight repo listing, if any
+  const repoListControllerRef = useRef(null);
+
+  // Drops the in-flight repo listing so an older owner's or host's repos can't land late
+  const cancelRepoListing = () => {
+    if (!repoListControllerRef.current) return;
+    repoListControllerRef.current.abort();
+    repoListControllerRef.current = null;
+    setLoading(false);
+  };
+
+  // Abort any in-flight run or listing on unmount
+  useEffect(
+    () => () => {
+      runControllerRef.current?.abort();
+      repoListControllerRef.current?.abort();
+    },
+    []
+  );
+
+  // Changing what is being measured supersedes the current run
+  // Repos and results belong to the previous host
+  const handleHostSettingsChange = (value) => {
+    cancelRun();
+    cancelRepoListing();
+    setHostSettings(value);
+    setRepos([]);
+    setSelectedRepos([]);
+    setLeaderboard([]);
+  };
 
-  const handleFetchRepos = async () => {
-    if (!token.trim()) {
+  // A different server invalidates the fetched repos; a different token doesn't
+  const handleForgeSettingsChange = (value) => {
+    const serverChanged = Object.keys(value).some(
+      (forge) => value[forge].baseUrl !== forgeSettings[forge].baseUrl
+    );
+    setForgeSettings(value);
+    if (serverChanged) {
+      cancelRun();
+      cancelRepoListing();
+      setRepos([]);
+      setSelectedRepos([]);
+      setLeaderboard([]);
+    }
+  };
+
+  const handleOrgChange = (value) => {
+    cancelRun();
+    cancelRepoListing();
+    setOrg(value);
+    // A selection from a link belongs to the org it was made for
+    pendingRepoNamesRef.current = null;
+  };
+
+  const handleTimeRangeChange = (value) => {
+    cancelRun();
+    setTimeRange(value);
+  };
+
+  const handleCustomStartChange = (value) => {
+    cancelRun();
+    setCustomStart(value);
+  };
+
+  const handleCustomEndChange = (value) => {
+    cancelRun();
+    setCustomEnd(value);
+  };
+
+  const handleCompareChange = (value) => {
+    cancelRun();
+    setCompareEnabled(value);
+    setPreviousLeaderboard(null);
+  };
+
+  const handleSelectedReposChange = (value) => {
+    cancelRun();
+    setSelectedRepos(value);
+  };
+
+  // These shape the numbers and the snapshot's config hash as well
+  const handleAliasTextChange = (value) => {
+    cancelRun();
+    setAliasText(value);
+  };
+
+  const handleCoAuthorCreditChange = (value) => {
+    cancelRun();
+    setCoAuthorCredit(value);
+  };
+
+  const handleExclusionSettingsChange = (value) => {
+    cancelRun();
+    setExclusionSettings(value);
+  };
+
+  const handleLineFilterSettingsChange = (value) => {
+    cancelRun();
+    setLineFilterSettings(value);
+  };
+
+  const handleBranchSettingsChange = (value) => {
+    cancelRun();
+    setBranchSettings(value);
+  };
+
+  const handleConcurrencyChange = (value) => {
+    cancelRun();
+    setConcurrency(value);
+  };
+
+  const handleFetchRepos = async ({
+    orgName = org,
+    repoNames = pendingRepoNamesRef.current,
+    autoRun = false,
+    // The token of the host being switched to, before this render has it
+    githubToken = token,
+  } = {}) => {
+    if (!orgName.trim()) {
+      setError("Please enter an organization, user or owner/repo");
+      return;
+    }
+    // GitLab and Gitea entries can be read without a GitHub token
+    const { owners, repos: repoEntries } = parseOwnerList(orgName);
+    if (!githubToken.trim() && owners.length + repoEntries.length > 0) {
       setError("Please enter a GitHub Personal Access Token");
       return;
     }
-    if (!org.trim()) {
-      setError("Please enter an organization name");
+    if (hostError || forgeError) {
+      setError(hostError || forgeError);
       return;
     }
 
+    cancelRun();
+    // Only the latest listing may set the repos
+    cancelRepoListing();
+    const controller = new AbortController();
+    repoListControllerRef.current = controller;
     setLoading(true);
     setError("");
     setRepos([]);
@@ -74,45 +544,125 @@ function App() {
     setLeaderboard([]);
 
     try {
-      const fetchedRepos = await fetchRepos(token, org);
+      const fetchedRepos = await fetchReposFromSources(
+        { ...tokens, github: githubToken },
+        orgName,
+        controller.signal
+      );
+      if (controller.signal.aborted) return;
       setRepos(fetchedRepos);
-      // Auto-select non-fork repos by default
-      const nonForks = fetchedRepos.filter((r) => !r.fork);
-      setSelectedRepos(nonForks);
+      const selection = selectRepos(fetchedRepos, repoNames);
+      setSelectedRepos(selection);
+      pendingRepoNamesRef.current = null;
+      if (autoRun && selection.length > 0) {
+        handleGenerateLeaderboard(false, false, selection);
+      }
     } catch (err) {
-      setError(err.message);
+      if (!controller.signal.aborted) {
+        setError(err.message);
+      }
     } finally {
-      setLoading(false);
+      // A newer listing owns the loading state from here on
+      if (repoListControllerRef.current === controller) {
+        repoListControllerRef.current = null;
+        setLoading(false);
+      }
     }
   };
 
+  // A previous period only exists when the range has a start
+  const rangeHasStart =
+    timeRange === "custom" ? Boolean(customStart) : timeRange !== "all";
+  const canCompare = compareEnabled && rangeHasStart;
+
+  // Snapshots are grouped by everything that shapes the numbers
+  const buildHistoryConfig = useCallback(
+    (repoNames) =>
+      createHistoryConfig({
+        org,
+        repos: repoNames,
+        timeRange,
+        customStart,
+        customEnd,
+        aliases: aliasText,
+        exclusions: exclusionSettings,
+        lineExclusions: lineFilterSettings,
+        host: host?.enterprise ? host.key : null,
+        branches: branchScope.mode === "default" ? null : branchScope,
+        coAuthorCredit: coAuthorCredit === "off" ? null : coAuthorCredit,
+      }),
+    [org, timeRange, customStart, customEnd, aliasText, exclusionSettings, lineFilterSettings, host, branchScope, coAuthorCredit]
+  );
+  const historyHash = useMemo(
+    () =>
+      selectedRepos.length > 0
+        ? hashConfig(buildHistoryConfig(selectedRepos.map((repo) => repo.label)))
+        : null,
+    [buildHistoryConfig, selectedRepos]
+  );
+
   const handleGenerateLeaderboard = useCallback(
-    async (isAutoRefresh = false) => {
-      if (selectedRepos.length === 0) {
+    async (isAutoRefresh = false, incremental = false, repoList = selectedRepos) => {
+      if (repoList.length === 0) {
         if (!isAutoRefresh) {
           setError("Please select at least one repository");
         }
         return;
       }
 
+      // Either a rolling number of days or explicit { since, until } bounds
+      let dateFilter = TIME_RANGES.find((t) => t.value === timeRange)?.days;
+      if (timeRange === "custom") {
+        if (!customStart && !customEnd) {
+          setError("Please choose a start and/or end date");
+          return;
+        }
+        if (customStart && customEnd && customStart > customEnd) {
+          setError("The start date must be before the end date");
+          return;
+        }
+        // Whole local days, from midnight at the start to the end of the last day
+        dateFilter = {
+          since: customStart
+            ? new Date(`${customStart}T00:00:00`).toISOString()
+            : null,
+          until: customEnd
+            ? new Date(`${customEnd}T23:59:59.999`).toISOString()
+            : null,
+        };
+      }
+
+      // Supersede any run that is still in flight
+      runControllerRef.current?.abort();
+      resumeRequests();
+      const controller = new AbortController();
+      runControllerRef.current = controller;
+      const { signal } = controller;
+
       setLoadingStats(true);
+      setRunCancelled(false);
       setError("");
       setProgress(0);
       setProgressLogs([]); // Always clear logs on refresh to start fresh
       // Don't clear the leaderboard - let it update progressively
 
       try {
-        const selectedTimeRange = TIME_RANGES.find(
-          (t) => t.value === timeRange
-        );
-
         // Progressive update callback - updates leaderboard as each repo is processed
-        const handleDataUpdate = (aggregatedData) => {
+        // Results from a cancelled or superseded run are dropped
+        const handleDataUpdate = (aggregatedData, completed, total, previousData) => {
+          if (signal.aborted) return;
           setLeaderboard(aggregatedData);
+          setPreviousLeaderboard(previousData);
+        };
+
+        const handleProgress = (value) => {
+          if (signal.aborted) return;
+          setProgress(value);
         };
 
         // Log callback for progress tracking
         const handleLog = (logEntry) => {
+          if (signal.aborted) return;
           setProgressLogs((prev) => {
             // If this is a 'complete' or 'error' log, replace the 'start' log for same repo
             if (logEntry.type === "complete" || logEntry.type === "error") {
@@ -125,22 +675,51 @@ function App() {
           });
         };
 
-        await fetchAllStats(
-          token,
-          org,
-          selectedRepos,
-          setProgress,
-          selectedTimeRange?.days,
+        const finalData = await fetchAllStats(
+          tokens,
+          repoList,
+          handleProgress,
+          dateFilter,
           handleDataUpdate,
-          handleLog
+          handleLog,
+          { concurrency, signal, incremental, compare: canCompare, aliases, exclusions, lineExclusions, branchScope, coAuthorCredit }
+        );
+
+        // Keep the finished leaderboard for the history view
+        const saved = await saveSnapshot(
+          finalData,
+          buildHistoryConfig(repoList.map((repo) => repo.label))
         );
+        if (saved && !signal.aborted) {
+          setHistoryVersion((v) => v + 1);
+        }
       } catch (err) {
-        setError(err.message);
+        if (!signal.aborted) {
+          setError(err.message);
+        }
       } finally {
-        setLoadingStats(false);
+        // A superseding run owns the loading state from here on
+        if (runControllerRef.current === controller) {
+          runControllerRef.current = null;
+          setLoadingStats(false);
+        }
       }
     },
-    [selectedRepos, token, org, timeRange]
+    [
+      selectedRepos,
+      tokens,
+      timeRange,
+      customStart,
+      customEnd,
+      concurrency,
+      canCompare,
+      buildHistoryConfig,
+      aliases,
+      exclusions,
+      lineExclusions,
+      branchScope,
+      coAuthorCredit,
+    ]
   );
 
   // Auto-refresh every 10 minutes when leaderboard is shown
@@ -152,9 +731,8 @@ function App() {
     // Only auto-refresh if we have data and auto-refresh is enabled
     if (leaderboard.length > 0 && autoRefreshEnabled && !loadingStats) {
       autoRefreshRef.current = setInterval(() => {
-        // Clear cache before auto-refresh to get fresh data
-        clearCache();
-        handleGenerateLeaderboard(true);
+        // Only fetch what changed since the last run and merge it into the cached data
+        handleGenerateLeaderboard(true, true);
         setLastRefresh(new Date());
       }, AUTO_REFRESH_INTERVAL);
     }
@@ -171,11 +749,228 @@ function App() {
     handleGenerateLeaderboard,
   ]);
 
+  // Opening a shared link fetches the org's repos and rebuilds its leaderboard
+  // Only on load; later changes go through the inputs
+  const linkLoadedRef = useRef(false);
+  useEffect(() => {
+    if (linkLoadedRef.current) return;
+    linkLoadedRef.current = true;
+    if (urlState.org && token) {
+      handleFetchRepos({
+        orgName: urlState.org,
+        repoNames: urlState.repos,
+        autoRun: true,
+      });
+    }
+  });
+
+  // Mirror the view into the URL so it can be shared (never the token)
+  const urlSyncedRef = useRef(false);
+  useEffect(() => {
+    const nonForks = repos.filter((r) => !r.fork);
+    const isDefaultSelection =
+      selectedRepos.length === nonForks.length &&
+      nonForks.every((r) => selectedRepos.includes(r));
+    writeUrlState(
+      {
+        org,
+        repos:
+          repos.length === 0
+            ? pendingRepoNamesRef.current
+            : isDefaultSelection
+            ? null
+            : selectedRepos.map((r) => r.label),
+        timeRange,
+        customStart,
+        customEnd,
+        compare: compareEnabled,
+        sort,
+        search: searchTerm,
+      },
+      !urlSyncedRef.current
+    );
+    urlSyncedRef.current = true;
+  }, [
+    org,
+    repos,
+    selectedRepos,
+    timeRange,
+    customStart,
+    customEnd,
+    compareEnabled,
+    sort,
+    searchTerm,
+  ]);
+
+  // Puts the inputs into a linked or saved state; a different org reloads its repos
+  // reload refetches repos even for the same org, e.g. after switching hosts
+  const applyView = (view, reload = false, githubToken = token) => {
+    cancelRun();
+    setTimeRange(validTimeRange(view.timeRange));
+    setCustomStart(view.customStart || "");
+    setCustomEnd(view.customEnd || "");
+    setCompareEnabled(Boolean(view.compare));
+    setSort(view.sort || DEFAULT_SORT);
+    setSearchTerm(view.search || "");
+    if (view.org === org && repos.length > 0 && !reload) {
+      setSelectedRepos(selectRepos(repos, view.repos));
+      return;
+    }
+    setOrg(view.org);
+    setRepos([]);
+    setSelectedRepos([]);
+    setLeaderboard([]);
+    pendingRepoNamesRef.current = view.repos;
+    if (view.org && githubToken) {
+      handleFetchRepos({
+        orgName: view.org,
+        repoNames: view.repos,
+        githubToken,
+      });
+    }
+  };
+
+  // Back/forward restore the view from the URL
+  useEffect(() => {
+    const handlePopState = () => applyView(readUrlState());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  });
+
+  // Named workspaces: saved org, repo set, range, exclusions and sort
+  const [workspaces, setWorkspaces] = useState(loadWorkspaces);
+  const [activeWorkspace, setActiveWorkspace] = useState(null);
+
+  useEffect(() => saveWorkspaces(workspaces), [workspaces]);
+
+  const handleSelectWorkspace = (name) => {
+    const workspace = workspaces.find((w) => w.name === name);
+    // Workspaces saved before hosts were configurable keep the current host
+    const hostChanged =
+      workspace?.host &&
+      JSON.stringify(workspace.host) !== JSON.stringify(hostSettings);
+    let workspaceHost = host;
+    if (hostChanged) {
+      // Workspaces can come from shared files, so another server is never used unasked
+      try {
+        workspaceHost = resolveHost({ ...DEFAULT_HOST_SETTINGS, ...workspace.host });
+      } catch (err) {
+        setError(err.message);
+        return;
+      }
+      const server = workspaceHost.enterprise ? workspaceHost.webBase : "github.com";
+      if (!window.confirm(`Workspace "${name}" reads from ${server}. Switch GitHub server?`)) {
+        return;
+      }
+    }
+    setActiveWorkspace(workspace ? name : null);
+    if (!workspace) return;
+    if (workspace.exclusions) {
+      setExclusionSettings(workspace.exclusions);
+    }
+    if (workspace.lineExclusions) {
+      setLineFilterSettings(workspace.lineExclusions);
+    }
+    if (workspace.branches) {
+      setBranchSettings(workspace.branches);
+    }
+    if (workspace.coAuthorCredit) {
+      setCoAuthorCredit(workspace.coAuthorCredit);
+    }
+    if (hostChanged) {
+      setHostSettings({ ...DEFAULT_HOST_SETTINGS, ...workspace.host });
+      // applyView fetches right away, before the host effect runs
+      setHost(workspace.host);
+    }
+    applyView(
+      workspace,
+      hostChanged,
+      hostChanged ? githubTokens[workspaceHost.key] || "" : token
+    );
+  };
+
+  const handleSaveWorkspace = (name) => {
+    const workspace = {
+      name,
+      org,
+      // Until the org's repos load, keep the selection that is waiting for them
+      repos:
+        repos.length > 0
+          ? selectedRepos.map((r) => r.label)
+          : pendingRepoNamesRef.current,
+      timeRange,
+      customStart,
+      customEnd,
+      compare: compareEnabled,
+      exclusions: exclusionSettings,
+      lineExclusions: lineFilterSettings,
+      branches: branchSettings,
+      coAuthorCredit,
+      sort,
+      host: hostSettings,
+    };
+    setWorkspaces((prev) => mergeWorkspaces(prev, [workspace]));
+    setActiveWorkspace(name);
+  };
+
+  const handleDeleteWorkspace = (name) => {
+    setWorkspaces((prev) => prev.filter((w) => w.name !== name));
+    setActiveWorkspace(null);
+  };
+
+  const handleImportWorkspaces = (text) => {
+    try {
+      const imported = parseWorkspaceImport(text);
+      setWorkspaces((prev) => mergeWorkspaces(prev, imported));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Replaces same-named teams with the GitHub teams of every listed org.
+  // Users have no teams, so their lookups only fail the import when nothing was found.
+  const handleImportTeams = async () => {
+    const imported = [];
+    let firstError = null;
+    for (const owner of parseOwnerList(org).owners) {
+      try {
+        imported.push(...(await fetchOrgTeams(token, owner)));
+      } catch (err) {
+        firstError ??= err;
+      }
+    }
+    if (imported.length === 0 && firstError) throw firstError;
+    setTeamText((prev) =>
+      formatTeams(
+        mergeTeams(
+          parseTeams(prev),
+          imported.map(({ name, members }) => ({ name, members }))
+        )
+      )
+    );
+  };
+
+  const handleExportWorkspaces = () => {
+    downloadFile(
+      exportWorkspaces(workspaces),
+      "leaderboard-workspaces.json",
+      "application/json"
+    );
+  };
+
+  // The URL already holds the view, minus the token
+  const [linkCopied, setLinkCopied] = useState(false);
+  const handleCopyLink = async () => {
+    await navigator.clipboard.writeText(window.location.href);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
   // Track when manual refresh happens
   const handleManualRefresh = () => {
-    clearCache();
     setLastRefresh(new Date());
-    handleGenerateLeaderboard(false);
+    handleGenerateLeaderboard(false, true);
   };
 
   // Wrapper for generate that also tracks refresh time
@@ -195,9 +990,20 @@ function App() {
             </svg>
             Git Leaderboard
           </h1>
-          <p className="text-gray-600 mt-1">
-            Track contributions across your GitHub organization
-          </p>
+          <div className="flex flex-wrap items-center justify-between gap-4 mt-1">
+            <p className="text-gray-600">
+              Track contributions across your GitHub organization
+            </p>
+            <WorkspaceSwitcher
+              workspaces={workspaces}
+              active={activeWorkspace}
+              onSelect={handleSelectWorkspace}
+              onSave={handleSaveWorkspace}
+              onDelete={handleDeleteWorkspace}
+              onImport={handleImportWorkspaces}
+              onExport={handleExportWorkspaces}
+            />
+          </div>
         </div>
       </header>
 
@@ -211,11 +1017,12 @@ function App() {
             value={token}
             onChange={setToken}
             onClear={handleClearToken}
+            webBase={host?.webBase}
           />
 
           <OrgInput
             value={org}
-            onChange={setOrg}
+            onChange={handleOrgChange}
             onSubmit={handleFetchRepos}
             loading={loading}
           />
@@ -232,7 +1039,7 @@ function App() {
               <select
                 id="timeRange"
                 value={timeRange}
-                onChange={(e) => setTimeRange(e.target.value)}
+                onChange={(e) => handleTimeRangeChange(e.target.value)}
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all bg-white"
               >
                 {TIME_RANGES.map((range) => (
@@ -245,6 +1052,81 @@ function App() {
                 Filter contributions by time period
               </p>
             </div>
+            {timeRange === "custom" && (
+              <>
+                <div>
+                  <label
+                    htmlFor="customStart"
+                    className="block text-sm font-medium text-gray-700 mb-1"
+                  >
+                    From
+                  </label>
+                  <input
+                    type="date"
+                    id="customStart"
+                    value={customStart}
+                    max={customEnd || undefined}
+                    onChange={(e) => handleCustomStartChange(e.target.value)}
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all bg-white"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Empty for all history
+                  </p>
+                </div>
+                <div>
+                  <label
+                    htmlFor="customEnd"
+                    className="block text-sm font-medium text-gray-700 mb-1"
+                  >
+                    To
+                  </label>
+                  <input
+                    type="date"
+                    id="customEnd"
+                    value={customEnd}
+                    min={customStart || undefined}
+                    onChange={(e) => handleCustomEndChange(e.target.value)}
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all bg-white"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Empty for today</p>
+                </div>
+              </>
+            )}
+            <div className="pb-2.5">
+              <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={canCompare}
+                  disabled={!rangeHasStart}
+                  onChange={(e) => handleCompareChange(e.target.checked)}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
+                />
+                Compare with previous period
+              </label>
+            </div>
+            <div className="w-40">
+              <label
+                htmlFor="concurrency"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Parallel Repos
+              </label>
+              <select
+                id="concurrency"
+                value={concurrency}
+                onChange={(e) => handleConcurrencyChange(Number(e.target.value))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all bg-white"
+              >
+                {CONCURRENCY_OPTIONS.map((n) => (
+                  <option key={n} value={n}>
+                    {n}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Repos fetched at once
+              </p>
+            </div>
             <button
               type="button"
               onClick={handleClearCache}
@@ -265,7 +1147,68 @@ function App() {
               </svg>
               Clear Cache
             </button>
+            {cacheUsage && cacheUsage.entries > 0 && (
+              <span className="text-xs text-gray-500 pb-2.5">
+                {formatBytes(cacheUsage.bytes)} cached ({cacheUsage.entries}{" "}
+                entries)
+              </span>
+            )}
           </div>
+
+          <HostEditor
+            settings={hostSettings}
+            onChange={handleHostSettingsChange}
+            host={host}
+            error={hostError}
+          />
+
+          <ForgeEditor
+            settings={forgeSettings}
+            onChange={handleForgeSettingsChange}
+            hosts={forgeHosts}
+            error={forgeError}
+          />
+
+          <AliasEditor
+            value={aliasText}
+            onChange={handleAliasTextChange}
+            coAuthorCredit={coAuthorCredit}
+            onCoAuthorCreditChange={handleCoAuthorCreditChange}
+          />
+
+          <TeamEditor
+            value={teamText}
+            onChange={setTeamText}
+            onImport={handleImportTeams}
+            canImport={Boolean(token && org)}
+          />
+
+          <ExclusionEditor
+            excludeBots={exclusionSettings.excludeBots}
+            onExcludeBotsChange={(excludeBots) =>
+              handleExclusionSettingsChange((prev) => ({ ...prev, excludeBots }))
+            }
+            ignoreList={exclusionSettings.ignoreList}
+            onIgnoreListChange={(ignoreList) =>
+              handleExclusionSettingsChange((prev) => ({ ...prev, ignoreList }))
+            }
+          />
+
+          <LineFilterEditor
+            globs={lineFilterSettings.globs}
+            onGlobsChange={(globs) =>
+              handleLineFilterSettingsChange((prev) => ({ ...prev, globs }))
+            }
+            useGitattributes={lineFilterSettings.useGitattributes}
+            onUseGitattributesChange={(useGitattributes) =>
+              handleLineFilterSettingsChange((prev) => ({ ...prev, useGitattributes }))
+            }
+          />
+
+          <BranchScopeEditor
+            settings={branchSettings}
+            onChange={handleBranchSettingsChange}
+          />
         </section>
 
         {/* Error display */}
@@ -295,7 +1238,7 @@ function App() {
             <RepoSelector
               repos={repos}
               selected={selectedRepos}
-              onChange={setSelectedRepos}
+              onChange={handleSelectedReposChange}
               onSubmit={handleGenerateClick}
               loading={loadingStats}
             />
@@ -309,13 +1252,21 @@ function App() {
               progress={progress}
               message={
                 loadingStats
-                  ? `Fetching stats from ${selectedRepos.length} repositories...`
-                  : `Completed loading ${
+                  ? rateLimit.userPaused
+                    ? "Paused"
+                    : `Fetching stats from ${selectedRepos.length} repositories...`
+                  : `${runCancelled ? "Cancelled after" : "Completed"} loading ${
                       progressLogs.filter((l) => l.type === "complete").length
                     } repositories`
               }
               logs={progressLogs}
               isComplete={!loadingStats}
+              isCancelled={runCancelled}
+              isPaused={rateLimit.userPaused}
+              onPause={pauseRequests}
+              onResume={resumeRequests}
+              onCancel={cancelRun}
+              rateLimit={rateLimit}
             />
           </section>
         )}
@@ -399,6 +1350,14 @@ function App() {
                   </svg>
                   {loadingStats ? "Refreshing..." : "Refresh"}
                 </button>
+                <button
+                  type="button"
+                  onClick={handleCopyLink}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                  title="Copy a link to this leaderboard (your token is not included)"
+                >
+                  {linkCopied ? "✓ Link copied" : "Copy Link"}
+                </button>
                 <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
                   <input
                     type="checkbox"
@@ -436,7 +1395,22 @@ function App() {
                 Updating leaderboard as data arrives...
               </div>
             )}
-            <Leaderboard data={leaderboard} timeRange={timeRange} />
+            <Leaderboard
+              data={leaderboard}
+              timeRange={timeRange}
+              customRange={{ start: customStart, end: customEnd }}
+              previousData={canCompare ? previousLeaderboard : null}
+              org={org}
+              repos={selectedRepos.map((repo) => repo.label)}
+              sort={sort}
+              onSortChange={setSort}
+              searchTerm={searchTerm}
+              onSearchChange={setSearchTerm}
+              historyHash={historyHash}
+              historyVersion={historyVersion}
+              teams={teams}
+              webBase={host?.webBase}
+            />
           </section>
         )}
       </main>
@@ -447,8 +1421,8 @@ function App() {
           <p>
             GitHub API rate limit: 5,000 requests/hour with authentication.
             <br />
-            Your token is only used locally and never sent to any server other
-            than GitHub.
+            Your tokens are only used locally and never sent to any server other
+            than the forge they belong to.
           </p>
         </div>
       </footer>
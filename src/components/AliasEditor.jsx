@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { parseMailmap } from "../utils/identity";
+import { CO_AUTHOR_CREDIT } from "../utils/coauthors";
+
+const PLACEHOLDER = `# .mailmap syntax, one alias per line
+alice <alice@old-company.com>
+alice <alice@example.com> Alice S <alice@laptop.local>
+alice <@alice-work>`;
+
+export default function AliasEditor({
+  value,
+  onChange,
+  coAuthorCredit,
+  onCoAuthorCreditChange,
+}) {
+  const [open, setOpen] = useState(false);
+  const entryCount = parseMailmap(value).length;
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    onChange(await file.text());
+    // Allow uploading the same file again after editing
+    e.target.value = "";
+  };
+
+  return (
+    <div className="pt-4 border-t border-gray-200">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1"
+      >
+        <span className="text-gray-400">{open ? "▼" : "▶"}</span>
+        Identity Aliases
+        {entryCount > 0 && (
+          <span className="ml-1 text-xs font-normal text-gray-500">
+            ({entryCount} {entryCount === 1 ? "alias" : "aliases"})
+          </span>
+        )}
+        {coAuthorCredit !== "off" && (
+          <span className="ml-1 text-xs font-normal text-gray-500">
+            (co-authors credited)
+          </span>
+        )}
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder={PLACEHOLDER}
+            rows={6}
+            spellCheck={false}
+            className="w-full px-4 py-2 font-mono text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all"
+          />
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-xs text-gray-500">
+              Merges people who commit under several emails or accounts into
+              one row. Use the GitHub login as the proper name to combine
+              commits with PRs and reviews, and{" "}
+              <code className="bg-gray-100 px-1 rounded">&lt;@login&gt;</code>{" "}
+              to fold in another account. Applies on the next run.
+            </p>
+            <label className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors cursor-pointer">
+              Upload .mailmap
+              <input type="file" onChange={handleUpload} className="hidden" />
+            </label>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 pt-2">
+            <label
+              htmlFor="coAuthorCredit"
+              className="text-sm font-medium text-gray-700"
+            >
+              Co-authored-by credit
+            </label>
+            <select
+              id="coAuthorCredit"
+              value={coAuthorCredit}
+              onChange={(e) => onCoAuthorCreditChange(e.target.value)}
+              className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none bg-white"
+            >
+              {CO_AUTHOR_CREDIT.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 basis-full">
+              Co-authors named in commit trailers share the commit and the
+              lines of the pull request it landed. They are matched by GitHub
+              noreply address, by an account linked to the same email, or by
+              the aliases above.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
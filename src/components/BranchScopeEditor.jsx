@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { BRANCH_SCOPES, parseBranchList } from "../utils/branches";
+
+export default function BranchScopeEditor({ settings, onChange }) {
+  const [open, setOpen] = useState(false);
+  const branchCount = parseBranchList(settings.branches).length;
+  const summary =
+    settings.mode === "list"
+      ? `${branchCount} ${branchCount === 1 ? "branch" : "branches"}`
+      : BRANCH_SCOPES.find((scope) => scope.value === settings.mode)?.label;
+
+  return (
+    <div className="pt-4 border-t border-gray-200">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1"
+      >
+        <span className="text-gray-400">{open ? "▼" : "▶"}</span>
+        Branches
+        <span className="ml-1 text-xs font-normal text-gray-500">
+          ({summary})
+        </span>
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          <div className="flex flex-wrap gap-4">
+            {BRANCH_SCOPES.map((scope) => (
+              <label
+                key={scope.value}
+                className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer"
+              >
+                <input
+                  type="radio"
+                  name="branchScope"
+                  value={scope.value}
+                  checked={settings.mode === scope.value}
+                  onChange={() => onChange({ ...settings, mode: scope.value })}
+                  className="border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                {scope.label}
+              </label>
+            ))}
+          </div>
+          {settings.mode === "list" && (
+            <input
+              type="text"
+              value={settings.branches}
+              onChange={(e) =>
+                onChange({ ...settings, branches: e.target.value })
+              }
+              placeholder="e.g., main, release/*"
+              spellCheck={false}
+              className="w-full px-4 py-2 font-mono text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all"
+            />
+          )}
+          <p className="text-xs text-gray-500">
+            Commits are counted once however many branches they are on; hover a
+            commit in a contributor&apos;s details to see its branches. Other
+            branches cost one extra request per branch and repo. Applies on the
+            next run.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
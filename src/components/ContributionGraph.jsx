@@ -10,20 +10,31 @@ export default function ContributionGraph({ weeklyData, height = 60 }) {
       return { bars: [], maxValue: 0, labels: [] };
     }
 
-    // Calculate total contributions per week
-    const totals = weeklyData.map((week) => ({
-      week: week.week,
-      total: week.commits + week.pullRequests + week.reviews,
-      commits: week.commits,
-      pullRequests: week.pullRequests,
-      reviews: week.reviews,
-      additions: week.additions,
-      deletions: week.deletions,
-    }));
+    // Calculate total contributions per week; issue triage counts alongside code
+    const totals = weeklyData.map((week) => {
+      const issues =
+        (week.issuesOpened || 0) +
+        (week.issuesClosed || 0) +
+        (week.issueComments || 0);
+      return {
+        week: week.week,
+        total: week.commits + week.pullRequests + week.reviews + issues,
+        commits: week.commits,
+        pullRequests: week.pullRequests,
+        reviews: week.reviews,
+        issues,
+        additions: week.additions,
+        deletions: week.deletions,
+      };
+    });
 
     const maxValue = Math.max(...totals.map((t) => t.total), 1);
 
     // Generate month labels (limit to avoid overcrowding)
+    // Include the year when the window doesn't sit within a single year
+    const spansYears =
+      new Date(totals[0].week * 1000).getFullYear() !==
+      new Date(totals[totals.length - 1].week * 1000).getFullYear();
     const labels = [];
     let lastMonth = -1;
     const labelInterval = Math.max(1, Math.floor(totals.length / 12)); // Max ~12 labels
@@ -33,7 +44,10 @@ export default function ContributionGraph({ weeklyData, height = 60 }) {
       if (month !== lastMonth && index > 0 && index % labelInterval === 0) {
         labels.push({
           index,
-          label: date.toLocaleDateString("en-US", { month: "short" }),
+          label: date.toLocaleDateString(
+            "en-US",
+            spansYears ? { month: "short", year: "2-digit" } : { month: "short" }
+          ),
         });
         lastMonth = month;
       } else if (index === 0) {
@@ -105,6 +119,9 @@ export default function ContributionGraph({ weeklyData, height = 60 }) {
                     {data.reviews > 0 && (
                       <span className="ml-1">{data.reviews} reviews</span>
                     )}
+                    {data.issues > 0 && (
+                      <span className="ml-1">{data.issues} issue actions</span>
+                    )}
                     {data.total === 0 && <span>No activity</span>}
                   </div>
                   {(data.additions > 0 || data.deletions > 0) && (
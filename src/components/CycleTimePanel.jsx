@@ -0,0 +1,219 @@
+import { useMemo } from "react";
+import { buildCycleTimeReport } from "../utils/cycleTime";
+import { formatDuration } from "../utils/format";
+
+const SUMMARIES = [
+  {
+    key: "toFirstReview",
+    label: "Time to first review",
+    description: "From opening a PR to its first review by someone else",
+    color: "bg-blue-500",
+  },
+  {
+    key: "toMerge",
+    label: "Time to merge",
+    description: "From opening a PR to merging it",
+    color: "bg-purple-500",
+  },
+  {
+    key: "reviewTurnaround",
+    label: "Review turnaround",
+    description: "From a PR opening to each reviewer's first response",
+    color: "bg-green-500",
+  },
+];
+
+/**
+ * Horizontal bars of how many durations fall in each range
+ */
+function Distribution({ buckets, color }) {
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.count));
+  return (
+    <div className="space-y-1">
+      {buckets.map((bucket) => (
+        <div key={bucket.label} className="flex items-center gap-2 text-xs">
+          <span className="w-12 text-gray-500">{bucket.label}</span>
+          <div className="flex-1 h-2 bg-gray-100 rounded-full">
+            <div
+              className={`h-2 rounded-full ${color}`}
+              style={{ width: `${(bucket.count / max) * 100}%` }}
+            />
+          </div>
+          <span className="w-8 text-right text-gray-600">{bucket.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function MedianCell({ summary }) {
+  return (
+    <td className="px-3 py-2 text-right text-gray-700">
+      {formatDuration(summary.median)}
+      <span className="ml-1 text-xs text-gray-400">
+        / {formatDuration(summary.p90)}
+      </span>
+    </td>
+  );
+}
+
+function UserCell({ user, avatarUrl }) {
+  return (
+    <td className="px-3 py-2">
+      <div className="flex items-center gap-2">
+        {avatarUrl && (
+          <img src={avatarUrl} alt={user} className="w-5 h-5 rounded-full" />
+        )}
+        <span className="text-gray-800">{user}</span>
+      </div>
+    </td>
+  );
+}
+
+export default function CycleTimePanel({ data }) {
+  const report = useMemo(() => buildCycleTimeReport(data), [data]);
+
+  if (report.authors.length === 0 && report.reviewers.length === 0) {
+    return (
+      <div className="p-4 text-sm text-gray-500 bg-gray-50 border border-gray-200 rounded-lg">
+        No pull requests in this time range.
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 space-y-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <p className="text-sm text-gray-600">
+        Median and p90 of pull requests in the time range. Self reviews, bots
+        and ignored accounts don&apos;t count as a first review.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {SUMMARIES.map(({ key, label, description, color }) => {
+          const summary = report[key];
+          return (
+            <div
+              key={key}
+              className="p-3 space-y-3 bg-white border border-gray-200 rounded-lg"
+            >
+              <div>
+                <h4 className="text-sm font-medium text-gray-700" title={description}>
+                  {label}
+                </h4>
+                <div className="flex items-baseline gap-3 mt-1">
+                  <span className="text-2xl font-semibold text-gray-800">
+                    {formatDuration(summary.median)}
+                  </span>
+                  <span className="text-sm text-gray-500">
+                    p90 {formatDuration(summary.p90)}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-400">
+                  {summary.count} {key === "reviewTurnaround" ? "reviews" : "PRs"}
+                </p>
+              </div>
+              <Distribution buckets={summary.buckets} color={color} />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold text-gray-700">
+                  Author
+                </th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                  PRs
+                </th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                  First review
+                </th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                  Merge
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.authors.map((author) => (
+                <tr key={author.user}>
+                  <UserCell user={author.user} avatarUrl={author.avatarUrl} />
+                  <td className="px-3 py-2 text-right text-gray-700">
+                    {author.pullRequests}
+                  </td>
+                  <MedianCell summary={author.toFirstReview} />
+                  <MedianCell summary={author.toMerge} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold text-gray-700">
+                  Reviewer
+                </th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                  Reviews
+                </th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                  Turnaround
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.reviewers.map((reviewer) => (
+                <tr key={reviewer.user}>
+                  <UserCell user={reviewer.user} avatarUrl={reviewer.avatarUrl} />
+                  <td className="px-3 py-2 text-right text-gray-700">
+                    {reviewer.turnaround.count}
+                  </td>
+                  <MedianCell summary={reviewer.turnaround} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">Durations read as median / p90.</p>
+
+      {report.slowest.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">
+            Slowest merged PRs
+          </h4>
+          <ul className="space-y-1 text-sm">
+            {report.slowest.map((pr) => (
+              <li
+                key={`${pr.repo}#${pr.number}`}
+                className="flex items-center gap-3"
+              >
+                <span className="w-14 text-right font-medium text-gray-700">
+                  {formatDuration(pr.hoursToMerge)}
+                </span>
+                <a
+                  href={pr.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex-1 truncate text-blue-600 hover:underline"
+                >
+                  {pr.repo}#{pr.number}: {pr.title}
+                </a>
+                <span className="text-xs text-gray-500">
+                  {pr.user} · first review{" "}
+                  {formatDuration(pr.hoursToFirstReview)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
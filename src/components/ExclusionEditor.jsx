@@ -0,0 +1,68 @@
+import { useState } from "react";
+import { parseIgnoreList } from "../utils/exclusions";
+
+const PLACEHOLDER = `# One login per line, or a /regex/
+ci-deploy-user
+/^svc-/i`;
+
+export default function ExclusionEditor({
+  excludeBots,
+  onExcludeBotsChange,
+  ignoreList,
+  onIgnoreListChange,
+}) {
+  const [open, setOpen] = useState(false);
+  const { names, patterns, invalid } = parseIgnoreList(ignoreList);
+  const ruleCount = names.size + patterns.length;
+
+  return (
+    <div className="pt-4 border-t border-gray-200">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1"
+      >
+        <span className="text-gray-400">{open ? "▼" : "▶"}</span>
+        Excluded Accounts
+        <span className="ml-1 text-xs font-normal text-gray-500">
+          ({excludeBots ? "bots" : "bots included"}
+          {ruleCount > 0 &&
+            `, ${ruleCount} ${ruleCount === 1 ? "rule" : "rules"}`}
+          )
+        </span>
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={excludeBots}
+              onChange={(e) => onExcludeBotsChange(e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Exclude bot accounts (logins ending in{" "}
+            <code className="bg-gray-100 px-1 rounded">[bot]</code>)
+          </label>
+          <textarea
+            value={ignoreList}
+            onChange={(e) => onIgnoreListChange(e.target.value)}
+            placeholder={PLACEHOLDER}
+            rows={4}
+            spellCheck={false}
+            className="w-full px-4 py-2 font-mono text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all"
+          />
+          {invalid.length > 0 && (
+            <p className="text-xs text-red-600">
+              Invalid pattern{invalid.length > 1 ? "s" : ""}:{" "}
+              {invalid.join(", ")}
+            </p>
+          )}
+          <p className="text-xs text-gray-500">
+            Excluded accounts are left out of rankings and totals and listed
+            separately below the leaderboard. Applies on the next run.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
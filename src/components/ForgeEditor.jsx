@@ -0,0 +1,85 @@
+import { useState } from "react";
+
+const inputClass =
+  "w-full px-4 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all";
+
+const FORGES = [
+  { id: "gitlab", label: "GitLab", tokenHint: "read_api scope" },
+  { id: "gitea", label: "Gitea", tokenHint: "read:repository scope" },
+];
+
+export default function ForgeEditor({ settings, onChange, hosts, error }) {
+  const [open, setOpen] = useState(false);
+  const configured = FORGES.filter(
+    (forge) => settings[forge.id].baseUrl || settings[forge.id].token
+  );
+
+  const update = (forge, field) => (e) =>
+    onChange({
+      ...settings,
+      [forge]: { ...settings[forge], [field]: e.target.value },
+    });
+
+  return (
+    <div className="pt-4 border-t border-gray-200">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1"
+      >
+        <span className="text-gray-400">{open ? "▼" : "▶"}</span>
+        Other Forges
+        {configured.length > 0 && (
+          <span className="ml-1 text-xs font-normal text-gray-500">
+            ({configured.map((forge) => forge.label).join(", ")})
+          </span>
+        )}
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          {FORGES.map((forge) => (
+            <div
+              key={forge.id}
+              className="grid grid-cols-1 md:grid-cols-[8rem_1fr_1fr] gap-2 items-end"
+            >
+              <span className="text-sm font-medium text-gray-700 pb-2">
+                {forge.label}
+              </span>
+              <label className="space-y-1 text-sm text-gray-600">
+                <span>Server URL</span>
+                <input
+                  type="text"
+                  value={settings[forge.id].baseUrl}
+                  onChange={update(forge.id, "baseUrl")}
+                  placeholder={hosts?.[forge.id]?.webBase || `https://${forge.id}.com`}
+                  className={inputClass}
+                />
+              </label>
+              <label className="space-y-1 text-sm text-gray-600">
+                <span>Access token ({forge.tokenHint})</span>
+                <input
+                  type="password"
+                  value={settings[forge.id].token}
+                  onChange={update(forge.id, "token")}
+                  placeholder="Optional for public repositories"
+                  autoComplete="off"
+                  className={inputClass}
+                />
+              </label>
+            </div>
+          ))}
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <p className="text-xs text-gray-500">
+            Prefix entries in the owner field to fetch them from these servers,
+            e.g.{" "}
+            <code className="bg-gray-100 px-1 rounded">gitlab:group/subgroup</code>{" "}
+            or <code className="bg-gray-100 px-1 rounded">gitea:owner/repo</code>.
+            GitLab approvals and merge request comments count as reviews.
+            Tokens stay in this browser and are never saved in workspaces or
+            links.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+import { useState, useEffect, useMemo } from "react";
+import {
+  listSnapshots,
+  clearSnapshots,
+  buildTrends,
+} from "../utils/history";
+
+const TREND_METRICS = [
+  { key: "rank", label: "Rank" },
+  { key: "score", label: "Impact" },
+  { key: "commits", label: "Commits" },
+  { key: "mergedPullRequests", label: "PRs merged" },
+  { key: "reviews", label: "Reviews" },
+  { key: "reviewsApproved", label: "Approvals" },
+  { key: "reviewsChangesRequested", label: "Changes requested" },
+  { key: "reviewComments", label: "Inline review comments" },
+  { key: "issuesOpened", label: "Issues opened" },
+  { key: "issuesClosed", label: "Issues closed" },
+  { key: "issueComments", label: "Issue comments" },
+  { key: "net", label: "Net lines" },
+  { key: "medianHoursToFirstReview", label: "Median hours to first review" },
+  { key: "medianHoursToMerge", label: "Median hours to merge" },
+  { key: "medianReviewTurnaround", label: "Median review turnaround (h)" },
+];
+
+const COLORS = [
+  "#2563eb",
+  "#dc2626",
+  "#16a34a",
+  "#d97706",
+  "#7c3aed",
+  "#0891b2",
+  "#db2777",
+  "#4b5563",
+];
+const DEFAULT_SELECTION = 5;
+const LEGEND_SIZE = 20;
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 48 };
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+/**
+ * Line chart of selected contributors across snapshots
+ * Rank is drawn with 1 at the top; x positions follow snapshot time.
+ */
+function TrendChart({ snapshots, series, metric }) {
+  const times = snapshots.map((s) => s.timestamp);
+  // Metrics older snapshots didn't record, and cycle times without PRs, are null
+  const hasValue = (point) => (point?.[metric] ?? null) !== null;
+  const first = times[0];
+  const last = times[times.length - 1];
+  const values = series.flatMap(({ points }) =>
+    points.filter(hasValue).map((point) => point[metric])
+  );
+  const isRank = metric === "rank";
+  const min = isRank ? 1 : Math.min(0, ...values);
+  const max = Math.max(min + 1, ...values);
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) =>
+    PADDING.left +
+    (last === first ? innerWidth / 2 : ((time - first) / (last - first)) * innerWidth);
+  const y = (value) => {
+    const ratio = (value - min) / (max - min);
+    return PADDING.top + (isRank ? ratio : 1 - ratio) * innerHeight;
+  };
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto bg-white border border-gray-200 rounded-lg"
+      role="img"
+      aria-label="Contributor trends"
+    >
+      {[min, max].map((value) => (
+        <g key={value}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(value)}
+            y2={y(value)}
+            stroke="#e5e7eb"
+          />
+          <text
+            x={PADDING.left - 6}
+            y={y(value) + 4}
+            textAnchor="end"
+            className="fill-gray-400 text-[10px]"
+          >
+            {isRank ? `#${value}` : value.toLocaleString()}
+          </text>
+        </g>
+      ))}
+      <text
+        x={PADDING.left}
+        y={HEIGHT - 8}
+        className="fill-gray-400 text-[10px]"
+      >
+        {formatDate(first)}
+      </text>
+      {last !== first && (
+        <text
+          x={WIDTH - PADDING.right}
+          y={HEIGHT - 8}
+          textAnchor="end"
+          className="fill-gray-400 text-[10px]"
+        >
+          {formatDate(last)}
+        </text>
+      )}
+
+      {series.map(({ user, points, color }) => {
+        // Gaps where the contributor wasn't on the leaderboard, or has no value, break the line
+        const segments = [];
+        points.forEach((point, index) => {
+          if (!hasValue(point)) {
+            segments.push([]);
+            return;
+          }
+          if (segments.length === 0) segments.push([]);
+          segments[segments.length - 1].push(
+            `${x(times[index])},${y(point[metric])}`
+          );
+        });
+        return (
+          <g key={user}>
+            {segments
+              .filter((segment) => segment.length > 1)
+              .map((segment, index) => (
+                <polyline
+                  key={index}
+                  points={segment.join(" ")}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth={2}
+                />
+              ))}
+            {points.map(
+              (point, index) =>
+                hasValue(point) && (
+                  <circle
+                    key={index}
+                    cx={x(times[index])}
+                    cy={y(point[metric])}
+                    r={3}
+                    fill={color}
+                  >
+                    <title>
+                      {`${user} · ${formatDate(times[index])}: #${point.rank}, ${point.score} Impact, ${point.commits} commits, ${point.mergedPullRequests} PRs merged, ${point.reviews} reviews`}
+                    </title>
+                  </circle>
+                )
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default function HistoryPanel({ configHash, version, weights }) {
+  const [snapshots, setSnapshots] = useState(null);
+  const [metric, setMetric] = useState("rank");
+  // null means "the current top contributors"
+  const [selected, setSelected] = useState(null);
+
+  // Reload when the configuration changes or a new snapshot was saved
+  useEffect(() => {
+    let active = true;
+    listSnapshots(configHash).then((list) => {
+      if (active) setSnapshots(list);
+    });
+    return () => {
+      active = false;
+    };
+  }, [configHash, version]);
+
+  const trends = useMemo(
+    () => (snapshots ? buildTrends(snapshots, weights) : []),
+    [snapshots, weights]
+  );
+
+  const selectedUsers =
+    selected ?? trends.slice(0, DEFAULT_SELECTION).map((entry) => entry.user);
+  const series = trends
+    .filter((entry) => selectedUsers.includes(entry.user))
+    .map((entry) => ({
+      ...entry,
+      color: COLORS[selectedUsers.indexOf(entry.user) % COLORS.length],
+    }));
+
+  const toggleUser = (user) => {
+    setSelected(
+      selectedUsers.includes(user)
+        ? selectedUsers.filter((u) => u !== user)
+        : [...selectedUsers, user]
+    );
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm("Delete every snapshot of this leaderboard?")) return;
+    await clearSnapshots(configHash);
+    setSnapshots([]);
+    setSelected(null);
+  };
+
+  if (!snapshots) {
+    return (
+      <div className="p-4 text-sm text-gray-500 bg-gray-50 border border-gray-200 rounded-lg">
+        Loading history...
+      </div>
+    );
+  }
+
+  if (snapshots.length === 0) {
+    return (
+      <div className="p-4 text-sm text-gray-500 bg-gray-50 border border-gray-200 rounded-lg">
+        No snapshots yet. Each leaderboard you generate with this org, repo
+        selection, time range and settings is saved here.
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 space-y-3 bg-gray-50 border border-gray-200 rounded-lg">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-gray-600">
+          {snapshots.length} snapshot{snapshots.length === 1 ? "" : "s"} since{" "}
+          {formatDate(snapshots[0].timestamp)}
+        </p>
+        <div className="flex items-center gap-2">
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none bg-white"
+          >
+            {TREND_METRICS.map(({ key, label }) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleClear}
+            className="px-3 py-1.5 text-sm font-medium text-red-600 hover:text-red-800 transition-colors"
+          >
+            Clear History
+          </button>
+        </div>
+      </div>
+
+      <TrendChart snapshots={snapshots} series={series} metric={metric} />
+
+      <div className="flex flex-wrap gap-2">
+        {trends.slice(0, LEGEND_SIZE).map((entry) => {
+          const line = series.find((s) => s.user === entry.user);
+          return (
+            <label
+              key={entry.user}
+              className="inline-flex items-center gap-1.5 px-2 py-1 text-sm bg-white border border-gray-200 rounded-lg cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={Boolean(line)}
+                onChange={() => toggleUser(entry.user)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span
+                className="w-2.5 h-2.5 rounded-full"
+                style={{ backgroundColor: line?.color || "#d1d5db" }}
+              />
+              {entry.user}
+            </label>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
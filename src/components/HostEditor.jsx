@@ -0,0 +1,71 @@
+import { useState } from "react";
+
+const inputClass =
+  "w-full px-4 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all";
+
+export default function HostEditor({ settings, onChange, host, error }) {
+  const [open, setOpen] = useState(false);
+
+  const update = (field) => (e) =>
+    onChange({ ...settings, [field]: e.target.value });
+
+  return (
+    <div className="pt-4 border-t border-gray-200">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1"
+      >
+        <span className="text-gray-400">{open ? "▼" : "▶"}</span>
+        GitHub Server
+        <span className="ml-1 text-xs font-normal text-gray-500">
+          ({host?.enterprise ? host.webBase.replace(/^https?:\/\//, "") : "github.com"})
+        </span>
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+            <label className="space-y-1 text-sm text-gray-600">
+              <span>API URL</span>
+              <input
+                type="text"
+                value={settings.apiBase}
+                onChange={update("apiBase")}
+                placeholder="https://api.github.com"
+                className={inputClass}
+              />
+            </label>
+            <label className="space-y-1 text-sm text-gray-600">
+              <span>Web URL</span>
+              <input
+                type="text"
+                value={settings.webBase}
+                onChange={update("webBase")}
+                placeholder={host?.webBase || "https://github.com"}
+                className={inputClass}
+              />
+            </label>
+            <label className="space-y-1 text-sm text-gray-600">
+              <span>Server version</span>
+              <input
+                type="text"
+                value={settings.serverVersion}
+                onChange={update("serverVersion")}
+                placeholder="e.g. 3.12"
+                disabled={!host?.enterprise}
+                className={`${inputClass} disabled:bg-gray-50`}
+              />
+            </label>
+          </div>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <p className="text-xs text-gray-500">
+            Leave blank for github.com. For GitHub Enterprise Server enter the
+            server address; <code className="bg-gray-100 px-1 rounded">/api/v3</code>{" "}
+            is added when no path is given. The API version header is only sent
+            to servers on 3.9 or later. Cached data is kept per server.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
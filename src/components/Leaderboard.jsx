@@ -1,13 +1,67 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useEffect } from "react";
 import ContributionGraph from "./ContributionGraph";
+import ScoringPanel from "./ScoringPanel";
+import HistoryPanel from "./HistoryPanel";
+import CycleTimePanel from "./CycleTimePanel";
+import TeamLeaderboard from "./TeamLeaderboard";
+import {
+  computeScore,
+  loadScoringSettings,
+  saveScoringSettings,
+} from "../utils/scoring";
+import { toCSV, toJSON, toMarkdown, downloadFile } from "../utils/export";
+import { formatNumber } from "../utils/format";
+
+const EXPORT_FORMATS = [
+  { label: "CSV", extension: "csv", type: "text/csv", serialize: toCSV },
+  { label: "JSON", extension: "json", type: "application/json", serialize: toJSON },
+  { label: "Markdown", extension: "md", type: "text/markdown", serialize: toMarkdown },
+];
 
 const SORT_KEYS = [
+  { key: "score", label: "Impact", description: "Weighted composite score" },
   { key: "net", label: "Net Lines", description: "Lines added minus deleted" },
   { key: "additions", label: "Additions", description: "Total lines added" },
   { key: "deletions", label: "Deletions", description: "Total lines deleted" },
   { key: "commits", label: "Commits", description: "Total commits" },
   { key: "pullRequests", label: "PRs", description: "Pull requests created" },
-  { key: "reviews", label: "Reviews", description: "PR reviews submitted" },
+  { key: "reviews", label: "Reviews", description: "PRs reviewed, once per reviewer and PR" },
+  { key: "reviewsApproved", label: "Approvals", description: "Reviews that approved" },
+  { key: "reviewsChangesRequested", label: "Changes Req.", description: "Reviews that requested changes" },
+  { key: "reviewComments", label: "Inline", description: "Inline review comments" },
+  { key: "issuesOpened", label: "Issues", description: "Issues opened" },
+  { key: "issuesClosed", label: "Closed", description: "Issues closed" },
+  { key: "issueComments", label: "Comments", description: "Issue comments" },
+];
+
+// Review states a reviewer's reviews are broken down by, with their dot colors
+const REVIEW_BREAKDOWN = [
+  { key: "reviewsApproved", state: "APPROVED", label: "approved", color: "bg-green-500" },
+  { key: "reviewsChangesRequested", state: "CHANGES_REQUESTED", label: "changes requested", color: "bg-red-500" },
+  { key: "reviewsCommented", state: "COMMENTED", label: "commented", color: "bg-gray-400" },
+  { key: "reviewsDismissed", state: "DISMISSED", label: "dismissed", color: "bg-yellow-500" },
+];
+
+// e.g. "3 approved, 1 changes requested, 12 inline comments"
+function formatReviewBreakdown(row) {
+  return [
+    ...REVIEW_BREAKDOWN.filter(({ key }) => row[key] > 0).map(
+      ({ key, label }) => `${formatNumber(row[key])} ${label}`
+    ),
+    `${formatNumber(row.reviewComments || 0)} inline comments`,
+  ].join(", ");
+}
+
+// Dot color per issue action in the expanded issue list
+const ISSUE_ACTION_COLORS = {
+  opened: "bg-green-500",
+  closed: "bg-red-500",
+  commented: "bg-gray-400",
+};
+
+const VIEWS = [
+  { key: "contributors", label: "Contributors" },
+  { key: "teams", label: "Teams" },
 ];
 
 const TIME_RANGE_LABELS = {
@@ -20,53 +74,219 @@ const TIME_RANGE_LABELS = {
   "365d": "Last Year",
 };
 
-function formatNumber(num) {
-  if (num >= 1000000) {
-    return (num / 1000000).toFixed(1) + "M";
+// Formats a YYYY-MM-DD date input value for display
+function formatDay(day) {
+  return new Date(`${day}T00:00:00`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+// Sorts rows by a metric and maps each user to their 1-based rank
+function rankByUser(rows, sortKey, sortOrder) {
+  const sorted = [...rows].sort((a, b) => {
+    const aVal = a[sortKey] || 0;
+    const bVal = b[sortKey] || 0;
+    return sortOrder === "asc" ? aVal - bVal : bVal - aVal;
+  });
+  return new Map(sorted.map((row, index) => [row.user, index + 1]));
+}
+
+// Change in a metric since the previous period, hidden when unchanged
+function Delta({ value }) {
+  if (!value) return null;
+  return (
+    <div className={`text-xs ${value > 0 ? "text-green-600" : "text-red-600"}`}>
+      {value > 0 ? "▲" : "▼"}
+      {formatNumber(Math.abs(value))}
+    </div>
+  );
+}
+
+// Rank change since the previous period, or a badge for first-time contributors
+function RankMovement({ current, previous }) {
+  if (previous === undefined) {
+    return (
+      <span
+        className="px-1.5 py-0.5 text-xs font-semibold rounded bg-blue-100 text-blue-700"
+        title="Not active in the previous period"
+      >
+        NEW
+      </span>
+    );
   }
-  if (num >= 1000) {
-    return (num / 1000).toFixed(1) + "K";
+  const moved = previous - current;
+  if (moved === 0) {
+    return (
+      <span className="text-xs text-gray-400" title="Same rank as the previous period">
+        –
+      </span>
+    );
   }
-  return num.toLocaleString();
+  return (
+    <span
+      className={`text-xs font-medium ${moved > 0 ? "text-green-600" : "text-red-600"}`}
+      title={`Rank ${previous} in the previous period`}
+    >
+      {moved > 0 ? "▲" : "▼"}
+      {Math.abs(moved)}
+    </span>
+  );
 }
 
-export default function Leaderboard({ data, timeRange = "all" }) {
-  const [sortKey, setSortKey] = useState("net");
-  const [sortOrder, setSortOrder] = useState("desc");
-  const [searchTerm, setSearchTerm] = useState("");
+export default function Leaderboard({
+  data: allData,
+  timeRange = "all",
+  customRange = null,
+  previousData = null,
+  org = "",
+  repos = [],
+  sort = { key: "score", order: "desc" },
+  onSortChange,
+  searchTerm = "",
+  onSearchChange,
+  historyHash = null,
+  historyVersion = 0,
+  teams = [],
+  webBase = "https://github.com",
+}) {
+  // Sort and search are owned by the parent so they can be shared in a link
+  const sortKey = SORT_KEYS.some((s) => s.key === sort.key) ? sort.key : "score";
+  const sortOrder = sort.order === "asc" ? "asc" : "desc";
   const [expandedUser, setExpandedUser] = useState(null);
+  const [showExcluded, setShowExcluded] = useState(false);
+  const [showScoring, setShowScoring] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showCycleTime, setShowCycleTime] = useState(false);
+  const [view, setView] = useState("contributors");
+  const [showExport, setShowExport] = useState(false);
+  const [exportLists, setExportLists] = useState(false);
+  const [copied, setCopied] = useState(false);
+  // Impact score weights and saved presets, persisted across sessions
+  const [scoring, setScoring] = useState(loadScoringSettings);
+
+  useEffect(() => saveScoringSettings(scoring), [scoring]);
+
+  // Excluded accounts (bots, ignore list) are listed separately instead of ranked
+  const data = useMemo(
+    () =>
+      allData
+        .filter((row) => !row.excluded)
+        .map((row) => ({ ...row, score: computeScore(row, scoring.weights) })),
+    [allData, scoring.weights]
+  );
+  const excludedData = useMemo(
+    () => allData.filter((row) => row.excluded),
+    [allData]
+  );
 
   const sortedData = useMemo(() => {
     let filtered = data;
     if (searchTerm) {
-      filtered = data.filter((row) =>
-        row.user.toLowerCase().includes(searchTerm.toLowerCase())
+      const term = searchTerm.toLowerCase();
+      filtered = data.filter(
+        (row) =>
+          row.user.toLowerCase().includes(term) ||
+          row.name?.toLowerCase().includes(term)
       );
     }
 
     return [...filtered].sort((a, b) => {
-      const aVal = a[sortKey];
-      const bVal = b[sortKey];
+      // Rows cached before a metric existed don't have it
+      const aVal = a[sortKey] || 0;
+      const bVal = b[sortKey] || 0;
       if (sortOrder === "asc") return aVal - bVal;
       return bVal - aVal;
     });
   }, [data, sortKey, sortOrder, searchTerm]);
 
+  // Compare mode: ranks over the full lists so searching doesn't change movement
+  const comparison = useMemo(() => {
+    if (!previousData) return null;
+    const previous = previousData
+      .filter((row) => !row.excluded)
+      .map((row) => ({ ...row, score: computeScore(row, scoring.weights) }));
+    return {
+      currentRanks: rankByUser(data, sortKey, sortOrder),
+      previousRanks: rankByUser(previous, sortKey, sortOrder),
+      previousByUser: new Map(previous.map((row) => [row.user, row])),
+    };
+  }, [data, previousData, sortKey, sortOrder, scoring.weights]);
+
+  const handleSavePreset = (name, weights) => {
+    setScoring((prev) => ({
+      ...prev,
+      presets: [
+        ...prev.presets.filter((preset) => preset.name !== name),
+        { name, weights },
+      ],
+    }));
+  };
+
+  const handleDeletePreset = (name) => {
+    setScoring((prev) => ({
+      ...prev,
+      presets: prev.presets.filter((preset) => preset.name !== name),
+    }));
+  };
+
+  // Metric change for a user, or null when there is nothing to compare against
+  const getDelta = (row, key) => {
+    const previous = comparison?.previousByUser.get(row.user);
+    if (!previous) return null;
+    return (row[key] || 0) - (previous[key] || 0);
+  };
+
   const handleSort = (key) => {
     if (sortKey === key) {
-      setSortOrder(sortOrder === "asc" ? "desc" : "asc");
+      onSortChange({ key, order: sortOrder === "asc" ? "desc" : "asc" });
     } else {
-      setSortKey(key);
-      setSortOrder("desc");
+      onSortChange({ key, order: "desc" });
     }
   };
 
+  const rangeLabel =
+    timeRange === "custom" && customRange
+      ? `${customRange.start ? formatDay(customRange.start) : "Beginning"} – ${
+          customRange.end ? formatDay(customRange.end) : "Today"
+        }`
+      : TIME_RANGE_LABELS[timeRange] || "All Time";
+
+  // Exports what is on screen: current sort and search, excluded accounts left out
+  const getExportMeta = () => ({
+    org,
+    repos,
+    timeRange: rangeLabel,
+    sortedBy: `${SORT_KEYS.find((s) => s.key === sortKey)?.label} (${
+      sortOrder === "asc" ? "ascending" : "descending"
+    })${searchTerm ? `, filtered by "${searchTerm}"` : ""}`,
+    generatedAt: new Date().toISOString(),
+  });
+
+  const handleExport = ({ extension, type, serialize }) => {
+    const day = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      serialize(sortedData, getExportMeta(), exportLists),
+      `${org.replace(/[^\w.-]+/g, "-") || "github"}-leaderboard-${day}.${extension}`,
+      type
+    );
+  };
+
+  const handleCopyMarkdown = async () => {
+    await navigator.clipboard.writeText(
+      toMarkdown(sortedData, getExportMeta(), exportLists)
+    );
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
   const getSortIcon = (key) => {
     if (sortKey !== key) return "↕";
     return sortOrder === "asc" ? "↑" : "↓";
   };
 
-  if (data.length === 0) {
+  if (allData.length === 0) {
     return (
       <div className="text-center py-8 text-gray-500">
         No contributor data available
@@ -80,32 +300,159 @@ export default function Leaderboard({ data, timeRange = "all" }) {
         <h3 className="text-lg font-semibold text-gray-800">
           Leaderboard ({sortedData.length} contributors)
         </h3>
-        <input
-          type="text"
-          placeholder="Search users..."
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
-        />
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setShowScoring(!showScoring)}
+            className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+              showScoring
+                ? "bg-blue-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            Impact Weights
+          </button>
+          {historyHash && (
+            <button
+              type="button"
+              onClick={() => setShowHistory(!showHistory)}
+              className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                showHistory
+                  ? "bg-blue-600 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              History
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => setShowCycleTime(!showCycleTime)}
+            className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+              showCycleTime
+                ? "bg-blue-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            Cycle Time
+          </button>
+          <div className="relative">
+            <button
+              type="button"
+              onClick={() => setShowExport(!showExport)}
+              className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                showExport
+                  ? "bg-blue-600 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              Export
+            </button>
+            {showExport && (
+              <div className="absolute right-0 z-10 mt-2 w-64 p-3 space-y-2 bg-white border border-gray-200 rounded-lg shadow-lg">
+                <div className="grid grid-cols-3 gap-2">
+                  {EXPORT_FORMATS.map((format) => (
+                    <button
+                      key={format.extension}
+                      type="button"
+                      onClick={() => handleExport(format)}
+                      className="px-2 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                    >
+                      {format.label}
+                    </button>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={handleCopyMarkdown}
+                  className="w-full px-2 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                >
+                  {copied ? "✓ Copied" : "Copy Markdown table"}
+                </button>
+                <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={exportLists}
+                    onChange={(e) => setExportLists(e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  Include PR, review and commit lists
+                </label>
+                <p className="text-xs text-gray-500">
+                  Exports {sortedData.length} rows in the current order.
+                </p>
+              </div>
+            )}
+          </div>
+          <input
+            type="text"
+            placeholder="Search users..."
+            value={searchTerm}
+            onChange={(e) => onSearchChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+          />
+        </div>
       </div>
 
-      {/* Sort buttons for mobile */}
-      <div className="flex flex-wrap gap-2 md:hidden">
-        {SORT_KEYS.map(({ key, label }) => (
+      {showScoring && (
+        <ScoringPanel
+          data={data}
+          weights={scoring.weights}
+          onApply={(weights) => setScoring((prev) => ({ ...prev, weights }))}
+          presets={scoring.presets}
+          onSavePreset={handleSavePreset}
+          onDeletePreset={handleDeletePreset}
+        />
+      )}
+
+      {showHistory && historyHash && (
+        <HistoryPanel
+          configHash={historyHash}
+          version={historyVersion}
+          weights={scoring.weights}
+        />
+      )}
+
+      {showCycleTime && <CycleTimePanel data={data} />}
+
+      {/* View tabs */}
+      <div className="flex gap-1 border-b border-gray-200">
+        {VIEWS.map(({ key, label }) => (
           <button
             key={key}
-            onClick={() => handleSort(key)}
-            className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
-              sortKey === key
-                ? "bg-blue-600 text-white"
-                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            type="button"
+            onClick={() => setView(key)}
+            className={`px-4 py-2 -mb-px text-sm font-medium border-b-2 transition-colors ${
+              view === key
+                ? "border-blue-600 text-blue-600"
+                : "border-transparent text-gray-500 hover:text-gray-700"
             }`}
           >
-            {label} {sortKey === key && (sortOrder === "asc" ? "↑" : "↓")}
+            {label}
+            {key === "teams" && teams.length > 0 && ` (${teams.length})`}
           </button>
         ))}
       </div>
 
+      {/* Sort buttons for mobile */}
+      {view === "contributors" && (
+        <div className="flex flex-wrap gap-2 md:hidden">
+          {SORT_KEYS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => handleSort(key)}
+              className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+                sortKey === key
+                  ? "bg-blue-600 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {label} {sortKey === key && (sortOrder === "asc" ? "↑" : "↓")}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Summary stats */}
       <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
         <div className="bg-green-50 p-4 rounded-lg">
@@ -148,337 +495,546 @@ export default function Leaderboard({ data, timeRange = "all" }) {
         </div>
       </div>
 
-      {/* Table */}
-      <div className="overflow-x-auto border border-gray-200 rounded-lg">
-        <table className="w-full">
-          <thead className="bg-gray-50">
-            <tr>
-              <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">
-                Rank
-              </th>
-              <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">
-                User
-              </th>
-              {SORT_KEYS.map(({ key, label }) => (
-                <th
-                  key={key}
-                  onClick={() => handleSort(key)}
-                  className="px-4 py-3 text-right text-sm font-semibold text-gray-700 cursor-pointer hover:bg-gray-100 transition-colors hidden md:table-cell"
-                >
-                  <span className="flex items-center justify-end gap-1">
-                    {label}
-                    <span className="text-gray-400">{getSortIcon(key)}</span>
-                  </span>
-                </th>
-              ))}
-              {/* Mobile stat column */}
-              <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700 md:hidden">
-                {SORT_KEYS.find((s) => s.key === sortKey)?.label}
-              </th>
-              <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700 hidden lg:table-cell">
-                Activity
-              </th>
-            </tr>
-          </thead>
-          <tbody className="divide-y divide-gray-100">
-            {sortedData.map((row, index) => (
-              <React.Fragment key={row.user}>
-                <tr
-                  className="hover:bg-gray-50 transition-colors cursor-pointer"
-                  onClick={() =>
-                    setExpandedUser(expandedUser === row.user ? null : row.user)
-                  }
-                >
-                  <td className="px-4 py-3 text-sm text-gray-600">
-                    <span
-                      className={`inline-flex items-center justify-center w-8 h-8 rounded-full font-semibold ${
-                        index === 0
-                          ? "bg-yellow-100 text-yellow-700"
-                          : index === 1
-                          ? "bg-gray-200 text-gray-700"
-                          : index === 2
-                          ? "bg-orange-100 text-orange-700"
-                          : "bg-gray-50 text-gray-600"
-                      }`}
-                    >
-                      {index + 1}
-                    </span>
-                  </td>
-                  <td className="px-4 py-3">
-                    <div className="flex items-center gap-3">
-                      {row.avatarUrl && (
-                        <img
-                          src={row.avatarUrl}
-                          alt={row.user}
-                          className="w-8 h-8 rounded-full"
-                        />
-                      )}
-                      <div>
-                        <a
-                          href={`https://github.com/${row.user}`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="font-medium text-blue-600 hover:underline"
-                          onClick={(e) => e.stopPropagation()}
-                        >
-                          {row.user}
-                        </a>
-                        <div className="text-xs text-gray-500 md:hidden">
-                          {expandedUser === row.user ? "▲ Hide" : "▼ Show"}{" "}
-                          activity
-                        </div>
-                      </div>
-                    </div>
-                  </td>
-                  {/* Desktop columns */}
-                  <td className="px-4 py-3 text-right text-sm hidden md:table-cell">
-                    <span
-                      className={
-                        row.net >= 0 ? "text-green-600" : "text-red-600"
-                      }
+      {view === "teams" ? (
+        <TeamLeaderboard data={data} teams={teams} searchTerm={searchTerm} />
+      ) : (
+        <>
+          {/* Table */}
+          <div className="overflow-x-auto border border-gray-200 rounded-lg">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">
+                    Rank
+                  </th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">
+                    User
+                  </th>
+                  {SORT_KEYS.map(({ key, label }) => (
+                    <th
+                      key={key}
+                      onClick={() => handleSort(key)}
+                      className="px-4 py-3 text-right text-sm font-semibold text-gray-700 cursor-pointer hover:bg-gray-100 transition-colors hidden md:table-cell"
                     >
-                      {row.net >= 0 ? "+" : ""}
-                      {formatNumber(row.net)}
-                    </span>
-                  </td>
-                  <td className="px-4 py-3 text-right text-sm text-green-600 hidden md:table-cell">
-                    +{formatNumber(row.additions)}
-                  </td>
-                  <td className="px-4 py-3 text-right text-sm text-red-600 hidden md:table-cell">
-                    -{formatNumber(row.deletions)}
-                  </td>
-                  <td className="px-4 py-3 text-right text-sm text-gray-700 hidden md:table-cell">
-                    {formatNumber(row.commits)}
-                  </td>
-                  <td className="px-4 py-3 text-right text-sm text-purple-600 hidden md:table-cell">
-                    {formatNumber(row.pullRequests || 0)}
-                  </td>
-                  <td className="px-4 py-3 text-right text-sm text-indigo-600 hidden md:table-cell">
-                    {formatNumber(row.reviews || 0)}
-                  </td>
+                      <span className="flex items-center justify-end gap-1">
+                        {label}
+                        <span className="text-gray-400">{getSortIcon(key)}</span>
+                      </span>
+                    </th>
+                  ))}
                   {/* Mobile stat column */}
-                  <td className="px-4 py-3 text-right text-sm md:hidden">
-                    <span
-                      className={
-                        sortKey === "additions"
-                          ? "text-green-600"
-                          : sortKey === "deletions"
-                          ? "text-red-600"
-                          : sortKey === "net"
-                          ? row.net >= 0
-                            ? "text-green-600"
-                            : "text-red-600"
-                          : sortKey === "pullRequests"
-                          ? "text-purple-600"
-                          : sortKey === "reviews"
-                          ? "text-indigo-600"
-                          : "text-gray-700"
+                  <th className="px-4 py-3 text-right text-sm font-semibold text-gray-700 md:hidden">
+                    {SORT_KEYS.find((s) => s.key === sortKey)?.label}
+                  </th>
+                  <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700 hidden lg:table-cell">
+                    Activity
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {sortedData.map((row, index) => (
+                  <React.Fragment key={row.user}>
+                    <tr
+                      className="hover:bg-gray-50 transition-colors cursor-pointer"
+                      onClick={() =>
+                        setExpandedUser(expandedUser === row.user ? null : row.user)
                       }
                     >
-                      {sortKey === "additions" && "+"}
-                      {sortKey === "deletions" && "-"}
-                      {sortKey === "net" && row.net >= 0 && "+"}
-                      {formatNumber(row[sortKey] || 0)}
-                    </span>
-                  </td>
-                  {/* Mini graph column - desktop */}
-                  <td className="px-4 py-3 hidden lg:table-cell">
-                    <div className="w-32">
-                      <ContributionGraph
-                        weeklyData={row.weeklyData}
-                        height={32}
-                      />
-                    </div>
-                  </td>
-                </tr>
-                {/* Expanded row with full contribution graph */}
-                {expandedUser === row.user && (
-                  <tr className="bg-gray-50">
-                    <td colSpan={9} className="px-4 py-4">
-                      <div className="space-y-4">
-                        <div className="flex flex-wrap gap-4 text-sm">
-                          <div className="flex items-center gap-2">
-                            <span className="text-gray-500">Net Lines:</span>
-                            <span
-                              className={
-                                row.net >= 0
-                                  ? "text-green-600 font-medium"
-                                  : "text-red-600 font-medium"
-                              }
-                            >
-                              {row.net >= 0 ? "+" : ""}
-                              {formatNumber(row.net)}
-                            </span>
-                          </div>
-                          <div className="flex items-center gap-2">
-                            <span className="text-gray-500">Commits:</span>
-                            <span className="text-gray-700 font-medium">
-                              {formatNumber(row.commits)}
-                            </span>
-                          </div>
-                          <div className="flex items-center gap-2">
-                            <span className="text-gray-500">PRs:</span>
-                            <span className="text-purple-600 font-medium">
-                              {formatNumber(row.pullRequests || 0)}
-                            </span>
-                          </div>
-                          <div className="flex items-center gap-2">
-                            <span className="text-gray-500">Reviews:</span>
-                            <span className="text-indigo-600 font-medium">
-                              {formatNumber(row.reviews || 0)}
-                            </span>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        <span
+                          className={`inline-flex items-center justify-center w-8 h-8 rounded-full font-semibold ${
+                            index === 0
+                              ? "bg-yellow-100 text-yellow-700"
+                              : index === 1
+                              ? "bg-gray-200 text-gray-700"
+                              : index === 2
+                              ? "bg-orange-100 text-orange-700"
+                              : "bg-gray-50 text-gray-600"
+                          }`}
+                        >
+                          {index + 1}
+                        </span>
+                        {comparison && (
+                          <span className="ml-2">
+                            <RankMovement
+                              current={comparison.currentRanks.get(row.user)}
+                              previous={comparison.previousRanks.get(row.user)}
+                            />
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex items-center gap-3">
+                          {row.avatarUrl && (
+                            <img
+                              src={row.avatarUrl}
+                              alt={row.user}
+                              className="w-8 h-8 rounded-full"
+                            />
+                          )}
+                          <div>
+                            {row.login ? (
+                              <a
+                                href={`${webBase}/${row.login}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="font-medium text-blue-600 hover:underline"
+                                onClick={(e) => e.stopPropagation()}
+                              >
+                                {row.user}
+                              </a>
+                            ) : (
+                              <span
+                                className="font-medium text-gray-800"
+                                title="No linked GitHub account"
+                              >
+                                {row.user}
+                              </span>
+                            )}
+                            {row.name && row.name !== row.user && (
+                              <div className="text-xs text-gray-500">
+                                {row.name}
+                              </div>
+                            )}
+                            <div className="text-xs text-gray-500 md:hidden">
+                              {expandedUser === row.user ? "▲ Hide" : "▼ Show"}{" "}
+                              activity
+                            </div>
                           </div>
                         </div>
-
-                        {/* Activity Graph */}
-                        <div>
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">
-                            Contribution Activity (
-                            {TIME_RANGE_LABELS[timeRange] || "All Time"})
-                          </h4>
+                      </td>
+                      {/* Desktop columns */}
+                      <td className="px-4 py-3 text-right text-sm font-semibold text-blue-700 hidden md:table-cell">
+                        {formatNumber(row.score)}
+                        <Delta value={getDelta(row, "score")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm hidden md:table-cell">
+                        <span
+                          className={
+                            row.net >= 0 ? "text-green-600" : "text-red-600"
+                          }
+                        >
+                          {row.net >= 0 ? "+" : ""}
+                          {formatNumber(row.net)}
+                        </span>
+                        <Delta value={getDelta(row, "net")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-green-600 hidden md:table-cell">
+                        +{formatNumber(row.additions)}
+                        <Delta value={getDelta(row, "additions")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-red-600 hidden md:table-cell">
+                        -{formatNumber(row.deletions)}
+                        <Delta value={getDelta(row, "deletions")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-gray-700 hidden md:table-cell">
+                        {formatNumber(row.commits)}
+                        <Delta value={getDelta(row, "commits")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-purple-600 hidden md:table-cell">
+                        {formatNumber(row.pullRequests || 0)}
+                        <Delta value={getDelta(row, "pullRequests")} />
+                      </td>
+                      <td
+                        className="px-4 py-3 text-right text-sm text-indigo-600 hidden md:table-cell"
+                        title={formatReviewBreakdown(row)}
+                      >
+                        {formatNumber(row.reviews || 0)}
+                        <Delta value={getDelta(row, "reviews")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-indigo-600 hidden md:table-cell">
+                        {formatNumber(row.reviewsApproved || 0)}
+                        <Delta value={getDelta(row, "reviewsApproved")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-indigo-600 hidden md:table-cell">
+                        {formatNumber(row.reviewsChangesRequested || 0)}
+                        <Delta value={getDelta(row, "reviewsChangesRequested")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-indigo-600 hidden md:table-cell">
+                        {formatNumber(row.reviewComments || 0)}
+                        <Delta value={getDelta(row, "reviewComments")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-teal-600 hidden md:table-cell">
+                        {formatNumber(row.issuesOpened || 0)}
+                        <Delta value={getDelta(row, "issuesOpened")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-teal-600 hidden md:table-cell">
+                        {formatNumber(row.issuesClosed || 0)}
+                        <Delta value={getDelta(row, "issuesClosed")} />
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm text-teal-600 hidden md:table-cell">
+                        {formatNumber(row.issueComments || 0)}
+                        <Delta value={getDelta(row, "issueComments")} />
+                      </td>
+                      {/* Mobile stat column */}
+                      <td className="px-4 py-3 text-right text-sm md:hidden">
+                        <span
+                          className={
+                            sortKey === "additions"
+                              ? "text-green-600"
+                              : sortKey === "deletions"
+                              ? "text-red-600"
+                              : sortKey === "net"
+                              ? row.net >= 0
+                                ? "text-green-600"
+                                : "text-red-600"
+                              : sortKey === "pullRequests"
+                              ? "text-purple-600"
+                              : ["reviews", "reviewsApproved", "reviewsChangesRequested", "reviewComments"].includes(sortKey)
+                              ? "text-indigo-600"
+                              : ["issuesOpened", "issuesClosed", "issueComments"].includes(sortKey)
+                              ? "text-teal-600"
+                              : sortKey === "score"
+                              ? "font-semibold text-blue-700"
+                              : "text-gray-700"
+                          }
+                        >
+                          {sortKey === "additions" && "+"}
+                          {sortKey === "deletions" && "-"}
+                          {sortKey === "net" && row.net >= 0 && "+"}
+                          {formatNumber(row[sortKey] || 0)}
+                        </span>
+                        <Delta value={getDelta(row, sortKey)} />
+                      </td>
+                      {/* Mini graph column - desktop */}
+                      <td className="px-4 py-3 hidden lg:table-cell">
+                        <div className="w-32">
                           <ContributionGraph
                             weeklyData={row.weeklyData}
-                            height={80}
+                            height={32}
                           />
                         </div>
-
-                        {/* PR, Review, and Commit Links */}
-                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                          {/* PRs Opened */}
-                          {row.prsList && row.prsList.length > 0 && (
-                            <div className="bg-white rounded-lg p-3 border border-gray-200">
-                              <h5 className="text-sm font-medium text-purple-700 mb-2 flex items-center gap-1">
-                                <svg
-                                  className="w-4 h-4"
-                                  fill="currentColor"
-                                  viewBox="0 0 16 16"
+                      </td>
+                    </tr>
+                    {/* Expanded row with full contribution graph */}
+                    {expandedUser === row.user && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={17} className="px-4 py-4">
+                          <div className="space-y-4">
+                            <div className="flex flex-wrap gap-4 text-sm">
+                              <div className="flex items-center gap-2">
+                                <span className="text-gray-500">Impact:</span>
+                                <span className="text-blue-700 font-medium">
+                                  {formatNumber(row.score)}
+                                </span>
+                              </div>
+                              <div className="flex items-center gap-2">
+                                <span className="text-gray-500">Net Lines:</span>
+                                <span
+                                  className={
+                                    row.net >= 0
+                                      ? "text-green-600 font-medium"
+                                      : "text-red-600 font-medium"
+                                  }
                                 >
-                                  <path d="M7.177 3.073L9.573.677A.25.25 0 0110 .854v4.792a.25.25 0 01-.427.177L7.177 3.427a.25.25 0 010-.354zM3.75 2.5a.75.75 0 100 1.5.75.75 0 000-1.5zm-2.25.75a2.25 2.25 0 113 2.122v5.256a2.251 2.251 0 11-1.5 0V5.372A2.25 2.25 0 011.5 3.25zM11 2.5h-1V4h1a1 1 0 011 1v5.628a2.251 2.251 0 101.5 0V5A2.5 2.5 0 0011 2.5zm1 10.25a.75.75 0 111.5 0 .75.75 0 01-1.5 0zM3.75 12a.75.75 0 100 1.5.75.75 0 000-1.5z" />
-                                </svg>
-                                PRs Opened ({row.prsList.length})
-                              </h5>
-                              <ul className="space-y-1 max-h-32 overflow-y-auto text-xs">
-                                {row.prsList.slice(0, 10).map((pr, i) => (
-                                  <li key={i} className="truncate">
-                                    <a
-                                      href={pr.url}
-                                      target="_blank"
-                                      rel="noopener noreferrer"
-                                      className="text-blue-600 hover:underline"
-                                      onClick={(e) => e.stopPropagation()}
-                                    >
-                                      <span
-                                        className={`inline-block w-2 h-2 rounded-full mr-1 ${
-                                          pr.merged
-                                            ? "bg-purple-500"
-                                            : pr.state === "open"
-                                            ? "bg-green-500"
-                                            : "bg-red-500"
-                                        }`}
-                                      ></span>
-                                      {pr.repo}#{pr.number}: {pr.title}
-                                    </a>
-                                  </li>
-                                ))}
-                                {row.prsList.length > 10 && (
-                                  <li className="text-gray-500">
-                                    ...and {row.prsList.length - 10} more
-                                  </li>
+                                  {row.net >= 0 ? "+" : ""}
+                                  {formatNumber(row.net)}
+                                </span>
+                              </div>
+                              {(row.rawAdditions !== row.additions ||
+                                row.rawDeletions !== row.deletions) && (
+                                <div
+                                  className="flex items-center gap-2"
+                                  title="Including generated, vendored and lock files"
+                                >
+                                  <span className="text-gray-500">Raw Lines:</span>
+                                  <span className="text-gray-700 font-medium">
+                                    +{formatNumber(row.rawAdditions)} / -
+                                    {formatNumber(row.rawDeletions)}
+                                  </span>
+                                </div>
+                              )}
+                              <div className="flex items-center gap-2">
+                                <span className="text-gray-500">Commits:</span>
+                                <span className="text-gray-700 font-medium">
+                                  {formatNumber(row.commits)}
+                                </span>
+                              </div>
+                              {(row.coAuthoredCommits > 0 ||
+                                row.coAuthoredAdditions > 0) && (
+                                <div
+                                  className="flex items-center gap-2"
+                                  title="Credit from Co-authored-by trailers, included in the totals"
+                                >
+                                  <span className="text-gray-500">Co-authored:</span>
+                                  <span className="text-gray-700 font-medium">
+                                    {formatNumber(row.coAuthoredCommits)} commits,
+                                    +{formatNumber(row.coAuthoredAdditions)} / -
+                                    {formatNumber(row.coAuthoredDeletions)}
+                                  </span>
+                                </div>
+                              )}
+                              <div className="flex items-center gap-2">
+                                <span className="text-gray-500">PRs:</span>
+                                <span className="text-purple-600 font-medium">
+                                  {formatNumber(row.pullRequests || 0)}
+                                </span>
+                              </div>
+                              <div className="flex items-center gap-2">
+                                <span className="text-gray-500">Reviews:</span>
+                                <span className="text-indigo-600 font-medium">
+                                  {formatNumber(row.reviews || 0)}
+                                </span>
+                                {row.reviews > 0 && (
+                                  <span className="text-gray-500">
+                                    ({formatReviewBreakdown(row)})
+                                  </span>
                                 )}
-                              </ul>
+                              </div>
+                              <div className="flex items-center gap-2">
+                                <span className="text-gray-500">Issues:</span>
+                                <span className="text-teal-600 font-medium">
+                                  {formatNumber(row.issuesOpened || 0)} opened,{" "}
+                                  {formatNumber(row.issuesClosed || 0)} closed,{" "}
+                                  {formatNumber(row.issueComments || 0)} comments
+                                </span>
+                              </div>
                             </div>
-                          )}
 
-                          {/* PRs Reviewed */}
-                          {row.reviewsList && row.reviewsList.length > 0 && (
-                            <div className="bg-white rounded-lg p-3 border border-gray-200">
-                              <h5 className="text-sm font-medium text-indigo-700 mb-2 flex items-center gap-1">
-                                <svg
-                                  className="w-4 h-4"
-                                  fill="currentColor"
-                                  viewBox="0 0 16 16"
-                                >
-                                  <path d="M1.679 7.932c.412-.621 1.242-1.75 2.366-2.717C5.175 4.242 6.527 3.5 8 3.5c1.473 0 2.824.742 3.955 1.715 1.124.967 1.954 2.096 2.366 2.717a.119.119 0 010 .136c-.412.621-1.242 1.75-2.366 2.717C10.825 11.758 9.473 12.5 8 12.5c-1.473 0-2.824-.742-3.955-1.715C2.92 9.818 2.09 8.69 1.679 8.068a.119.119 0 010-.136zM8 2c-1.981 0-3.67.992-4.933 2.078C1.797 5.169.88 6.423.43 7.1a1.619 1.619 0 000 1.798c.45.678 1.367 1.932 2.637 3.024C4.329 13.008 6.019 14 8 14c1.981 0 3.67-.992 4.933-2.078 1.27-1.091 2.187-2.346 2.637-3.023a1.619 1.619 0 000-1.798c-.45-.678-1.367-1.932-2.637-3.023C11.671 2.992 9.981 2 8 2zm0 8a2 2 0 100-4 2 2 0 000 4z" />
-                                </svg>
-                                PRs Reviewed ({row.reviewsList.length})
-                              </h5>
-                              <ul className="space-y-1 max-h-32 overflow-y-auto text-xs">
-                                {row.reviewsList.slice(0, 10).map((pr, i) => (
-                                  <li key={i} className="truncate">
-                                    <a
-                                      href={pr.url}
-                                      target="_blank"
-                                      rel="noopener noreferrer"
-                                      className="text-blue-600 hover:underline"
-                                      onClick={(e) => e.stopPropagation()}
-                                    >
-                                      {pr.repo}#{pr.number}: {pr.title}
-                                    </a>
-                                  </li>
-                                ))}
-                                {row.reviewsList.length > 10 && (
-                                  <li className="text-gray-500">
-                                    ...and {row.reviewsList.length - 10} more
-                                  </li>
-                                )}
-                              </ul>
+                            {/* Activity Graph */}
+                            <div>
+                              <h4 className="text-sm font-medium text-gray-700 mb-2">
+                                Contribution Activity ({rangeLabel})
+                              </h4>
+                              <ContributionGraph
+                                weeklyData={row.weeklyData}
+                                height={80}
+                              />
                             </div>
-                          )}
 
-                          {/* Commits */}
-                          {row.commitsList && row.commitsList.length > 0 && (
-                            <div className="bg-white rounded-lg p-3 border border-gray-200">
-                              <h5 className="text-sm font-medium text-gray-700 mb-2 flex items-center gap-1">
-                                <svg
-                                  className="w-4 h-4"
-                                  fill="currentColor"
-                                  viewBox="0 0 16 16"
-                                >
-                                  <path d="M10.5 7.75a2.5 2.5 0 11-5 0 2.5 2.5 0 015 0zm1.43.75a4.002 4.002 0 01-7.86 0H.75a.75.75 0 110-1.5h3.32a4.001 4.001 0 017.86 0h3.32a.75.75 0 110 1.5h-3.32z" />
-                                </svg>
-                                Commits ({row.commitsList.length}
-                                {row.commits > row.commitsList.length
-                                  ? "+"
-                                  : ""}
-                                )
-                              </h5>
-                              <ul className="space-y-1 max-h-32 overflow-y-auto text-xs">
-                                {row.commitsList
-                                  .slice(0, 10)
-                                  .map((commit, i) => (
-                                    <li key={i} className="truncate">
-                                      <a
-                                        href={commit.url}
-                                        target="_blank"
-                                        rel="noopener noreferrer"
-                                        className="text-blue-600 hover:underline"
-                                        onClick={(e) => e.stopPropagation()}
+                            {/* PR, Review, Issue and Commit Links */}
+                            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+                              {/* PRs Opened */}
+                              {row.prsList && row.prsList.length > 0 && (
+                                <div className="bg-white rounded-lg p-3 border border-gray-200">
+                                  <h5 className="text-sm font-medium text-purple-700 mb-2 flex items-center gap-1">
+                                    <svg
+                                      className="w-4 h-4"
+                                      fill="currentColor"
+                                      viewBox="0 0 16 16"
+                                    >
+                                      <path d="M7.177 3.073L9.573.677A.25.25 0 0110 .854v4.792a.25.25 0 01-.427.177L7.177 3.427a.25.25 0 010-.354zM3.75 2.5a.75.75 0 100 1.5.75.75 0 000-1.5zm-2.25.75a2.25 2.25 0 113 2.122v5.256a2.251 2.251 0 11-1.5 0V5.372A2.25 2.25 0 011.5 3.25zM11 2.5h-1V4h1a1 1 0 011 1v5.628a2.251 2.251 0 101.5 0V5A2.5 2.5 0 0011 2.5zm1 10.25a.75.75 0 111.5 0 .75.75 0 01-1.5 0zM3.75 12a.75.75 0 100 1.5.75.75 0 000-1.5z" />
+                                    </svg>
+                                    PRs Opened ({row.prsList.length})
+                                  </h5>
+                                  <ul className="space-y-1 max-h-32 overflow-y-auto text-xs">
+                                    {row.prsList.slice(0, 10).map((pr, i) => (
+                                      <li key={i} className="truncate">
+                                        <a
+                                          href={pr.url}
+                                          target="_blank"
+                                          rel="noopener noreferrer"
+                                          className="text-blue-600 hover:underline"
+                                          onClick={(e) => e.stopPropagation()}
+                                        >
+                                          <span
+                                            className={`inline-block w-2 h-2 rounded-full mr-1 ${
+                                              pr.merged
+                                                ? "bg-purple-500"
+                                                : pr.state === "open"
+                                                ? "bg-green-500"
+                                                : "bg-red-500"
+                                            }`}
+                                          ></span>
+                                          {pr.repo}#{pr.number}: {pr.title}
+                                        </a>
+                                      </li>
+                                    ))}
+                                    {row.prsList.length > 10 && (
+                                      <li className="text-gray-500">
+                                        ...and {row.prsList.length - 10} more
+                                      </li>
+                                    )}
+                                  </ul>
+                                </div>
+                              )}
+
+                              {/* PRs Reviewed */}
+                              {row.reviewsList && row.reviewsList.length > 0 && (
+                                <div className="bg-white rounded-lg p-3 border border-gray-200">
+                                  <h5 className="text-sm font-medium text-indigo-700 mb-2 flex items-center gap-1">
+                                    <svg
+                                      className="w-4 h-4"
+                                      fill="currentColor"
+                                      viewBox="0 0 16 16"
+                                    >
+                                      <path d="M1.679 7.932c.412-.621 1.242-1.75 2.366-2.717C5.175 4.242 6.527 3.5 8 3.5c1.473 0 2.824.742 3.955 1.715 1.124.967 1.954 2.096 2.366 2.717a.119.119 0 010 .136c-.412.621-1.242 1.75-2.366 2.717C10.825 11.758 9.473 12.5 8 12.5c-1.473 0-2.824-.742-3.955-1.715C2.92 9.818 2.09 8.69 1.679 8.068a.119.119 0 010-.136zM8 2c-1.981 0-3.67.992-4.933 2.078C1.797 5.169.88 6.423.43 7.1a1.619 1.619 0 000 1.798c.45.678 1.367 1.932 2.637 3.024C4.329 13.008 6.019 14 8 14c1.981 0 3.67-.992 4.933-2.078 1.27-1.091 2.187-2.346 2.637-3.023a1.619 1.619 0 000-1.798c-.45-.678-1.367-1.932-2.637-3.023C11.671 2.992 9.981 2 8 2zm0 8a2 2 0 100-4 2 2 0 000 4z" />
+                                    </svg>
+                                    PRs Reviewed ({row.reviewsList.length})
+                                  </h5>
+                                  <ul className="space-y-1 max-h-32 overflow-y-auto text-xs">
+                                    {row.reviewsList.slice(0, 10).map((pr, i) => (
+                                      <li
+                                        key={i}
+                                        className="truncate"
+                                        title={REVIEW_BREAKDOWN.find((s) => s.state === pr.state)?.label}
                                       >
-                                        <code className="text-gray-500 mr-1">
-                                          {commit.sha}
-                                        </code>
-                                        {commit.repo}: {commit.message}
-                                      </a>
-                                    </li>
-                                  ))}
-                                {row.commitsList.length > 10 && (
-                                  <li className="text-gray-500">
-                                    ...and {row.commitsList.length - 10} more
-                                  </li>
-                                )}
-                              </ul>
+                                        <a
+                                          href={pr.url}
+                                          target="_blank"
+                                          rel="noopener noreferrer"
+                                          className="text-blue-600 hover:underline"
+                                          onClick={(e) => e.stopPropagation()}
+                                        >
+                                          <span
+                                            className={`inline-block w-2 h-2 rounded-full mr-1 ${
+                                              REVIEW_BREAKDOWN.find((s) => s.state === pr.state)?.color ||
+                                              "bg-gray-400"
+                                            }`}
+                                          ></span>
+                                          {pr.repo}#{pr.number}: {pr.title}
+                                        </a>
+                                      </li>
+                                    ))}
+                                    {row.reviewsList.length > 10 && (
+                                      <li className="text-gray-500">
+                                        ...and {row.reviewsList.length - 10} more
+                                      </li>
+                                    )}
+                                  </ul>
+                                </div>
+                              )}
+
+                              {/* Issues */}
+                              {row.issuesList && row.issuesList.length > 0 && (
+                                <div className="bg-white rounded-lg p-3 border border-gray-200">
+                                  <h5 className="text-sm font-medium text-teal-700 mb-2 flex items-center gap-1">
+                                    <svg
+                                      className="w-4 h-4"
+                                      fill="currentColor"
+                                      viewBox="0 0 16 16"
+                                    >
+                                      <path d="M8 9.5a1.5 1.5 0 100-3 1.5 1.5 0 000 3z" />
+                                      <path d="M8 0a8 8 0 110 16A8 8 0 018 0zM1.5 8a6.5 6.5 0 1013 0 6.5 6.5 0 00-13 0z" />
+                                    </svg>
+                                    Issues ({row.issuesList.length})
+                                  </h5>
+                                  <ul className="space-y-1 max-h-32 overflow-y-auto text-xs">
+                                    {row.issuesList.slice(0, 10).map((issue, i) => (
+                                      <li key={i} className="truncate" title={issue.action}>
+                                        <a
+                                          href={issue.url}
+                                          target="_blank"
+                                          rel="noopener noreferrer"
+                                          className="text-blue-600 hover:underline"
+                                          onClick={(e) => e.stopPropagation()}
+                                        >
+                                          <span
+                                            className={`inline-block w-2 h-2 rounded-full mr-1 ${
+                                              ISSUE_ACTION_COLORS[issue.action]
+                                            }`}
+                                          ></span>
+                                          {issue.repo}#{issue.number}: {issue.title}
+                                        </a>
+                                      </li>
+                                    ))}
+                                    {row.issuesList.length > 10 && (
+                                      <li className="text-gray-500">
+                                        ...and {row.issuesList.length - 10} more
+                                      </li>
+                                    )}
+                                  </ul>
+                                </div>
+                              )}
+
+                              {/* Commits */}
+                              {row.commitsList && row.commitsList.length > 0 && (
+                                <div className="bg-white rounded-lg p-3 border border-gray-200">
+                                  <h5 className="text-sm font-medium text-gray-700 mb-2 flex items-center gap-1">
+                                    <svg
+                                      className="w-4 h-4"
+                                      fill="currentColor"
+                                      viewBox="0 0 16 16"
+                                    >
+                                      <path d="M10.5 7.75a2.5 2.5 0 11-5 0 2.5 2.5 0 015 0zm1.43.75a4.002 4.002 0 01-7.86 0H.75a.75.75 0 110-1.5h3.32a4.001 4.001 0 017.86 0h3.32a.75.75 0 110 1.5h-3.32z" />
+                                    </svg>
+                                    Commits ({row.commitsList.length}
+                                    {row.commits > row.commitsList.length
+                                      ? "+"
+                                      : ""}
+                                    )
+                                  </h5>
+                                  <ul className="space-y-1 max-h-32 overflow-y-auto text-xs">
+                                    {row.commitsList
+                                      .slice(0, 10)
+                                      .map((commit, i) => (
+                                        <li
+                                          key={i}
+                                          className="truncate"
+                                          title={
+                                            commit.branches?.length
+                                              ? `On ${commit.branches.join(", ")}`
+                                              : undefined
+                                          }
+                                        >
+                                          <a
+                                            href={commit.url}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="text-blue-600 hover:underline"
+                                            onClick={(e) => e.stopPropagation()}
+                                          >
+                                            <code className="text-gray-500 mr-1">
+                                              {commit.sha}
+                                            </code>
+                                            {commit.repo}: {commit.message}
+                                          </a>
+                                        </li>
+                                      ))}
+                                    {row.commitsList.length > 10 && (
+                                      <li className="text-gray-500">
+                                        ...and {row.commitsList.length - 10} more
+                                      </li>
+                                    )}
+                                  </ul>
+                                </div>
+                              )}
                             </div>
-                          )}
-                        </div>
-                      </div>
-                    </td>
-                  </tr>
-                )}
-              </React.Fragment>
-            ))}
-          </tbody>
-        </table>
-      </div>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Excluded accounts */}
+          {excludedData.length > 0 && (
+            <div className="border border-gray-200 rounded-lg">
+              <button
+                type="button"
+                onClick={() => setShowExcluded(!showExcluded)}
+                className="w-full px-4 py-3 text-left text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors flex items-center gap-1"
+              >
+                <span className="text-gray-400">{showExcluded ? "▼" : "▶"}</span>
+                Excluded ({excludedData.length}{" "}
+                {excludedData.length === 1 ? "account" : "accounts"})
+              </button>
+              {showExcluded && (
+                <ul className="divide-y divide-gray-100 border-t border-gray-200">
+                  {excludedData.map((row) => (
+                    <li
+                      key={row.user}
+                      className="px-4 py-2 flex flex-wrap items-center justify-between gap-2 text-sm"
+                    >
+                      <span className="font-medium text-gray-700">{row.user}</span>
+                      <span className="text-gray-500">
+                        {formatNumber(row.commits)} commits ·{" "}
+                        {formatNumber(row.pullRequests || 0)} PRs ·{" "}
+                        {formatNumber(row.reviews || 0)} reviews ·{" "}
+                        {formatNumber(row.issuesOpened || 0)} issues ·{" "}
+                        <span className="italic">{row.excluded}</span>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </>
+      )}
     </div>
   );
 }
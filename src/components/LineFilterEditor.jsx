@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { DEFAULT_LINE_EXCLUSIONS, parseGlobList } from "../utils/fileFilters";
+
+export default function LineFilterEditor({
+  globs,
+  onGlobsChange,
+  useGitattributes,
+  onUseGitattributesChange,
+}) {
+  const [open, setOpen] = useState(false);
+  const globCount = parseGlobList(globs).length;
+
+  return (
+    <div className="pt-4 border-t border-gray-200">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1"
+      >
+        <span className="text-gray-400">{open ? "▼" : "▶"}</span>
+        Line Count Exclusions
+        <span className="ml-1 text-xs font-normal text-gray-500">
+          ({globCount} {globCount === 1 ? "pattern" : "patterns"}
+          {useGitattributes && ", .gitattributes"})
+        </span>
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={useGitattributes}
+              onChange={(e) => onUseGitattributesChange(e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Also exclude paths marked{" "}
+            <code className="bg-gray-100 px-1 rounded">linguist-generated</code>{" "}
+            or{" "}
+            <code className="bg-gray-100 px-1 rounded">linguist-vendored</code>{" "}
+            in each repo&apos;s .gitattributes
+          </label>
+          <textarea
+            value={globs}
+            onChange={(e) => onGlobsChange(e.target.value)}
+            rows={6}
+            spellCheck={false}
+            className="w-full px-4 py-2 font-mono text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all"
+          />
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-xs text-gray-500">
+              .gitignore-style globs, one per line. Matching files don&apos;t
+              count toward additions and deletions; raw totals stay visible in
+              each contributor&apos;s details. Applies on the next run.
+            </p>
+            {globs !== DEFAULT_LINE_EXCLUSIONS && (
+              <button
+                type="button"
+                onClick={() => onGlobsChange(DEFAULT_LINE_EXCLUSIONS)}
+                className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Restore defaults
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -9,7 +9,7 @@ export default function OrgInput({ value, onChange, onSubmit, loading }) {
   return (
     <form onSubmit={handleSubmit} className="space-y-2">
       <label htmlFor="org" className="block text-sm font-medium text-gray-700">
-        GitHub Organization
+        Organizations, Users or Repos
       </label>
       <div className="flex gap-2">
         <input
@@ -17,7 +17,7 @@ export default function OrgInput({ value, onChange, onSubmit, loading }) {
           id="org"
           value={value}
           onChange={(e) => onChange(e.target.value)}
-          placeholder="e.g., facebook, microsoft, google"
+          placeholder="e.g., facebook, torvalds, vercel/next.js"
           className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all"
           disabled={loading}
         />
@@ -51,6 +51,13 @@ export default function OrgInput({ value, onChange, onSubmit, loading }) {
           )}
         </button>
       </div>
+      <p className="text-xs text-gray-500">
+        Separate several owners with commas; add single repositories as{" "}
+        <code className="bg-gray-100 px-1 rounded">owner/repo</code>. Prefix
+        GitLab and Gitea entries with{" "}
+        <code className="bg-gray-100 px-1 rounded">gitlab:</code> or{" "}
+        <code className="bg-gray-100 px-1 rounded">gitea:</code>.
+      </p>
     </form>
   );
 }
@@ -5,14 +5,30 @@ export default function ProgressBar({
   message,
   logs = [],
   isComplete = false,
+  isCancelled = false,
+  isPaused = false,
+  onPause,
+  onResume,
+  onCancel,
+  rateLimit = null,
 }) {
   const [expanded, setExpanded] = useState(false);
+  const budgets = Object.entries(rateLimit?.limits || {});
+  // Hosts are only named once there is more than one
+  const multipleHosts = new Set(budgets.map(([, { host }]) => host)).size > 1;
 
   return (
     <div className="space-y-2">
+      {rateLimit?.pausedUntil && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg px-3 py-2 text-sm text-yellow-800">
+          {rateLimit.pauseReason || "Rate limited"} - paused until{" "}
+          {new Date(rateLimit.pausedUntil).toLocaleTimeString()}, will resume
+          automatically
+        </div>
+      )}
       <div className="flex justify-between text-sm text-gray-600">
         <span className="flex items-center gap-2">
-          {isComplete && (
+          {isComplete && !isCancelled && (
             <svg
               className="w-4 h-4 text-green-500"
               fill="currentColor"
@@ -27,17 +43,74 @@ export default function ProgressBar({
           )}
           {message || "Loading..."}
         </span>
-        <span>{progress}%</span>
+        <span className="flex items-center gap-3">
+          {!isComplete && (onPause || onCancel) && (
+            <span className="flex gap-2">
+              {isPaused
+                ? onResume && (
+                    <button
+                      type="button"
+                      onClick={onResume}
+                      className="px-2 py-0.5 text-xs font-medium text-blue-700 bg-blue-100 rounded hover:bg-blue-200 transition-colors"
+                    >
+                      Resume
+                    </button>
+                  )
+                : onPause && (
+                    <button
+                      type="button"
+                      onClick={onPause}
+                      className="px-2 py-0.5 text-xs font-medium text-gray-700 bg-gray-100 rounded hover:bg-gray-200 transition-colors"
+                    >
+                      Pause
+                    </button>
+                  )}
+              {onCancel && (
+                <button
+                  type="button"
+                  onClick={onCancel}
+                  className="px-2 py-0.5 text-xs font-medium text-red-700 bg-red-100 rounded hover:bg-red-200 transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+            </span>
+          )}
+          <span>{progress}%</span>
+        </span>
       </div>
       <div className="w-full h-3 bg-gray-200 rounded-full overflow-hidden">
         <div
           className={`h-full transition-all duration-300 ease-out ${
-            isComplete ? "bg-green-500" : "bg-blue-600"
+            isCancelled
+              ? "bg-gray-400"
+              : isComplete
+              ? "bg-green-500"
+              : isPaused
+              ? "bg-yellow-500"
+              : "bg-blue-600"
           }`}
           style={{ width: `${progress}%` }}
         />
       </div>
 
+      {/* Remaining API budget per host and rate limit resource */}
+      {budgets.length > 0 && (
+        <div className="flex flex-wrap gap-4 text-xs text-gray-500">
+          {budgets.map(([key, { host, resource, limit, remaining, reset }]) => (
+            <span key={key}>
+              <span className="font-medium">
+                {multipleHosts ? `${host} ${resource}` : resource}
+              </span>
+              : {remaining}
+              {limit ? `/${limit}` : ""} requests left
+              {reset &&
+                `, resets at ${new Date(reset * 1000).toLocaleTimeString()}`}
+            </span>
+          ))}
+        </div>
+      )}
+
       {/* Collapsible logs section */}
       {logs.length > 0 && (
         <div className="mt-3">
@@ -128,6 +201,11 @@ export default function ProgressBar({
                               {log.prCount} PRs
                             </span>
                           )}
+                          {log.issueCount > 0 && (
+                            <span className="text-teal-600">
+                              {log.issueCount} issues
+                            </span>
+                          )}
                           {log.mergedPRCount > 0 ? (
                             <span className="text-green-600">
                               {log.mergedPRCount} merged: {log.totalCommits}{" "}
@@ -25,7 +25,7 @@ export default function RepoSelector({
     // Filter by search term
     if (searchTerm) {
       result = result.filter((repo) =>
-        repo.name.toLowerCase().includes(searchTerm.toLowerCase())
+        repo.label.toLowerCase().includes(searchTerm.toLowerCase())
       );
     }
 
@@ -35,7 +35,7 @@ export default function RepoSelector({
         case "pushed":
           return new Date(b.pushed_at || 0) - new Date(a.pushed_at || 0);
         case "name":
-          return a.name.localeCompare(b.name);
+          return a.label.localeCompare(b.label);
         case "stars":
           return (b.stargazers_count || 0) - (a.stargazers_count || 0);
         case "size":
@@ -190,7 +190,7 @@ export default function RepoSelector({
                   />
                   <div className="flex-1 min-w-0">
                     <p className="font-medium text-gray-900 truncate">
-                      {repo.name}
+                      {repo.label}
                       {repo.fork && (
                         <span className="ml-2 text-xs text-gray-400 font-normal">
                           (fork)
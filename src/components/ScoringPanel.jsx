@@ -0,0 +1,173 @@
+import { useState, useMemo } from "react";
+import {
+  SCORE_METRICS,
+  BUILT_IN_PRESETS,
+  computeScore,
+} from "../utils/scoring";
+
+const PREVIEW_SIZE = 10;
+
+// Orders users by score under the given weights, best first
+function rankUsers(data, weights) {
+  return data
+    .map((row) => ({ user: row.user, score: computeScore(row, weights) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+export default function ScoringPanel({
+  data,
+  weights,
+  onApply,
+  presets,
+  onSavePreset,
+  onDeletePreset,
+}) {
+  // Edits stay local until applied so the preview can show what would change
+  const [draft, setDraft] = useState(weights);
+  const [presetName, setPresetName] = useState("");
+
+  const preview = useMemo(() => {
+    const currentRanks = new Map(
+      rankUsers(data, weights).map((entry, index) => [entry.user, index + 1])
+    );
+    return rankUsers(data, draft)
+      .slice(0, PREVIEW_SIZE)
+      .map((entry, index) => ({
+        ...entry,
+        moved: currentRanks.get(entry.user) - (index + 1),
+      }));
+  }, [data, weights, draft]);
+
+  const isDirty = SCORE_METRICS.some(
+    ({ key }) => (draft[key] || 0) !== (weights[key] || 0)
+  );
+  const allPresets = [...BUILT_IN_PRESETS, ...presets];
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    onSavePreset(name, draft);
+    setPresetName("");
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <div className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          {allPresets.map((preset) => {
+            const isSaved = !BUILT_IN_PRESETS.includes(preset);
+            return (
+              <span
+                key={`${isSaved ? "saved" : "builtin"}-${preset.name}`}
+                className="inline-flex items-center rounded-lg bg-white border border-gray-200 text-sm"
+              >
+                <button
+                  type="button"
+                  onClick={() => setDraft({ ...preset.weights })}
+                  className="px-3 py-1 text-gray-700 hover:text-blue-600"
+                >
+                  {preset.name}
+                </button>
+                {isSaved && (
+                  <button
+                    type="button"
+                    onClick={() => onDeletePreset(preset.name)}
+                    className="pr-2 text-gray-400 hover:text-red-600"
+                    title={`Delete preset "${preset.name}"`}
+                  >
+                    ×
+                  </button>
+                )}
+              </span>
+            );
+          })}
+        </div>
+
+        <div className="space-y-2">
+          {SCORE_METRICS.map(({ key, label, step }) => (
+            <label
+              key={key}
+              className="flex items-center justify-between gap-4 text-sm text-gray-700"
+            >
+              {label}
+              <input
+                type="number"
+                min={0}
+                step={step}
+                value={draft[key] ?? 0}
+                onChange={(e) =>
+                  setDraft({ ...draft, [key]: Number(e.target.value) || 0 })
+                }
+                className="w-28 px-2 py-1 text-right border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none bg-white"
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={() => onApply(draft)}
+            disabled={!isDirty}
+            className="px-4 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 disabled:cursor-not-allowed transition-colors"
+          >
+            Apply
+          </button>
+          <button
+            type="button"
+            onClick={() => setDraft(weights)}
+            disabled={!isDirty}
+            className="px-4 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Reset
+          </button>
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleSavePreset()}
+            placeholder="Preset name"
+            className="flex-1 min-w-[120px] px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none bg-white"
+          />
+          <button
+            type="button"
+            onClick={handleSavePreset}
+            disabled={!presetName.trim()}
+            className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Save preset
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-700 mb-2">
+          Preview {isDirty ? "(unsaved weights)" : ""}
+        </h4>
+        <ol className="space-y-1 text-sm">
+          {preview.map((entry, index) => (
+            <li key={entry.user} className="flex items-center gap-2">
+              <span className="w-6 text-right text-gray-500">{index + 1}.</span>
+              <span className="flex-1 truncate text-gray-800">
+                {entry.user}
+              </span>
+              {entry.moved !== 0 && (
+                <span
+                  className={`text-xs font-medium ${
+                    entry.moved > 0 ? "text-green-600" : "text-red-600"
+                  }`}
+                >
+                  {entry.moved > 0 ? "▲" : "▼"}
+                  {Math.abs(entry.moved)}
+                </span>
+              )}
+              <span className="w-16 text-right font-medium text-gray-700">
+                {entry.score.toLocaleString()}
+              </span>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useState } from "react";
+import { parseTeams } from "../utils/teams";
+
+const PLACEHOLDER = `# One team per line: name, then member logins
+Platform: alice, bob
+Frontend: carol, dave`;
+
+export default function TeamEditor({ value, onChange, onImport, canImport }) {
+  const [open, setOpen] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState("");
+  const teamCount = parseTeams(value).length;
+
+  const handleImport = async () => {
+    setImporting(true);
+    setImportError("");
+    try {
+      await onImport();
+    } catch (err) {
+      setImportError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="pt-4 border-t border-gray-200">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1"
+      >
+        <span className="text-gray-400">{open ? "▼" : "▶"}</span>
+        Teams
+        {teamCount > 0 && (
+          <span className="ml-1 text-xs font-normal text-gray-500">
+            ({teamCount} {teamCount === 1 ? "team" : "teams"})
+          </span>
+        )}
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder={PLACEHOLDER}
+            rows={5}
+            spellCheck={false}
+            className="w-full px-4 py-2 font-mono text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-all"
+          />
+          {importError && <p className="text-xs text-red-600">{importError}</p>}
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-xs text-gray-500">
+              Groups contributors for the Teams tab of the leaderboard. Importing
+              replaces teams of the same name with the GitHub teams of the
+              listed organizations and keeps the rest.
+            </p>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={!canImport || importing}
+              className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {importing ? "Importing..." : "Import GitHub Teams"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
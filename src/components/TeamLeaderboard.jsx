@@ -0,0 +1,231 @@
+import React, { useState, useMemo } from "react";
+import ContributionGraph from "./ContributionGraph";
+import { aggregateTeams } from "../utils/teams";
+import { formatNumber } from "../utils/format";
+
+const TEAM_SORT_KEYS = [
+  { key: "score", label: "Impact" },
+  { key: "perCapitaScore", label: "Impact / Member" },
+  { key: "net", label: "Net Lines" },
+  { key: "commits", label: "Commits" },
+  { key: "mergedPullRequests", label: "PRs Merged" },
+  { key: "reviews", label: "Reviews" },
+];
+
+function signed(value) {
+  return `${value >= 0 ? "+" : ""}${formatNumber(value)}`;
+}
+
+export default function TeamLeaderboard({ data, teams, searchTerm = "" }) {
+  const [sortKey, setSortKey] = useState("score");
+  const [expandedTeam, setExpandedTeam] = useState(null);
+
+  const teamRows = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return aggregateTeams(data, teams)
+      .filter((row) => !term || row.team.toLowerCase().includes(term))
+      .sort((a, b) => b[sortKey] - a[sortKey]);
+  }, [data, teams, sortKey, searchTerm]);
+
+  if (teams.length === 0) {
+    return (
+      <div className="text-center py-8 text-gray-500">
+        No teams defined. Add teams under Teams in the settings above, or
+        import them from GitHub.
+      </div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+      <table className="w-full">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">
+              Rank
+            </th>
+            <th className="px-4 py-3 text-left text-sm font-semibold text-gray-700">
+              Team
+            </th>
+            {TEAM_SORT_KEYS.map(({ key, label }) => (
+              <th
+                key={key}
+                onClick={() => setSortKey(key)}
+                className={`px-4 py-3 text-right text-sm font-semibold cursor-pointer hover:bg-gray-100 transition-colors ${
+                  key === sortKey ? "text-blue-700" : "text-gray-700"
+                } ${key === "score" ? "" : "hidden md:table-cell"}`}
+              >
+                {label} {key === sortKey && "↓"}
+              </th>
+            ))}
+            <th className="px-4 py-3 text-center text-sm font-semibold text-gray-700 hidden lg:table-cell">
+              Activity
+            </th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {teamRows.map((row, index) => (
+            <React.Fragment key={row.team}>
+              <tr
+                className="hover:bg-gray-50 transition-colors cursor-pointer"
+                onClick={() =>
+                  setExpandedTeam(expandedTeam === row.team ? null : row.team)
+                }
+              >
+                <td className="px-4 py-3 text-sm text-gray-600">
+                  <span className="inline-flex items-center justify-center w-8 h-8 rounded-full font-semibold bg-gray-50 text-gray-600">
+                    {index + 1}
+                  </span>
+                </td>
+                <td className="px-4 py-3">
+                  <div className="font-medium text-gray-800">{row.team}</div>
+                  <div className="text-xs text-gray-500">
+                    {row.size} {row.size === 1 ? "member" : "members"},{" "}
+                    {row.members.length} active
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-right text-sm font-semibold text-blue-700">
+                  {formatNumber(row.score)}
+                </td>
+                <td className="px-4 py-3 text-right text-sm text-blue-600 hidden md:table-cell">
+                  {formatNumber(row.perCapitaScore)}
+                </td>
+                <td
+                  className={`px-4 py-3 text-right text-sm hidden md:table-cell ${
+                    row.net >= 0 ? "text-green-600" : "text-red-600"
+                  }`}
+                >
+                  {signed(row.net)}
+                </td>
+                <td className="px-4 py-3 text-right text-sm text-gray-700 hidden md:table-cell">
+                  {formatNumber(row.commits)}
+                </td>
+                <td className="px-4 py-3 text-right text-sm text-purple-600 hidden md:table-cell">
+                  {formatNumber(row.mergedPullRequests)}
+                </td>
+                <td className="px-4 py-3 text-right text-sm text-indigo-600 hidden md:table-cell">
+                  {formatNumber(row.reviews)}
+                </td>
+                <td className="px-4 py-3 hidden lg:table-cell">
+                  <div className="w-32">
+                    <ContributionGraph weeklyData={row.weeklyData} height={32} />
+                  </div>
+                </td>
+              </tr>
+              {expandedTeam === row.team && (
+                <tr className="bg-gray-50">
+                  <td colSpan={9} className="px-4 py-4">
+                    <div className="space-y-4">
+                      <div className="flex flex-wrap gap-4 text-sm">
+                        <span className="text-gray-500">Per member:</span>
+                        <span className="text-blue-700">
+                          {formatNumber(row.perCapita.score)} Impact
+                        </span>
+                        <span className="text-gray-700">
+                          {formatNumber(row.perCapita.commits)} commits
+                        </span>
+                        <span className="text-purple-600">
+                          {formatNumber(row.perCapita.mergedPullRequests)} PRs
+                          merged
+                        </span>
+                        <span className="text-indigo-600">
+                          {formatNumber(row.perCapita.reviews)} reviews
+                        </span>
+                        <span
+                          className={
+                            row.perCapita.net >= 0
+                              ? "text-green-600"
+                              : "text-red-600"
+                          }
+                        >
+                          {signed(row.perCapita.net)} net lines
+                        </span>
+                      </div>
+                      <ContributionGraph
+                        weeklyData={row.weeklyData}
+                        height={80}
+                      />
+                      {row.members.length > 0 && (
+                        <table className="w-full text-sm bg-white border border-gray-200 rounded-lg">
+                          <thead className="text-gray-500">
+                            <tr>
+                              <th className="px-3 py-2 text-left font-medium">
+                                Member
+                              </th>
+                              <th className="px-3 py-2 text-right font-medium">
+                                Impact
+                              </th>
+                              <th className="px-3 py-2 text-right font-medium">
+                                Net Lines
+                              </th>
+                              <th className="px-3 py-2 text-right font-medium">
+                                Commits
+                              </th>
+                              <th className="px-3 py-2 text-right font-medium">
+                                PRs Merged
+                              </th>
+                              <th className="px-3 py-2 text-right font-medium">
+                                Reviews
+                              </th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-100">
+                            {row.members.map((member) => (
+                              <tr key={member.user}>
+                                <td className="px-3 py-2">
+                                  <div className="flex items-center gap-2">
+                                    {member.avatarUrl && (
+                                      <img
+                                        src={member.avatarUrl}
+                                        alt={member.user}
+                                        className="w-6 h-6 rounded-full"
+                                      />
+                                    )}
+                                    <span className="text-gray-800">
+                                      {member.user}
+                                    </span>
+                                  </div>
+                                </td>
+                                <td className="px-3 py-2 text-right text-blue-700">
+                                  {formatNumber(member.score)}
+                                </td>
+                                <td
+                                  className={`px-3 py-2 text-right ${
+                                    member.net >= 0
+                                      ? "text-green-600"
+                                      : "text-red-600"
+                                  }`}
+                                >
+                                  {signed(member.net)}
+                                </td>
+                                <td className="px-3 py-2 text-right text-gray-700">
+                                  {formatNumber(member.commits)}
+                                </td>
+                                <td className="px-3 py-2 text-right text-purple-600">
+                                  {formatNumber(member.mergedPullRequests || 0)}
+                                </td>
+                                <td className="px-3 py-2 text-right text-indigo-600">
+                                  {formatNumber(member.reviews || 0)}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                      {row.inactiveMembers.length > 0 && (
+                        <p className="text-xs text-gray-500">
+                          No activity in this range:{" "}
+                          {row.inactiveMembers.join(", ")}
+                        </p>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
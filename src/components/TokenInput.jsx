@@ -1,6 +1,11 @@
 import { useState } from "react";
 
-export default function TokenInput({ value, onChange, onClear }) {
+export default function TokenInput({
+  value,
+  onChange,
+  onClear,
+  webBase = "https://github.com",
+}) {
   const [showToken, setShowToken] = useState(false);
   const isSaved = value && value.length > 0;
 
@@ -48,12 +53,12 @@ export default function TokenInput({ value, onChange, onClear }) {
       <p className="text-xs text-gray-500">
         Create a token at{" "}
         <a
-          href="https://github.com/settings/tokens"
+          href={`${webBase}/settings/tokens`}
           target="_blank"
           rel="noopener noreferrer"
           className="text-blue-600 hover:underline"
         >
-          github.com/settings/tokens
+          {webBase.replace(/^https?:\/\//, "")}/settings/tokens
         </a>
         . Requires <code className="bg-gray-100 px-1 rounded">read:org</code>{" "}
         and <code className="bg-gray-100 px-1 rounded">repo</code> scopes.
@@ -0,0 +1,121 @@
+import { useState } from "react";
+
+export default function WorkspaceSwitcher({
+  workspaces,
+  active,
+  onSelect,
+  onSave,
+  onDelete,
+  onImport,
+  onExport,
+}) {
+  const [naming, setNaming] = useState(false);
+  const [name, setName] = useState("");
+
+  const handleSaveAs = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName("");
+    setNaming(false);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    onImport(await file.text());
+    e.target.value = "";
+  };
+
+  const buttonClass =
+    "px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors";
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <label htmlFor="workspace" className="text-sm font-medium text-gray-700">
+        Workspace
+      </label>
+      <select
+        id="workspace"
+        value={active || ""}
+        onChange={(e) => onSelect(e.target.value || null)}
+        className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none bg-white"
+      >
+        <option value="">None</option>
+        {workspaces.map((workspace) => (
+          <option key={workspace.name} value={workspace.name}>
+            {workspace.name}
+          </option>
+        ))}
+      </select>
+      {naming ? (
+        <form onSubmit={handleSaveAs} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Workspace name"
+            autoFocus
+            className="w-40 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+          />
+          <button type="submit" disabled={!name.trim()} className={buttonClass}>
+            Save
+          </button>
+          <button
+            type="button"
+            onClick={() => setNaming(false)}
+            className="px-2 py-1.5 text-sm text-gray-500 hover:text-gray-700"
+          >
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <>
+          {active && (
+            <button
+              type="button"
+              onClick={() => onSave(active)}
+              className={buttonClass}
+              title={`Overwrite "${active}" with the current settings`}
+            >
+              Save
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => setNaming(true)}
+            className={buttonClass}
+          >
+            Save As…
+          </button>
+          {active && (
+            <button
+              type="button"
+              onClick={() => onDelete(active)}
+              className="px-3 py-1.5 text-sm font-medium text-red-600 hover:text-red-800 transition-colors"
+            >
+              Delete
+            </button>
+          )}
+        </>
+      )}
+      <label className={`${buttonClass} cursor-pointer`}>
+        Import
+        <input
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </label>
+      <button
+        type="button"
+        onClick={onExport}
+        disabled={workspaces.length === 0}
+        className={`${buttonClass} disabled:opacity-50 disabled:cursor-not-allowed`}
+      >
+        Export
+      </button>
+    </div>
+  );
+}
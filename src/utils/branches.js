@@ -0,0 +1,83 @@
+// Branch scope: which branches commits are counted on. Work on long-lived release
+// branches, or feature branches that get squash-merged, never reaches the default
+// branch with its original authors, so the scope can widen to every branch or a list.
+
+export const BRANCH_SCOPES = [
+  { value: 'default', label: 'Default branch' },
+  { value: 'all', label: 'All branches' },
+  { value: 'list', label: 'Chosen branches' },
+];
+
+export const DEFAULT_BRANCH_SETTINGS = { mode: 'default', branches: '' };
+
+/**
+ * Parses a branch list, separated by commas, spaces or new lines
+ * @param {string} text - e.g. "main, release/*"
+ * @returns {Array<string>} Branch names and `*` wildcard patterns, each once
+ */
+export function parseBranchList(text) {
+  return [...new Set((text || '').split(/[\s,]+/).filter(Boolean))];
+}
+
+/**
+ * Creates a predicate matching branch names against names and `*` wildcards
+ * Unlike path globs, `*` also matches slashes, so `release*` covers `release/1.0`.
+ * @param {Array<string>} patterns - Branch names and patterns
+ * @returns {Function} (branch) => boolean
+ */
+function createBranchMatcher(patterns) {
+  const regExps = patterns.map(pattern =>
+    new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+  );
+  return branch => regExps.some(regExp => regExp.test(branch));
+}
+
+/**
+ * Tells whether a branch scope needs the repository's branch list
+ * @param {Object} scope - { mode, branches }
+ * @returns {boolean}
+ */
+export function needsBranchList(scope) {
+  return Boolean(scope) && scope.mode !== 'default';
+}
+
+/**
+ * Picks the branches whose commits are counted in a repository
+ * The default branch comes first, so its copy of a commit is the one kept.
+ * @param {Object|null} scope - { mode, branches } with branches parsed (see parseBranchList); null for the default branch
+ * @param {string} defaultBranch - The repository's default branch
+ * @param {Array<string>} available - The repository's branches; only read when needsBranchList(scope)
+ * @returns {Array<string>} Branch names
+ */
+export function selectBranches(scope, defaultBranch, available = []) {
+  if (!needsBranchList(scope)) {
+    return [defaultBranch];
+  }
+  const matches = scope.mode === 'all' ? () => true : createBranchMatcher(scope.branches);
+  const selected = available.filter(branch => matches(branch));
+  return selected.includes(defaultBranch)
+    ? [defaultBranch, ...selected.filter(branch => branch !== defaultBranch)]
+    : selected;
+}
+
+/**
+ * Merges the commit lists of several branches
+ * A commit reachable from several branches is counted once, with every branch it
+ * was seen on in `branches`.
+ * @param {Array<Object>} branchCommits - [{ branch, commits }]
+ * @returns {Array<Object>} Commit copies with a branches field, newest first
+ */
+export function mergeBranchCommits(branchCommits) {
+  const bySha = new Map();
+  branchCommits.forEach(({ branch, commits }) => {
+    commits.forEach(commit => {
+      const seen = bySha.get(commit.sha);
+      if (seen) {
+        seen.branches.push(branch);
+      } else {
+        bySha.set(commit.sha, { ...commit, branches: [branch] });
+      }
+    });
+  });
+  return [...bySha.values()].sort((a, b) => new Date(b.date) - new Date(a.date));
+}
@@ -0,0 +1,419 @@
+// Cache backends for forge API data (GitHub, GitLab, Gitea).
+// A backend is an object with these async methods:
+//   get(key) / set(key, value)                       - whole values (repo lists, stats)
+//   getRecords(store, key) / setRecords(store, key, scope, records)
+//                                                     - per-entity records (commits, PRs, reviews, issues)
+//   clear()                                           - removes everything
+//   usage()                                           - { bytes, entries }
+// IndexedDB is used where available, with localStorage as the fallback.
+
+export const CACHE_EXPIRY_MS = 30 * 60 * 1000; // 30 minutes
+
+const CACHE_PREFIX = 'github_leaderboard_cache_';
+const DB_NAME = 'github_leaderboard_cache';
+const DB_VERSION = 3;
+const MAX_CACHE_BYTES = 100 * 1024 * 1024; // 100MB before LRU eviction kicks in
+
+// Entity stores: field identifying a record within a repo, plus secondary indexes
+export const ENTITY_STORES = {
+  commits: { idField: 'sha', indexes: ['date'] },
+  pullRequests: { idField: 'number', indexes: ['updated_at'] },
+  reviews: { idField: 'id', indexes: ['pr_number'] },
+  issues: { idField: 'number', indexes: ['updated_at'] },
+  issueEvents: { idField: 'id', indexes: ['issue_number'] },
+};
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves when a transaction commits
+ * @param {IDBTransaction} tx - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Opens (and creates or upgrades) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      // Before version 3 records were stored once per cache key and had no references
+      if (event.oldVersion > 0 && event.oldVersion < 3) {
+        Array.from(db.objectStoreNames).forEach(name => request.transaction.objectStore(name).clear());
+      }
+      // One manifest per cache key: a whole value, or the ids of the entity records it covers
+      if (!db.objectStoreNames.contains('queries')) {
+        const queries = db.createObjectStore('queries', { keyPath: 'key' });
+        queries.createIndex('lastAccess', 'lastAccess');
+      }
+      // Stores added in later versions are created when an older database is opened
+      Object.entries(ENTITY_STORES).forEach(([name, { indexes }]) => {
+        if (db.objectStoreNames.contains(name)) return;
+        const store = db.createObjectStore(name, { keyPath: 'id' });
+        store.createIndex('scope', 'scope');
+        indexes.forEach(field => store.createIndex(field, `record.${field}`));
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates a cache backend that keeps everything in localStorage
+ * Items over 500KB are skipped, and the cache is cleared when the quota runs out.
+ * @returns {Object} Cache backend
+ */
+export function createLocalStorageCache() {
+  const listKeys = () => {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key?.startsWith(CACHE_PREFIX)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  };
+
+  const clearAll = () => {
+    listKeys().forEach(key => localStorage.removeItem(key));
+  };
+
+  const clearExpired = () => {
+    const keysToRemove = listKeys().filter(key => {
+      try {
+        const { timestamp } = JSON.parse(localStorage.getItem(key));
+        return Date.now() - timestamp > CACHE_EXPIRY_MS;
+      } catch {
+        return true;
+      }
+    });
+    keysToRemove.forEach(key => localStorage.removeItem(key));
+  };
+
+  const get = async (key) => {
+    try {
+      const cached = localStorage.getItem(CACHE_PREFIX + key);
+      if (!cached) return null;
+
+      const { data, timestamp } = JSON.parse(cached);
+      if (Date.now() - timestamp > CACHE_EXPIRY_MS) {
+        localStorage.removeItem(CACHE_PREFIX + key);
+        return null;
+      }
+      return data;
+    } catch {
+      return null;
+    }
+  };
+
+  const set = async (key, data) => {
+    try {
+      const serialized = JSON.stringify({
+        data,
+        timestamp: Date.now()
+      });
+
+      // Check if this single item is too large (> 500KB)
+      if (serialized.length > 500 * 1024) {
+        console.warn(`Cache item too large for ${key}, skipping`);
+        return;
+      }
+
+      // Try to save, if quota exceeded, clear old entries and retry
+      try {
+        localStorage.setItem(CACHE_PREFIX + key, serialized);
+      } catch (e) {
+        if (e.name === 'QuotaExceededError' || e.code === 22) {
+          clearExpired();
+          try {
+            localStorage.setItem(CACHE_PREFIX + key, serialized);
+          } catch {
+            // Still failing, clear all our cache
+            clearAll();
+            // Don't retry again to avoid infinite loop
+            console.warn('Cache quota exceeded, cache cleared');
+          }
+        }
+      }
+    } catch (e) {
+      console.warn('Cache save failed:', e);
+    }
+  };
+
+  return {
+    get,
+    set,
+    getRecords: (store, key) => get(`${store}_${key}`),
+    setRecords: (store, key, scope, records) => set(`${store}_${key}`, records),
+    clear: async () => clearAll(),
+    usage: async () => {
+      const keys = listKeys();
+      const bytes = keys.reduce((sum, key) => sum + (localStorage.getItem(key)?.length || 0), 0);
+      return { bytes, entries: keys.length };
+    },
+  };
+}
+
+/**
+ * Creates a cache backend on IndexedDB
+ * Entities are stored once per repo (commits by sha, PRs by number, reviews by id), so
+ * overlapping ranges and branches share them; each cache key's manifest lists the ids it
+ * covers and each entity the keys referencing it. Keys are evicted least-recently-used first
+ * once the total size passes MAX_CACHE_BYTES (a key's size counts every record it lists, shared
+ * or not), and an entity is removed with the last key referencing it.
+ * If the database can't be opened every call is delegated to `fallback`.
+ * @param {Object} fallback - Backend to use when IndexedDB is unavailable
+ * @returns {Object} Cache backend
+ */
+export function createIndexedDBCache(fallback = createLocalStorageCache()) {
+  const dbPromise = openDatabase().catch(error => {
+    console.warn('IndexedDB unavailable, falling back to localStorage cache:', error);
+    return null;
+  });
+
+  const withDb = (method) => async (...args) => {
+    const db = await dbPromise;
+    if (!db) return fallback[method](...args);
+    try {
+      return await backend[method](db, ...args);
+    } catch (e) {
+      console.warn(`Cache ${method} failed:`, e);
+      return method === 'get' || method === 'getRecords' ? null : undefined;
+    }
+  };
+
+  /**
+   * Removes a key's references from entities, deleting the ones nothing else references
+   */
+  const releaseIds = (tx, storeName, key, ids) => {
+    const store = tx.objectStore(storeName);
+    return Promise.all(ids.map(async id => {
+      const entry = await promisifyRequest(store.get(id));
+      if (!entry) return;
+      const refs = entry.refs.filter(ref => ref !== key);
+      if (refs.length > 0) {
+        store.put({ ...entry, refs });
+      } else {
+        store.delete(id);
+      }
+    }));
+  };
+
+  /**
+   * Deletes a manifest along with the entity references it holds
+   */
+  const deleteManifest = async (tx, manifest) => {
+    tx.objectStore('queries').delete(manifest.key);
+    if (manifest.store) {
+      await releaseIds(tx, manifest.store, manifest.key, manifest.ids);
+    }
+  };
+
+  /**
+   * Reads a manifest, dropping it if expired and bumping its last access time
+   */
+  const readManifest = async (tx, key) => {
+    const queries = tx.objectStore('queries');
+    const manifest = await promisifyRequest(queries.get(key));
+    if (!manifest) return null;
+    if (Date.now() - manifest.timestamp > CACHE_EXPIRY_MS) {
+      await deleteManifest(tx, manifest);
+      return null;
+    }
+    queries.put({ ...manifest, lastAccess: Date.now() });
+    return manifest;
+  };
+
+  /**
+   * Evicts expired and least-recently-used keys until the cache fits its budget
+   */
+  const evict = async (db) => {
+    const tx = db.transaction(['queries', ...Object.keys(ENTITY_STORES)], 'readwrite');
+    const manifests = await promisifyRequest(tx.objectStore('queries').index('lastAccess').getAll());
+
+    let total = manifests.reduce((sum, m) => sum + m.size, 0);
+    const now = Date.now();
+    // Oldest access first, so this drops the least recently used
+    const evicted = manifests.filter(manifest => {
+      if (total <= MAX_CACHE_BYTES && now - manifest.timestamp <= CACHE_EXPIRY_MS) return false;
+      total -= manifest.size;
+      return true;
+    });
+    await Promise.all(evicted.map(manifest => deleteManifest(tx, manifest)));
+    await transactionDone(tx);
+  };
+
+  const backend = {
+    async get(db, key) {
+      const tx = db.transaction(['queries', ...Object.keys(ENTITY_STORES)], 'readwrite');
+      const manifest = await readManifest(tx, key);
+      await transactionDone(tx);
+      return manifest ? manifest.value : null;
+    },
+
+    async set(db, key, value) {
+      const tx = db.transaction('queries', 'readwrite');
+      const now = Date.now();
+      tx.objectStore('queries').put({
+        key,
+        value,
+        timestamp: now,
+        lastAccess: now,
+        size: JSON.stringify(value).length,
+      });
+      await transactionDone(tx);
+      await evict(db);
+    },
+
+    async getRecords(db, storeName, key) {
+      const tx = db.transaction(['queries', ...Object.keys(ENTITY_STORES)], 'readwrite');
+      const manifest = await readManifest(tx, key);
+      if (!manifest) {
+        await transactionDone(tx);
+        return null;
+      }
+      const store = tx.objectStore(storeName);
+      const entries = await Promise.all(manifest.ids.map(id => promisifyRequest(store.get(id))));
+      await transactionDone(tx);
+      // A record was evicted underneath this key, treat it as a miss
+      if (entries.some(entry => !entry)) return null;
+      return entries.map(entry => entry.record);
+    },
+
+    async setRecords(db, storeName, key, scope, records) {
+      const { idField } = ENTITY_STORES[storeName];
+      const tx = db.transaction(['queries', ...Object.keys(ENTITY_STORES)], 'readwrite');
+      const queries = tx.objectStore('queries');
+      const store = tx.objectStore(storeName);
+      const ids = records.map(record => `${scope}#${record[idField]}`);
+
+      // Records this key listed last time but not anymore lose its reference
+      const previous = await promisifyRequest(queries.get(key));
+      if (previous?.store) {
+        const current = new Set(previous.store === storeName ? ids : []);
+        await releaseIds(tx, previous.store, key, previous.ids.filter(id => !current.has(id)));
+      }
+
+      // The newest copy of a record wins; it's the same entity whichever key fetched it
+      await Promise.all(records.map(async (record, index) => {
+        const id = ids[index];
+        const entry = await promisifyRequest(store.get(id));
+        const refs = entry?.refs.includes(key) ? entry.refs : [...(entry?.refs || []), key];
+        store.put({ id, scope, record, refs });
+      }));
+
+      const now = Date.now();
+      queries.put({
+        key,
+        store: storeName,
+        ids,
+        timestamp: now,
+        lastAccess: now,
+        size: JSON.stringify(records).length,
+      });
+      await transactionDone(tx);
+      await evict(db);
+    },
+
+    async clear(db) {
+      const names = ['queries', ...Object.keys(ENTITY_STORES)];
+      const tx = db.transaction(names, 'readwrite');
+      names.forEach(name => tx.objectStore(name).clear());
+      await transactionDone(tx);
+    },
+
+    async usage(db) {
+      const tx = db.transaction('queries', 'readonly');
+      const manifests = await promisifyRequest(tx.objectStore('queries').getAll());
+      await transactionDone(tx);
+      return {
+        bytes: manifests.reduce((sum, m) => sum + m.size, 0),
+        entries: manifests.length,
+      };
+    },
+  };
+
+  return {
+    get: withDb('get'),
+    set: withDb('set'),
+    getRecords: withDb('getRecords'),
+    setRecords: withDb('setRecords'),
+    clear: async () => {
+      // Data may have been written to the fallback before IndexedDB failed
+      await fallback.clear();
+      return withDb('clear')();
+    },
+    usage: withDb('usage'),
+  };
+}
+
+/**
+ * Creates the best cache backend available in this environment
+ * @returns {Object} Cache backend
+ */
+export function createDefaultCache() {
+  if (typeof indexedDB !== 'undefined') {
+    return createIndexedDBCache();
+  }
+  return createLocalStorageCache();
+}
+
+// Backend shared by every forge's fetchers, created on first use (see setSharedCache)
+let sharedBackend = null;
+
+/**
+ * Returns the cache backend shared by every forge's fetchers
+ * @returns {Object} Cache backend
+ */
+export function getSharedCache() {
+  if (!sharedBackend) {
+    sharedBackend = createDefaultCache();
+  }
+  return sharedBackend;
+}
+
+/**
+ * Replaces the cache backend shared by every forge's fetchers
+ * @param {Object} backend - Backend implementing the interface described above
+ */
+export function setSharedCache(backend) {
+  sharedBackend = backend;
+}
+
+/**
+ * Creates a view of the shared cache whose keys and record scopes carry a prefix,
+ * so data from different servers never collides
+ * @param {Function} getPrefix - Returns the current prefix, e.g. the host key
+ * @returns {Object} { get, set, getRecords, setRecords } over the shared backend
+ */
+export function createScopedCache(getPrefix) {
+  return {
+    get: key => getSharedCache().get(`${getPrefix()}|${key}`),
+    set: (key, value) => getSharedCache().set(`${getPrefix()}|${key}`, value),
+    getRecords: (store, key) => getSharedCache().getRecords(store, `${getPrefix()}|${key}`),
+    setRecords: (store, key, scope, records) =>
+      getSharedCache().setRecords(store, `${getPrefix()}|${key}`, `${getPrefix()}|${scope}`, records),
+  };
+}
@@ -0,0 +1,102 @@
+// Co-author attribution. Pairing and squash merges leave the other authors of a
+// commit in `Co-authored-by: Name <email>` trailers; they can share the commit's
+// credit, and the lines of the pull request that commit landed.
+
+export const CO_AUTHOR_CREDIT = [
+  { value: 'off', label: 'Author only' },
+  { value: 'full', label: 'Full credit to each' },
+  { value: 'split', label: 'Split evenly' },
+];
+
+const CO_AUTHOR_TRAILER = /^co-authored-by:\s*(.*?)\s*<([^>]+)>\s*$/i;
+
+// Pull request references a landing commit carries: "Title (#12)" from squash merges,
+// "Merge pull request #12 from ..." from merge commits, "See merge request group/project!12" from GitLab
+const LANDED_PULL_REQUEST = [
+  /\(#(\d+)\)$/,
+  /^Merge pull request #(\d+)\b/,
+  /^See merge request \S*!(\d+)$/m,
+];
+
+/**
+ * Splits a full commit message into the fields commit records keep
+ * @param {string} message - Full commit message
+ * @returns {Object} { message, co_authors, pr_number } - the first line, trailer co-authors as
+ *   [{ name, email }] and the number of the pull request the commit landed (null if none)
+ */
+export function parseCommitMessage(message) {
+  const lines = (message || '').split('\n');
+  const seen = new Set();
+  const coAuthors = [];
+  lines.forEach(line => {
+    const match = CO_AUTHOR_TRAILER.exec(line.trim());
+    const email = match?.[2].trim().toLowerCase();
+    if (!email || seen.has(email)) return;
+    seen.add(email);
+    coAuthors.push({ name: match[1] || null, email });
+  });
+
+  const subject = lines[0].trim();
+  const landed = LANDED_PULL_REQUEST
+    .map(pattern => pattern.exec(pattern.flags.includes('m') ? message || '' : subject))
+    .find(Boolean);
+
+  return {
+    message: subject || 'No message',
+    co_authors: coAuthors,
+    pr_number: landed ? Number(landed[1]) : null,
+  };
+}
+
+/**
+ * Reads the login out of a GitHub noreply address
+ * @param {string} email - e.g. "12345+octocat@users.noreply.github.com"
+ * @returns {string|null} Login, or null for any other address
+ */
+export function loginFromNoreplyEmail(email) {
+  const match = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i.exec(email || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Collects the accounts commit emails are linked to
+ * @param {Array<Object>} repoDataArray - Array of { commits } per repo
+ * @returns {Map<string, string>} Lowercased email -> login
+ */
+export function collectEmailLogins(repoDataArray) {
+  const emailLogins = new Map();
+  repoDataArray.forEach(({ commits }) => {
+    (commits || []).forEach(commit => {
+      if (commit.user && commit.author_email) {
+        emailLogins.set(commit.author_email.toLowerCase(), commit.user);
+      }
+    });
+  });
+  return emailLogins;
+}
+
+/**
+ * Turns a trailer co-author into an author the identity resolver understands
+ * The login comes from a noreply address or from a commit whose email is linked to
+ * an account; otherwise the alias table or the email itself identifies the person.
+ * @param {Object} coAuthor - { name, email } from parseCommitMessage
+ * @param {Map<string, string>} emailLogins - From collectEmailLogins
+ * @returns {Object} { login, name, email }
+ */
+export function resolveCoAuthor(coAuthor, emailLogins) {
+  return {
+    login: loginFromNoreplyEmail(coAuthor.email) || emailLogins.get(coAuthor.email) || null,
+    name: coAuthor.name,
+    email: coAuthor.email,
+  };
+}
+
+/**
+ * Returns the share of a contribution each credited person receives
+ * @param {string} mode - 'off', 'full' or 'split' (see CO_AUTHOR_CREDIT)
+ * @param {number} people - Author plus co-authors
+ * @returns {number} 1, or 1/people when split
+ */
+export function creditShare(mode, people) {
+  return mode === 'split' ? 1 / people : 1;
+}
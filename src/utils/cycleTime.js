@@ -0,0 +1,125 @@
+// Pull request cycle time: how long PRs wait for their first review, how long they
+// take to merge, and how quickly reviewers respond. Durations are skewed by a few
+// stale PRs, so they are summarized as median and p90 rather than averages.
+
+export const DURATION_BUCKETS = [
+  { label: '< 1h', max: 1 },
+  { label: '1–4h', max: 4 },
+  { label: '4–24h', max: 24 },
+  { label: '1–3d', max: 72 },
+  { label: '3–7d', max: 168 },
+  { label: '> 7d', max: Infinity },
+];
+
+/**
+ * Reads a percentile, interpolating between the closest values
+ * @param {Array<number>} values - Durations in any order
+ * @param {number} p - Percentile from 0 to 100
+ * @returns {number|null} Percentile, or null without values
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Summarizes durations as count, median and p90
+ * @param {Array<number>} hours - Durations in hours
+ * @returns {Object} { count, median, p90 }, with null median and p90 without durations
+ */
+export function summarizeDurations(hours) {
+  return {
+    count: hours.length,
+    median: percentile(hours, 50),
+    p90: percentile(hours, 90),
+  };
+}
+
+/**
+ * Counts durations per DURATION_BUCKETS range
+ * @param {Array<number>} hours - Durations in hours
+ * @returns {Array<Object>} [{ label, count }] in bucket order
+ */
+export function bucketDurations(hours) {
+  const counts = DURATION_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+  hours.forEach(value => {
+    counts[DURATION_BUCKETS.findIndex(bucket => value < bucket.max)].count += 1;
+  });
+  return counts;
+}
+
+/**
+ * Summarizes one contributor's cycle times as flat fields, as snapshots keep them
+ * @param {Object} row - Leaderboard row with pullRequestTimes and reviewTurnarounds (see aggregateStats)
+ * @returns {Object} Median and p90 hours as medianHoursToFirstReview, p90HoursToFirstReview,
+ *   medianHoursToMerge, p90HoursToMerge, medianReviewTurnaround and p90ReviewTurnaround; null without data
+ */
+export function summarizeRowCycleTimes(row) {
+  const round = hours => (hours === null ? null : Math.round(hours * 100) / 100);
+  const hoursOf = field => (row.pullRequestTimes || []).map(pr => pr[field]).filter(hours => hours !== null);
+  const toFirstReview = summarizeDurations(hoursOf('hoursToFirstReview'));
+  const toMerge = summarizeDurations(hoursOf('hoursToMerge'));
+  const turnaround = summarizeDurations((row.reviewTurnarounds || []).map(review => review.hours));
+  return {
+    medianHoursToFirstReview: round(toFirstReview.median),
+    p90HoursToFirstReview: round(toFirstReview.p90),
+    medianHoursToMerge: round(toMerge.median),
+    p90HoursToMerge: round(toMerge.p90),
+    medianReviewTurnaround: round(turnaround.median),
+    p90ReviewTurnaround: round(turnaround.p90),
+  };
+}
+
+/**
+ * Builds the cycle time report of a leaderboard
+ * @param {Array<Object>} rows - Leaderboard rows with pullRequestTimes and reviewTurnarounds (see aggregateStats)
+ * @param {number} slowestCount - How many of the slowest merged PRs to list
+ * @returns {Object} { toFirstReview, toMerge, reviewTurnaround } as { ...summary, buckets },
+ *   authors and reviewers as [{ user, avatarUrl, ...summaries }], and slowest as PR times with their author
+ */
+export function buildCycleTimeReport(rows, slowestCount = 10) {
+  const pullRequests = rows.flatMap(row =>
+    (row.pullRequestTimes || []).map(pr => ({ ...pr, user: row.user, avatarUrl: row.avatarUrl }))
+  );
+  const turnarounds = rows.flatMap(row => (row.reviewTurnarounds || []).map(review => review.hours));
+  const hoursOf = (prs, field) => prs.map(pr => pr[field]).filter(hours => hours !== null);
+  const withBuckets = hours => ({ ...summarizeDurations(hours), buckets: bucketDurations(hours) });
+
+  const authors = rows
+    .filter(row => (row.pullRequestTimes || []).length > 0)
+    .map(row => ({
+      user: row.user,
+      avatarUrl: row.avatarUrl,
+      pullRequests: row.pullRequestTimes.length,
+      toFirstReview: summarizeDurations(hoursOf(row.pullRequestTimes, 'hoursToFirstReview')),
+      toMerge: summarizeDurations(hoursOf(row.pullRequestTimes, 'hoursToMerge')),
+    }))
+    .sort((a, b) => b.pullRequests - a.pullRequests);
+
+  const reviewers = rows
+    .filter(row => (row.reviewTurnarounds || []).length > 0)
+    .map(row => ({
+      user: row.user,
+      avatarUrl: row.avatarUrl,
+      turnaround: summarizeDurations(row.reviewTurnarounds.map(review => review.hours)),
+    }))
+    .sort((a, b) => b.turnaround.count - a.turnaround.count);
+
+  const slowest = pullRequests
+    .filter(pr => pr.hoursToMerge !== null)
+    .sort((a, b) => b.hoursToMerge - a.hoursToMerge)
+    .slice(0, slowestCount);
+
+  return {
+    toFirstReview: withBuckets(hoursOf(pullRequests, 'hoursToFirstReview')),
+    toMerge: withBuckets(hoursOf(pullRequests, 'hoursToMerge')),
+    reviewTurnaround: withBuckets(turnarounds),
+    authors,
+    reviewers,
+    slowest,
+  };
+}
@@ -0,0 +1,54 @@
+// Exclusion rules for bots and service accounts.
+// The ignore list has one rule per line: a login (or git email/name) matched exactly,
+// or a /regex/flags pattern. `#` starts a comment.
+
+// GitHub App accounts end in [bot]; their commit emails look like `123+name[bot]@users.noreply.github.com`
+const BOT_SUFFIX = /\[bot\](@|$)/i;
+
+/**
+ * Parses an ignore list
+ * @param {string} text - Ignore list contents
+ * @returns {Object} { names: Set of lowercased names, patterns: RegExp[], invalid: lines that failed to parse }
+ */
+export function parseIgnoreList(text) {
+  const names = new Set();
+  const patterns = [];
+  const invalid = [];
+  (text || '')
+    .split('\n')
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean)
+    .forEach(line => {
+      const regex = line.match(/^\/(.+)\/([a-z]*)$/);
+      if (!regex) {
+        names.add(line.toLowerCase());
+        return;
+      }
+      try {
+        // Stateful flags would make test() skip matches on repeated calls
+        patterns.push(new RegExp(regex[1], regex[2].replace(/[gy]/g, '')));
+      } catch {
+        invalid.push(line);
+      }
+    });
+  return { names, patterns, invalid };
+}
+
+/**
+ * Checks whether any of an identity's names is excluded
+ * @param {Array<string>} candidates - Identity key, GitHub logins and git names/emails to check
+ * @param {Object} rules - { excludeBots, names, patterns } (see parseIgnoreList)
+ * @returns {string|null} Why the identity is excluded, or null if it isn't
+ */
+export function getExclusionReason(candidates, rules) {
+  if (!rules) return null;
+  const values = candidates.filter(Boolean);
+  if (rules.excludeBots && values.some(value => BOT_SUFFIX.test(value))) {
+    return 'Bot account';
+  }
+  if (values.some(value => rules.names?.has(value.toLowerCase()))) {
+    return 'Ignore list';
+  }
+  const pattern = rules.patterns?.find(p => values.some(value => p.test(value)));
+  return pattern ? `Matches ${pattern}` : null;
+}
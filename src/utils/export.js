@@ -0,0 +1,199 @@
+// Leaderboard export: CSV for spreadsheets, JSON for scripts, Markdown for notes.
+// Every format takes rows in display order and a metadata object
+// { org, repos, timeRange, sortedBy, generatedAt } describing what was measured.
+
+const METRIC_COLUMNS = [
+  { key: 'score', label: 'Impact' },
+  { key: 'net', label: 'Net Lines' },
+  { key: 'additions', label: 'Additions' },
+  { key: 'deletions', label: 'Deletions' },
+  { key: 'rawAdditions', label: 'Raw Additions' },
+  { key: 'rawDeletions', label: 'Raw Deletions' },
+  { key: 'commits', label: 'Commits' },
+  { key: 'pullRequests', label: 'PRs' },
+  { key: 'mergedPullRequests', label: 'PRs Merged' },
+  { key: 'reviews', label: 'Reviews' },
+  { key: 'reviewsApproved', label: 'Approvals' },
+  { key: 'reviewsChangesRequested', label: 'Changes Requested' },
+  { key: 'reviewsCommented', label: 'Comment Reviews' },
+  { key: 'reviewsDismissed', label: 'Dismissed Reviews' },
+  { key: 'reviewComments', label: 'Inline Review Comments' },
+  { key: 'issuesOpened', label: 'Issues Opened' },
+  { key: 'issuesClosed', label: 'Issues Closed' },
+  { key: 'issueComments', label: 'Issue Comments' },
+  { key: 'reposCount', label: 'Repos' },
+];
+
+const WEEK_METRICS = ['commits', 'pullRequests', 'reviews', 'issuesOpened', 'issuesClosed', 'issueComments', 'additions', 'deletions'];
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// Weeks start at local midnight, so format in local time to keep the right day
+function formatWeek(week) {
+  const date = new Date(week * 1000);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function metaLines(meta) {
+  return [
+    `Organization: ${meta.org}`,
+    `Repositories (${meta.repos.length}): ${meta.repos.join(', ')}`,
+    `Time range: ${meta.timeRange}`,
+    `Sorted by: ${meta.sortedBy}`,
+    `Generated: ${meta.generatedAt}`,
+  ];
+}
+
+// Text cells starting like a formula (names and titles come from commits and forge users)
+// get a leading quote so spreadsheets show them instead of evaluating them
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  const formula = typeof value === 'string' && /^[=+\-@\t\r]/.test(text);
+  const safe = formula ? `'${text}` : text;
+  return formula || /[",\n]/.test(text) ? `"${safe.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+// Weekly activity (commits + PRs + reviews + issue actions) as a one-line bar chart
+function sparkline(weeklyData) {
+  const totals = weeklyData.map(w =>
+    w.commits + w.pullRequests + w.reviews + w.issuesOpened + w.issuesClosed + w.issueComments
+  );
+  const max = Math.max(...totals, 0);
+  if (max === 0) return '';
+  return totals
+    .map(total => SPARK_CHARS[Math.round((total / max) * (SPARK_CHARS.length - 1))])
+    .join('');
+}
+
+/**
+ * Serializes leaderboard rows as CSV
+ * Metadata is written as leading `#` lines; each week gets one column per metric.
+ * @param {Array<Object>} rows - Leaderboard rows in display order
+ * @param {Object} meta - Export metadata
+ * @param {boolean} includeLists - Add columns with PR, review, issue and commit URLs
+ * @returns {string} CSV text
+ */
+export function toCSV(rows, meta, includeLists = false) {
+  const weeks = rows[0]?.weeklyData.map(w => w.week) || [];
+  const header = [
+    'Rank',
+    'User',
+    'Name',
+    ...METRIC_COLUMNS.map(c => c.label),
+    ...weeks.flatMap(week => WEEK_METRICS.map(metric => `${formatWeek(week)} ${metric}`)),
+    ...(includeLists ? ['PRs Opened', 'PRs Reviewed', 'Issues', 'Commits'] : []),
+  ];
+
+  const lines = rows.map((row, index) => {
+    const weekByTs = new Map(row.weeklyData.map(w => [w.week, w]));
+    return [
+      index + 1,
+      row.user,
+      row.name,
+      ...METRIC_COLUMNS.map(c => row[c.key] ?? 0),
+      ...weeks.flatMap(week => WEEK_METRICS.map(metric => weekByTs.get(week)?.[metric] ?? 0)),
+      ...(includeLists
+        ? [
+            row.prsList.map(pr => pr.url).join(' '),
+            row.reviewsList.map(pr => pr.url).join(' '),
+            row.issuesList.map(issue => issue.url).join(' '),
+            row.commitsList.map(commit => commit.url).join(' '),
+          ]
+        : []),
+    ].map(csvCell).join(',');
+  });
+
+  return [
+    ...metaLines(meta).map(line => `# ${line}`),
+    header.map(csvCell).join(','),
+    ...lines,
+  ].join('\n') + '\n';
+}
+
+/**
+ * Serializes leaderboard rows as JSON
+ * @param {Array<Object>} rows - Leaderboard rows in display order
+ * @param {Object} meta - Export metadata
+ * @param {boolean} includeLists - Keep the PR, review, issue and commit lists on each row
+ * @returns {string} Pretty-printed JSON
+ */
+export function toJSON(rows, meta, includeLists = false) {
+  const contributors = rows.map((row, index) => {
+    const { prsList, reviewsList, issuesList, commitsList, pullRequestTimes, reviewTurnarounds, weeklyData, ...metrics } = row;
+    return {
+      rank: index + 1,
+      ...metrics,
+      weeklyData: weeklyData.map(w => ({ ...w, week: formatWeek(w.week) })),
+      ...(includeLists ? { prsList, reviewsList, issuesList, commitsList, pullRequestTimes, reviewTurnarounds } : {}),
+    };
+  });
+  return JSON.stringify({ ...meta, contributors }, null, 2) + '\n';
+}
+
+/**
+ * Serializes leaderboard rows as a Markdown table
+ * Weekly activity is drawn as a sparkline; lists become a section per contributor.
+ * @param {Array<Object>} rows - Leaderboard rows in display order
+ * @param {Object} meta - Export metadata
+ * @param {boolean} includeLists - Append each contributor's PRs, reviews, issues and commits
+ * @returns {string} Markdown text
+ */
+export function toMarkdown(rows, meta, includeLists = false) {
+  const columns = ['#', 'User', 'Impact', 'Net', '+', '-', 'Commits', 'PRs', 'Reviews', 'Approvals', 'Changes Req.', 'Inline', 'Activity'];
+  const lines = [
+    `## ${meta.org} leaderboard`,
+    '',
+    ...metaLines(meta).slice(1).map(line => `- ${line}`),
+    '',
+    `| ${columns.join(' | ')} |`,
+    `| ${columns.map((_, i) => (i >= 2 && i < columns.length - 1 ? '---:' : '---')).join(' | ')} |`,
+    ...rows.map((row, index) => `| ${[
+      index + 1,
+      markdownCell(row.name && row.name !== row.user ? `${row.user} (${row.name})` : row.user),
+      row.score ?? 0,
+      row.net,
+      row.additions,
+      row.deletions,
+      row.commits,
+      row.pullRequests || 0,
+      row.reviews || 0,
+      row.reviewsApproved || 0,
+      row.reviewsChangesRequested || 0,
+      row.reviewComments || 0,
+      sparkline(row.weeklyData),
+    ].join(' | ')} |`),
+  ];
+
+  if (includeLists) {
+    rows.forEach(row => {
+      lines.push('', `### ${markdownCell(row.user)}`);
+      row.prsList.forEach(pr => lines.push(`- PR [${pr.repo}#${pr.number}](${pr.url}): ${markdownCell(pr.title)}`));
+      row.reviewsList.forEach(pr => lines.push(`- Reviewed [${pr.repo}#${pr.number}](${pr.url}): ${markdownCell(pr.title)}`));
+      row.issuesList.forEach(issue => lines.push(`- Issue ${issue.action} [${issue.repo}#${issue.number}](${issue.url}): ${markdownCell(issue.title)}`));
+      row.commitsList.forEach(commit => lines.push(`- Commit [${commit.repo}@${commit.sha}](${commit.url}): ${markdownCell(commit.message)}`));
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Saves text as a file through a temporary download link
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
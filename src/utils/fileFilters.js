@@ -0,0 +1,113 @@
+// Path exclusion rules for line counts.
+// Globs follow .gitignore conventions: a pattern without a slash matches a file or
+// directory name at any depth, one with a slash is anchored to the repo root,
+// a trailing slash only matches directories, `*` stays within a path segment and
+// `**` crosses segments. A matching directory excludes everything under it.
+
+export const DEFAULT_LINE_EXCLUSIONS = [
+  'package-lock.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'Cargo.lock',
+  'Gemfile.lock',
+  'composer.lock',
+  'poetry.lock',
+  'go.sum',
+  'dist/',
+  'build/',
+  'vendor/',
+  'node_modules/',
+  '*.min.js',
+  '*.min.css',
+  '*.map',
+].join('\n');
+
+/**
+ * Converts a glob to a regular expression over repo-relative paths
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Pattern matching the path or any path under it
+ */
+export function globToRegExp(glob) {
+  let pattern = glob.trim();
+  const directoryOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  const body = pattern
+    .split(/(\/\*\*\/|\*\*\/|\/\*\*|\*\*|\*|\?)/)
+    .map(part => {
+      switch (part) {
+        case '/**/': return '/(?:.*/)?';
+        case '**/': return '(?:.*/)?';
+        case '/**': return '/.*';
+        case '**': return '.*';
+        case '*': return '[^/]*';
+        case '?': return '[^/]';
+        default: return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    })
+    .join('');
+
+  return new RegExp(`${anchored ? '^' : '^(?:.*/)?'}${body}${directoryOnly ? '/.*' : '(?:/.*)?'}$`);
+}
+
+/**
+ * Parses a list of globs, one per line, ignoring blank lines and `#` comments
+ * @param {string} text - Glob list
+ * @returns {Array<string>} Globs
+ */
+export function parseGlobList(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Extracts the paths a .gitattributes file marks as generated or vendored
+ * @param {string} text - .gitattributes contents
+ * @returns {Array<string>} Globs for linguist-generated and linguist-vendored paths
+ */
+export function parseGitattributes(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(/\s+/))
+    .filter(([, ...attributes]) => attributes.some(attribute =>
+      /^linguist-(generated|vendored)(=true)?$/.test(attribute)
+    ))
+    .map(([pattern]) => pattern);
+}
+
+/**
+ * Creates a predicate that tells whether a path is excluded
+ * @param {Array<string>} globs - Glob patterns
+ * @returns {Function} (path) => boolean
+ */
+export function createPathMatcher(globs) {
+  const patterns = globs.map(globToRegExp);
+  return (path) => patterns.some(pattern => pattern.test(path));
+}
+
+/**
+ * Counts a merged PR's line changes, leaving out excluded files
+ * PRs without per-file data count in full.
+ * @param {Object} pr - PR record with additions, deletions and optional files [{ path, additions, deletions }]
+ * @param {Function} isExcluded - Path predicate (see createPathMatcher)
+ * @returns {Object} { additions, deletions }
+ */
+export function countIncludedLines(pr, isExcluded) {
+  let additions = pr.additions || 0;
+  let deletions = pr.deletions || 0;
+  if (Array.isArray(pr.files)) {
+    pr.files.forEach(file => {
+      if (!isExcluded(file.path)) return;
+      additions -= file.additions || 0;
+      deletions -= file.deletions || 0;
+    });
+  }
+  return { additions: Math.max(additions, 0), deletions: Math.max(deletions, 0) };
+}
@@ -0,0 +1,293 @@
+// Git forge providers behind one interface, so a single leaderboard can cover
+// GitHub, GitLab and Gitea repositories. Each provider module exports:
+//   fetchRepos(token, owner, signal)               - an owner's repositories
+//   fetchRepo(token, fullName, signal)             - one `owner/repo`
+//   fetchBranches(token, owner, repoName, signal)  - branch names
+//   fetchCommits(token, owner, repoName, branch, since, until, signal)
+//   fetchPullRequests(token, owner, repoName, since, until, signal)
+//   fetchReviews(token, owner, repoName, prs, since, until, signal)
+//   fetchGeneratedPaths(token, owner, repoName, branch, signal)
+//   fetchIssues(token, owner, repoName, since, until, signal)
+//   fetchIssueComments(token, owner, repoName, issues, since, until, signal)
+//   fetchIssueCloseEvents(token, owner, repoName, issues, since, until, signal)
+// and may add fetchSource (resolving an owner field entry itself), syncCommits and
+// fetchPullRequestActivity (PRs and reviews together) where the forge allows it.
+// Fetchers that read the cache take a trailing `refresh` flag; incremental runs set it
+// for everything without a sync path, so no source is served stale on a refresh.
+// All of them return the normalized records described in records.js.
+import * as github from './github';
+import * as gitlab from './gitlab';
+import * as gitea from './gitea';
+import { aggregateStats, resolveDateRange, getPreviousRange } from './github';
+import { parseOwnerList, labelRepos, getRepoOwner } from './owners';
+import { needsBranchList, selectBranches, mergeBranchCommits } from './branches';
+
+export const PROVIDERS = { github, gitlab, gitea };
+
+// Server address and token per additional forge; blank addresses mean the public instance
+export const DEFAULT_FORGE_SETTINGS = {
+  gitlab: { baseUrl: '', token: '' },
+  gitea: { baseUrl: '', token: '' },
+};
+
+/**
+ * Resolves the GitLab and Gitea server addresses
+ * @param {Object} settings - { gitlab: { baseUrl }, gitea: { baseUrl } }
+ * @returns {Object} { gitlab, gitea } hosts as { key, apiBase, webBase }
+ * @throws {Error} When an address isn't a valid URL
+ */
+export function resolveForgeHosts(settings) {
+  return {
+    gitlab: gitlab.resolveGitLabHost(settings.gitlab?.baseUrl),
+    gitea: gitea.resolveGiteaHost(settings.gitea?.baseUrl),
+  };
+}
+
+/**
+ * Points the GitLab and Gitea fetchers at their servers
+ * @param {Object} settings - { gitlab: { baseUrl }, gitea: { baseUrl } }
+ * @throws {Error} When an address isn't a valid URL
+ */
+export function setForgeHosts(settings) {
+  gitlab.setGitLabHost(settings.gitlab?.baseUrl);
+  gitea.setGiteaHost(settings.gitea?.baseUrl);
+}
+
+/**
+ * Fetches the repositories an owner field entry names
+ * @param {Object} provider - Provider module
+ * @param {string} token - Access token for the forge
+ * @param {string} path - Owner or `owner/repo`
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Array>} Repository objects
+ */
+async function fetchSource(provider, token, path, signal) {
+  if (provider.fetchSource) {
+    return provider.fetchSource(token, path, signal);
+  }
+  return path.includes('/') ? [await provider.fetchRepo(token, path, signal)] : provider.fetchRepos(token, path, signal);
+}
+
+/**
+ * Fetches the repositories named by the owner field
+ * @param {Object} tokens - Access token per forge, e.g. { github, gitlab, gitea }
+ * @param {string} sources - Owners and `owner/repo` entries, optionally forge-prefixed (see parseOwnerList)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Array>} Every owner's repos plus the listed repos, each once, labelled (see labelRepos)
+ */
+export async function fetchReposFromSources(tokens, sources, signal = null) {
+  const { owners, repos: repoNames, forges } = parseOwnerList(sources);
+  const entries = [
+    ...[...owners, ...repoNames].map(path => ({ provider: 'github', path })),
+    ...forges,
+  ];
+
+  const repos = [];
+  for (const { provider, path } of entries) {
+    repos.push(...await fetchSource(PROVIDERS[provider], tokens[provider], path, signal));
+  }
+
+  // A listed repo may also belong to a listed owner
+  const seen = new Set();
+  const unique = repos.filter(repo => {
+    const key = `${repo.provider || 'github'}:${repo.full_name.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return labelRepos(unique);
+}
+
+/**
+ * Runs an async worker over items with at most `limit` in flight at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {AbortSignal|null} signal - Optional signal; no new items are started once it aborts
+ * @returns {Promise<void>} Resolves once every item has been processed
+ */
+async function runWithConcurrency(items, limit, worker, signal = null) {
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (nextIndex < items.length) {
+      signal?.throwIfAborted();
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Fetches stats for multiple repos with progress callback
+ * Repos are processed by a bounded worker pool, so logs for different repos may interleave
+ * Each repo is fetched from its own forge and owner, taken from provider and full_name, and
+ * is identified in results by its label when it has one (see labelRepos).
+ * @param {Object} tokens - Access token per forge, e.g. { github, gitlab, gitea }
+ * @param {Array} repos - Array of repo objects
+ * @param {Function} onProgress - Callback with progress (0-100)
+ * @param {number|Object|null} dateFilter - Number of days back from now, { since, until } ISO dates, or null for all time
+ * @param {Function} onDataUpdate - Callback with aggregated data after each repo (for progressive updates),
+ *   plus the previous period's aggregated data as a 4th argument when options.compare is set
+ * @param {Function} onLog - Callback for logging progress messages
+ * @param {Object} options - Additional options
+ * @param {number} options.concurrency - Number of repos fetched at once (default DEFAULT_CONCURRENCY)
+ * @param {AbortSignal} options.signal - Cancels the run; rejects with an AbortError and stops all callbacks
+ * @param {boolean} options.incremental - Only fetch commits and PRs newer than the cached data and merge them in;
+ *   everything else, and every forge without a sync path, is fetched again
+ * @param {boolean} options.compare - Also fetch the previous period of the same length (see getPreviousRange)
+ * @param {Array<Object>} options.aliases - Parsed alias table merging author identities (see parseMailmap)
+ * @param {Object} options.exclusions - Bot and ignore-list rules (see getExclusionReason)
+ * @param {Object} options.lineExclusions - { globs, useGitattributes } paths left out of line counts
+ * @param {string} options.coAuthorCredit - Credit for `Co-authored-by` trailers (see aggregateStats)
+ * @param {Object} options.branchScope - { mode, branches } branches commits are counted on (see selectBranches);
+ *   the default branch when omitted
+ * @returns {Promise<Array>} Aggregated leaderboard data
+ */
+export async function fetchAllStats(tokens, repos, onProgress, dateFilter = null, onDataUpdate = null, onLog = null, options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, signal = null, incremental = false, compare = false, aliases = [], exclusions = null, lineExclusions = null, branchScope = null, coAuthorCredit = 'off' } = options;
+  const aggregateOptions = { aliases, exclusions, lineExclusions, coAuthorCredit };
+  // Indexed by repo position so aggregation order doesn't depend on completion order
+  const repoDataArray = new Array(repos.length);
+  const total = repos.length;
+  let completed = 0;
+  
+  // Calculate date bounds for API calls; in compare mode they span both periods
+  const previousFilter = compare ? getPreviousRange(dateFilter) : null;
+  const { since: currentSince, until: untilDate } = resolveDateRange(dateFilter);
+  const sinceDate = previousFilter ? previousFilter.since : currentSince;
+
+  await runWithConcurrency(repos, concurrency, async (repo, i) => {
+    const providerId = repo.provider || 'github';
+    const provider = PROVIDERS[providerId];
+    const token = tokens[providerId];
+    const owner = getRepoOwner(repo);
+    const repoName = repo.name;
+    const repoLabel = repo.label || repo.name;
+
+    if (onLog) {
+      onLog({ type: 'start', repo: repoLabel, index: i + 1, total });
+    }
+    
+    try {
+      // Fetch commits from every branch in scope; each commit counts once
+      const defaultBranch = repo.default_branch || 'main';
+      const branches = selectBranches(
+        branchScope,
+        defaultBranch,
+        needsBranchList(branchScope) ? await provider.fetchBranches(token, owner, repoName, signal, incremental) : []
+      );
+      const getCommits = incremental && provider.syncCommits ? provider.syncCommits : provider.fetchCommits;
+      const branchCommits = [];
+      for (const branch of branches) {
+        branchCommits.push({ branch, commits: await getCommits(token, owner, repoName, branch, sinceDate, untilDate, signal, incremental) });
+      }
+      const commits = mergeBranchCommits(branchCommits);
+
+      // PRs with stats and their reviews, in one go where the forge supports it
+      let prs;
+      let reviews;
+      if (provider.fetchPullRequestActivity) {
+        ({ prs, reviews } = await provider.fetchPullRequestActivity(token, owner, repoName, sinceDate, untilDate, signal, incremental));
+      } else {
+        prs = await provider.fetchPullRequests(token, owner, repoName, sinceDate, untilDate, signal, incremental);
+        reviews = await provider.fetchReviews(token, owner, repoName, prs, sinceDate, untilDate, signal, incremental);
+      }
+      signal?.throwIfAborted();
+
+      // Paths the repo itself marks as generated, only needed when that rule is on
+      let generatedPaths = [];
+      if (lineExclusions?.useGitattributes) {
+        try {
+          generatedPaths = await provider.fetchGeneratedPaths(token, owner, repoName, defaultBranch, signal, incremental);
+        } catch (attributesError) {
+          signal?.throwIfAborted();
+          console.warn(`Could not read .gitattributes for ${repoLabel}:`, attributesError);
+        }
+      }
+
+      // Issue triage; a repo without issues (or with them turned off) still counts its code
+      let issues = [];
+      let issueComments = [];
+      let issueCloseEvents = [];
+      try {
+        issues = await provider.fetchIssues(token, owner, repoName, sinceDate, untilDate, signal, incremental);
+        issueComments = await provider.fetchIssueComments(token, owner, repoName, issues, sinceDate, untilDate, signal, incremental);
+        issueCloseEvents = await provider.fetchIssueCloseEvents(token, owner, repoName, issues, sinceDate, untilDate, signal, incremental);
+      } catch (issuesError) {
+        signal?.throwIfAborted();
+        console.warn(`Could not fetch issues for ${repoLabel}:`, issuesError);
+      }
+
+      const hasPRs = Array.isArray(prs) && prs.length > 0;
+      const mergedPRs = prs.filter(pr => pr.merged_at);
+      
+      // Calculate totals from merged PRs for logging
+      let totalAdditions = 0;
+      let totalDeletions = 0;
+      mergedPRs.forEach(pr => {
+        totalAdditions += pr.additions || 0;
+        totalDeletions += pr.deletions || 0;
+      });
+      
+      repoDataArray[i] = {
+        repoName: repoLabel,
+        commits,
+        prs,
+        reviews,
+        issues,
+        issueComments,
+        issueCloseEvents,
+        generatedPaths,
+      };
+      
+      if (onLog) {
+        onLog({ 
+          type: 'complete', 
+          repo: repoLabel,
+          index: i + 1, 
+          total,
+          hasStats: commits.length > 0 || mergedPRs.length > 0,
+          hasPRs,
+          prCount: prs.length,
+          issueCount: issues.length,
+          mergedPRCount: mergedPRs.length,
+          totalCommits: commits.length,
+          totalAdditions,
+          totalDeletions,
+        });
+      }
+    } catch (error) {
+      // Cancellation ends the whole run rather than being logged per repo
+      if (signal?.aborted) throw error;
+      if (onLog) {
+        onLog({ type: 'error', repo: repoLabel, index: i + 1, total, error: error.message });
+      }
+      repoDataArray[i] = {
+        repoName: repoLabel,
+        commits: [],
+        prs: [],
+        reviews: {},
+      };
+    }
+
+    completed++;
+    const currentProgress = Math.round((completed / total) * 100);
+    
+    if (onProgress) {
+      onProgress(currentProgress);
+    }
+    
+    // Progressively update the leaderboard after each repo
+    if (onDataUpdate) {
+      const fetched = repoDataArray.filter(Boolean);
+      const currentAggregated = aggregateStats(fetched, dateFilter, aggregateOptions);
+      const previousAggregated = previousFilter ? aggregateStats(fetched, previousFilter, aggregateOptions) : null;
+      onDataUpdate(currentAggregated, completed, total, previousAggregated);
+    }
+  }, signal);
+
+  return aggregateStats(repoDataArray, dateFilter, aggregateOptions);
+}
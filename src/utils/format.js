@@ -0,0 +1,32 @@
+/**
+ * Abbreviates large numbers for display (1.2K, 3.4M)
+ * @param {number} num - Number to format
+ * @returns {string} Formatted number
+ */
+export function formatNumber(num) {
+  if (num >= 1000000) {
+    return (num / 1000000).toFixed(1) + 'M';
+  }
+  if (num >= 1000) {
+    return (num / 1000).toFixed(1) + 'K';
+  }
+  return num.toLocaleString();
+}
+
+/**
+ * Formats a duration in hours as minutes, hours or days (45m, 5.5h, 3.2d)
+ * @param {number|null} hours - Duration in hours
+ * @returns {string} Formatted duration, or '—' when there is none
+ */
+export function formatDuration(hours) {
+  if (hours === null || hours === undefined) {
+    return '—';
+  }
+  if (hours < 1) {
+    return Math.round(hours * 60) + 'm';
+  }
+  if (hours < 48) {
+    return hours.toFixed(1) + 'h';
+  }
+  return (hours / 24).toFixed(1) + 'd';
+}
@@ -0,0 +1,574 @@
+// Gitea backend (REST API v1), for gitea.com or a self-hosted instance (Forgejo too).
+// Gitea's API mirrors GitHub's closely, so most fields map one to one onto the
+// records the GitHub fetchers produce (see records.js).
+import { scheduledFetch } from './scheduler';
+import { createScopedCache } from './cache';
+import { resolveForgeHost } from './hosts';
+import { parseGitattributes } from './fileFilters';
+import { parseCommitMessage } from './coauthors';
+import { rangeKeySuffix, inDateRange, toReviewRecord, buildReviewMap, toIssueEventRecord } from './records';
+
+const GITEA_URL = 'https://gitea.com';
+const API_PATH = '/api/v1';
+
+// Gitea's default maximum page size
+const PAGE_SIZE = 50;
+
+// Gitea review states in GitHub's terms (see REVIEW_STATES)
+const GITEA_REVIEW_STATES = {
+  APPROVED: 'APPROVED',
+  REQUEST_CHANGES: 'CHANGES_REQUESTED',
+  COMMENT: 'COMMENTED',
+};
+
+// Server every request goes to, gitea.com unless configured (see setGiteaHost)
+let host = resolveGiteaHost('');
+
+// Cached apart from GitHub data and per server
+const cache = createScopedCache(() => `gitea:${host.key}`);
+
+/**
+ * Resolves a Gitea server address into its API base
+ * @param {string} baseUrl - Server address, blank for gitea.com
+ * @returns {Object} { key, apiBase, webBase }
+ * @throws {Error} When the address isn't a valid URL
+ */
+export function resolveGiteaHost(baseUrl) {
+  return resolveForgeHost(baseUrl, GITEA_URL, API_PATH);
+}
+
+/**
+ * Points all Gitea fetchers at a server
+ * @param {string} baseUrl - Server address, blank for gitea.com
+ * @throws {Error} When the address isn't a valid URL
+ */
+export function setGiteaHost(baseUrl) {
+  host = resolveGiteaHost(baseUrl);
+}
+
+/**
+ * Creates headers for Gitea API requests
+ * Public repositories can be read without a token, so it is optional.
+ * @param {string} token - Gitea access token with read:repository
+ * @returns {Object} Headers object
+ */
+function getHeaders(token) {
+  return token ? { Authorization: `token ${token}` } : {};
+}
+
+// Repository fields in the shape of GitHub's repository metadata
+function toRepoMetadata(repo) {
+  return {
+    id: `gitea:${repo.id}`,
+    name: repo.name,
+    full_name: repo.full_name,
+    description: repo.description,
+    updated_at: repo.updated_at,
+    pushed_at: repo.updated_at,
+    stargazers_count: repo.stars_count,
+    fork: repo.fork,
+    language: repo.language || null,
+    default_branch: repo.default_branch || 'main',
+    size: repo.size,
+    provider: 'gitea',
+  };
+}
+
+/**
+ * Creates the error for a failed request, with the response status attached as `status`
+ * @param {Response} response - Failed response
+ * @param {string} message - Message for anything but authentication failures
+ * @returns {Error}
+ */
+function requestError(response, message) {
+  const error = response.status === 401
+    ? new Error('Invalid Gitea token. Please check your access token.')
+    : new Error(message);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Fetches every page of a list endpoint
+ * @param {string} url - Endpoint URL without paging parameters
+ * @param {Object} headers - Request headers
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {string} message - Error message for a failed page (see requestError)
+ * @param {number} maxPages - Maximum number of pages to fetch
+ * @returns {Promise<Array>} All items
+ */
+async function fetchAllPages(url, headers, signal, message, maxPages = Infinity) {
+  const items = [];
+  const separator = url.includes('?') ? '&' : '?';
+  let page = 1;
+
+  while (page <= maxPages) {
+    const response = await scheduledFetch(`${url}${separator}limit=${PAGE_SIZE}&page=${page}`, { headers, signal });
+    if (!response.ok) {
+      throw requestError(response, `${message}: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    items.push(...data);
+    if (data.length < PAGE_SIZE) break;
+    page++;
+  }
+
+  return items;
+}
+
+/**
+ * Fetches all repositories of an organization or user
+ * Personal accounts have no /orgs endpoint, so a 404 there falls back to /users.
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Array>} Array of repository objects
+ */
+export async function fetchRepos(token, owner, signal = null) {
+  const cacheKey = `repos_${owner}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const headers = getHeaders(token);
+  const message = 'Failed to fetch repos';
+
+  let repos;
+  try {
+    repos = await fetchAllPages(`${host.apiBase}/orgs/${owner}/repos`, headers, signal, message);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    try {
+      repos = await fetchAllPages(`${host.apiBase}/users/${owner}/repos`, headers, signal, message);
+    } catch (userError) {
+      if (userError.status !== 404) throw userError;
+      throw new Error(`Gitea organization or user "${owner}" not found.`);
+    }
+  }
+
+  const reposWithMetadata = repos.map(toRepoMetadata);
+  await cache.set(cacheKey, reposWithMetadata);
+  return reposWithMetadata;
+}
+
+/**
+ * Fetches a single repository
+ * @param {string} token - Gitea access token
+ * @param {string} fullName - `owner/repo`
+ * @param {AbortSignal|null} signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} Repository object
+ */
+export async function fetchRepo(token, fullName, signal = null) {
+  const cacheKey = `repo_${fullName}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await scheduledFetch(`${host.apiBase}/repos/${fullName}`, {
+    headers: getHeaders(token),
+    signal,
+  });
+  if (!response.ok) {
+    throw requestError(response, response.status === 404
+      ? `Gitea repository "${fullName}" not found.`
+      : `Failed to fetch repo: ${response.status} ${response.statusText}`);
+  }
+
+  const repo = toRepoMetadata(await response.json());
+  await cache.set(cacheKey, repo);
+  return repo;
+}
+
+/**
+ * Fetches the names of a repository's branches
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {string} repoName - Repository name
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array<string>>} Branch names
+ */
+export async function fetchBranches(token, owner, repoName, signal = null, refresh = false) {
+  const cacheKey = `branches_v1_${owner}_${repoName}`;
+  const cached = refresh ? null : await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const branches = await fetchAllPages(
+    `${host.apiBase}/repos/${owner}/${repoName}/branches`,
+    getHeaders(token), signal, 'Failed to fetch branches'
+  );
+
+  const names = branches.map(branch => branch.name);
+  await cache.set(cacheKey, names);
+  return names;
+}
+
+/**
+ * Fetches commits from a branch of a repository
+ * Older servers ignore `since=`/`until=`, so the range is also applied here.
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {string} repoName - Repository name
+ * @param {string} defaultBranch - Branch name
+ * @param {string|null} sinceDate - ISO date string to filter commits
+ * @param {string|null} untilDate - ISO date string to filter commits (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Array of commit objects with URLs
+ */
+export async function fetchCommits(token, owner, repoName, defaultBranch, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `commits_v3_${owner}_${repoName}_${defaultBranch}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('commits', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let url = `${host.apiBase}/repos/${owner}/${repoName}/commits?sha=${encodeURIComponent(defaultBranch)}&stat=false&verification=false&files=false`;
+  if (sinceDate) {
+    url += `&since=${sinceDate}`;
+  }
+  if (untilDate) {
+    url += `&until=${untilDate}`;
+  }
+
+  let data = [];
+  try {
+    data = await fetchAllPages(url, getHeaders(token), signal, 'Failed to fetch commits');
+  } catch (error) {
+    // Empty repository
+    if (error.status !== 409) throw error;
+  }
+
+  const inRange = inDateRange(sinceDate, untilDate);
+  const commits = data
+    .map(commit => ({
+      sha: commit.sha,
+      user: commit.author?.login || null,
+      avatar_url: commit.author?.avatar_url || null,
+      author_name: commit.commit?.author?.name || null,
+      author_email: commit.commit?.author?.email || null,
+      ...parseCommitMessage(commit.commit?.message),
+      date: commit.commit?.author?.date || commit.created,
+      url: commit.html_url,
+    }))
+    .filter(commit => inRange(commit.date));
+
+  await cache.setRecords('commits', cacheKey, `${owner}/${repoName}`, commits);
+  return commits;
+}
+
+/**
+ * Fetches pull requests with stats for a repository
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {string} repoName - Repository name
+ * @param {string|null} sinceDate - ISO date string to filter PRs
+ * @param {string|null} untilDate - ISO date string to filter PRs (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Array of PR objects with stats
+ */
+export async function fetchPullRequests(token, owner, repoName, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `prs_v3_${owner}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('pullRequests', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const headers = getHeaders(token);
+  const inRange = inDateRange(sinceDate, untilDate);
+  const sinceTimestamp = sinceDate ? new Date(sinceDate).getTime() : 0;
+  const prDate = pr => pr.merged_at || pr.closed_at || pr.updated_at;
+  const prs = [];
+  let page = 1;
+
+  while (true) {
+    const response = await scheduledFetch(
+      `${host.apiBase}/repos/${owner}/${repoName}/pulls?state=all&sort=recentupdate&limit=${PAGE_SIZE}&page=${page}`,
+      { headers, signal }
+    );
+    if (!response.ok) {
+      throw requestError(response, `Failed to fetch pull requests: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    data.filter(pr => inRange(prDate(pr))).forEach(pr => {
+      prs.push({
+        number: pr.number,
+        user: pr.user?.login,
+        avatar_url: pr.user?.avatar_url,
+        created_at: pr.created_at,
+        updated_at: pr.updated_at,
+        merged_at: pr.merged_at,
+        state: pr.state,
+        title: pr.title,
+        url: pr.html_url,
+        // Servers that report line counts in the list save a request for the totals
+        additions: pr.additions,
+        deletions: pr.deletions,
+        changed_files: pr.changed_files,
+      });
+    });
+
+    // Sorted by update time, so once a whole page is before the range we're done
+    if (sinceDate && data.length > 0 && data.every(pr => new Date(prDate(pr)).getTime() < sinceTimestamp)) {
+      break;
+    }
+    if (data.length < PAGE_SIZE) break;
+    page++;
+  }
+
+  // Files of every merged PR in the range, for line counts
+  for (const pr of prs.filter(pr => pr.merged_at)) {
+    try {
+      const files = await fetchAllPages(
+        `${host.apiBase}/repos/${owner}/${repoName}/pulls/${pr.number}/files`,
+        headers, signal, 'Failed to fetch pull request files', 30
+      );
+      pr.files = files.map(file => ({ path: file.filename, additions: file.additions, deletions: file.deletions }));
+      pr.additions = pr.files.reduce((sum, file) => sum + file.additions, 0);
+      pr.deletions = pr.files.reduce((sum, file) => sum + file.deletions, 0);
+      pr.changed_files = pr.files.length;
+    } catch (error) {
+      // Servers before 1.19 have no files endpoint, so the list's line counts are all there is;
+      // anything else would cache the PR without its line counts
+      if (error.status !== 404) throw error;
+    }
+  }
+
+  await cache.setRecords('pullRequests', cacheKey, `${owner}/${repoName}`, prs);
+  return prs;
+}
+
+/**
+ * Fetches reviews for pull requests in a repository
+ * Pending reviews and bare review requests aren't counted; dismissed reviews keep their
+ * state in a flag, so they are mapped to DISMISSED here.
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {string} repoName - Repository name
+ * @param {Array} pullRequests - Array of PR objects (already filtered by date)
+ * @param {string|null} sinceDate - ISO date string (used for cache key)
+ * @param {string|null} untilDate - ISO date string (used for cache key)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Object>} Map of user -> { count, reviews[], prs[] } (see buildReviewMap)
+ */
+export async function fetchReviews(token, owner, repoName, pullRequests, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `reviews_v3_${owner}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('reviews', cacheKey);
+  if (cached) {
+    return buildReviewMap(cached);
+  }
+
+  const headers = getHeaders(token);
+  const reviewRecords = [];
+
+  // Every PR in the range; they are already filtered by date
+  for (const pr of pullRequests) {
+    const reviews = await fetchAllPages(
+      `${host.apiBase}/repos/${owner}/${repoName}/pulls/${pr.number}/reviews`,
+      headers, signal, `Failed to fetch reviews for PR #${pr.number}`
+    );
+    reviews.forEach(review => {
+      if (review.user?.login && review.state !== 'PENDING' && review.state !== 'REQUEST_REVIEW') {
+        reviewRecords.push(toReviewRecord(review.id, review.user.login, review.submitted_at, pr,
+          review.dismissed ? 'DISMISSED' : GITEA_REVIEW_STATES[review.state], review.comments_count || 0));
+      }
+    });
+  }
+
+  await cache.setRecords('reviews', cacheKey, `${owner}/${repoName}`, reviewRecords);
+  return buildReviewMap(reviewRecords);
+}
+
+/**
+ * Fetches the issues of a repository updated in a date range, without pull requests
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {string} repoName - Repository name
+ * @param {string|null} sinceDate - ISO date string (only fetch issues updated after this date)
+ * @param {string|null} untilDate - ISO date string (used for cache key)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Array of issue objects
+ */
+export async function fetchIssues(token, owner, repoName, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `issues_v2_${owner}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('issues', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let url = `${host.apiBase}/repos/${owner}/${repoName}/issues?state=all&type=issues`;
+  if (sinceDate) {
+    url += `&since=${sinceDate}`;
+  }
+  const data = await fetchAllPages(url, getHeaders(token), signal, 'Failed to fetch issues');
+
+  const issues = data.map(issue => ({
+    number: issue.number,
+    user: issue.user?.login,
+    avatar_url: issue.user?.avatar_url,
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    closed_at: issue.closed_at,
+    state: issue.state,
+    title: issue.title,
+    url: issue.html_url,
+  }));
+
+  await cache.setRecords('issues', cacheKey, `${owner}/${repoName}`, issues);
+  return issues;
+}
+
+/**
+ * Fetches the comments made on a repository's issues in a date range
+ * The repository-wide listing includes pull request comments, so only comments on
+ * the issues fetchIssues returned are kept.
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {string} repoName - Repository name
+ * @param {Array} issues - Issue objects from fetchIssues
+ * @param {string|null} sinceDate - ISO date string to filter comments
+ * @param {string|null} untilDate - ISO date string to filter comments (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Issue event records of type 'comment'
+ */
+export async function fetchIssueComments(token, owner, repoName, issues, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `issue_comments_v2_${owner}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('issueEvents', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const params = [
+    ...(sinceDate ? [`since=${sinceDate}`] : []),
+    ...(untilDate ? [`before=${untilDate}`] : []),
+  ];
+  const url = `${host.apiBase}/repos/${owner}/${repoName}/issues/comments${params.length ? `?${params.join('&')}` : ''}`;
+  const data = await fetchAllPages(url, getHeaders(token), signal, 'Failed to fetch issue comments');
+
+  const issueByNumber = new Map(issues.map(issue => [issue.number, issue]));
+  const inRange = inDateRange(sinceDate, untilDate);
+  const comments = data
+    .map(comment => ({ comment, issue: issueByNumber.get(Number(comment.issue_url?.split('/').pop())) }))
+    .filter(({ comment, issue }) => issue && comment.user?.login && inRange(comment.created_at))
+    .map(({ comment, issue }) => toIssueEventRecord('comment', comment.id, comment.user.login, comment.user.avatar_url,
+      comment.created_at, issue, comment.html_url));
+
+  await cache.setRecords('issueEvents', cacheKey, `${owner}/${repoName}`, comments);
+  return comments;
+}
+
+/**
+ * Checks whether an issue can still be read
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {string} repoName - Repository name
+ * @param {number} number - Issue number
+ * @param {AbortSignal|null} signal - Optional signal to cancel the request
+ * @returns {Promise<boolean>} False when the issue answers 404
+ */
+async function issueExists(token, owner, repoName, number, signal = null) {
+  const response = await scheduledFetch(
+    `${host.apiBase}/repos/${owner}/${repoName}/issues/${number}`,
+    { headers: getHeaders(token), signal }
+  );
+  if (!response.ok && response.status !== 404) {
+    throw requestError(response, `Failed to fetch issue #${number}: ${response.status} ${response.statusText}`);
+  }
+  return response.ok;
+}
+
+/**
+ * Fetches who closed issues in a date range, from each closed issue's timeline
+ * Servers before 1.15 have no timeline; their closes aren't attributed.
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {string} repoName - Repository name
+ * @param {Array} issues - Issue objects from fetchIssues
+ * @param {string|null} sinceDate - ISO date string to filter closes
+ * @param {string|null} untilDate - ISO date string to filter closes (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Issue event records of type 'close'
+ */
+export async function fetchIssueCloseEvents(token, owner, repoName, issues, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `issue_closes_v3_${owner}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('issueEvents', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const headers = getHeaders(token);
+  const inRange = inDateRange(sinceDate, untilDate);
+  const closes = [];
+  let hasTimeline = false;
+
+  // One request per issue closed in the range
+  for (const issue of issues.filter(issue => issue.closed_at && inRange(issue.closed_at))) {
+    let timeline;
+    try {
+      timeline = await fetchAllPages(
+        `${host.apiBase}/repos/${owner}/${repoName}/issues/${issue.number}/timeline`,
+        headers, signal, `Failed to fetch timeline for issue #${issue.number}`
+      );
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      // A deleted or transferred issue 404s on its own; only an issue that is still
+      // there means the server has no timeline endpoint at all
+      if (hasTimeline || !(await issueExists(token, owner, repoName, issue.number, signal))) continue;
+      break;
+    }
+    hasTimeline = true;
+    timeline
+      .filter(event => event.type === 'close' && event.user?.login && inRange(event.created_at))
+      .forEach(event => {
+        closes.push(toIssueEventRecord('close', event.id, event.user.login, event.user.avatar_url,
+          event.created_at, issue, issue.url));
+      });
+  }
+
+  await cache.setRecords('issueEvents', cacheKey, `${owner}/${repoName}`, closes);
+  return closes;
+}
+
+/**
+ * Fetches the paths a repo's .gitattributes marks as linguist-generated or linguist-vendored
+ * @param {string} token - Gitea access token
+ * @param {string} owner - Organization or user name
+ * @param {string} repoName - Repository name
+ * @param {string} defaultBranch - Branch to read .gitattributes from
+ * @param {AbortSignal|null} signal - Optional abort signal
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array<string>>} Globs, empty when the repo has no .gitattributes
+ */
+export async function fetchGeneratedPaths(token, owner, repoName, defaultBranch, signal = null, refresh = false) {
+  const cacheKey = `gitattributes_v1_${owner}_${repoName}_${defaultBranch}`;
+  const cached = refresh ? null : await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await scheduledFetch(
+    `${host.apiBase}/repos/${owner}/${repoName}/raw/.gitattributes?ref=${encodeURIComponent(defaultBranch)}`,
+    { headers: getHeaders(token), signal }
+  );
+
+  let paths = [];
+  if (response.ok) {
+    paths = parseGitattributes(await response.text());
+  } else if (response.status !== 404) {
+    throw new Error(`Failed to fetch .gitattributes: ${response.status} ${response.statusText}`);
+  }
+
+  await cache.set(cacheKey, paths);
+  return paths;
+}
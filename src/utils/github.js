@@ -1,107 +1,54 @@
-const GITHUB_API_BASE = 'https://api.github.com';
+import { scheduledFetch, waitForRateLimitReset, sleep } from './scheduler';
+import { getSharedCache, setSharedCache, createScopedCache } from './cache';
+import { createIdentityResolver } from './identity';
+import { getExclusionReason } from './exclusions';
+import { createPathMatcher, countIncludedLines, parseGitattributes } from './fileFilters';
+import { resolveHost } from './hosts';
+import { parseCommitMessage, collectEmailLogins, resolveCoAuthor, creditShare } from './coauthors';
+import { rangeKeySuffix, inDateRange, toReviewRecord, buildReviewMap, toIssueEventRecord } from './records';
 
-// Cache configuration
-const CACHE_PREFIX = 'github_leaderboard_cache_';
-const CACHE_EXPIRY_MS = 30 * 60 * 1000; // 30 minutes
+// Host every request goes to, github.com unless configured (see setHost)
+let host = resolveHost();
+
+// The cache as seen from the current host (see createScopedCache)
+const cache = createScopedCache(() => host.key);
 
 /**
- * Gets cached data if valid
- * @param {string} key - Cache key
- * @returns {any|null} Cached data or null if expired/missing
+ * Replaces the cache backend used by all fetchers, for every forge
+ * @param {Object} backend - Backend implementing the interface described in cache.js
  */
-function getFromCache(key) {
-  try {
-    const cached = localStorage.getItem(CACHE_PREFIX + key);
-    if (!cached) return null;
-    
-    const { data, timestamp } = JSON.parse(cached);
-    if (Date.now() - timestamp > CACHE_EXPIRY_MS) {
-      localStorage.removeItem(CACHE_PREFIX + key);
-      return null;
-    }
-    return data;
-  } catch {
-    return null;
-  }
+export function setCacheBackend(backend) {
+  setSharedCache(backend);
 }
 
 /**
- * Saves data to cache with quota management
- * @param {string} key - Cache key
- * @param {any} data - Data to cache
+ * Points all fetchers at a GitHub host
+ * @param {Object} settings - { apiBase, webBase, serverVersion } (see resolveHost)
+ * @throws {Error} When the API base isn't a valid URL
  */
-function saveToCache(key, data) {
-  try {
-    const serialized = JSON.stringify({
-      data,
-      timestamp: Date.now()
-    });
-    
-    // Check if this single item is too large (> 500KB)
-    if (serialized.length > 500 * 1024) {
-      console.warn(`Cache item too large for ${key}, skipping`);
-      return;
-    }
-    
-    // Try to save, if quota exceeded, clear old entries and retry
-    try {
-      localStorage.setItem(CACHE_PREFIX + key, serialized);
-    } catch (e) {
-      if (e.name === 'QuotaExceededError' || e.code === 22) {
-        // Clear old cache and try again
-        clearOldCache();
-        try {
-          localStorage.setItem(CACHE_PREFIX + key, serialized);
-        } catch {
-          // Still failing, clear all our cache
-          clearCache();
-          // Don't retry again to avoid infinite loop
-          console.warn('Cache quota exceeded, cache cleared');
-        }
-      }
-    }
-  } catch (e) {
-    console.warn('Cache save failed:', e);
-  }
+export function setHost(settings) {
+  host = resolveHost(settings);
 }
 
 /**
- * Clears old cache entries
+ * Clears all cached data, for every forge and host
+ * @returns {Promise<void>}
  */
-function clearOldCache() {
-  const keysToRemove = [];
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key?.startsWith(CACHE_PREFIX)) {
-      try {
-        const { timestamp } = JSON.parse(localStorage.getItem(key));
-        if (Date.now() - timestamp > CACHE_EXPIRY_MS) {
-          keysToRemove.push(key);
-        }
-      } catch {
-        keysToRemove.push(key);
-      }
-    }
-  }
-  keysToRemove.forEach(key => localStorage.removeItem(key));
+export function clearCache() {
+  return getSharedCache().clear();
 }
 
 /**
- * Clears all cached GitHub data
+ * Reports how much data the cache holds
+ * @returns {Promise<Object>} { bytes, entries }
  */
-export function clearCache() {
-  const keysToRemove = [];
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key?.startsWith(CACHE_PREFIX)) {
-      keysToRemove.push(key);
-    }
-  }
-  keysToRemove.forEach(key => localStorage.removeItem(key));
+export function getCacheUsage() {
+  return getSharedCache().usage();
 }
 
 /**
  * Creates headers for GitHub API requests
+ * GHES releases before 3.9 reject the API version header, so it is only sent where supported.
  * @param {string} token - GitHub Personal Access Token
  * @returns {Object} Headers object
  */
@@ -109,78 +56,210 @@ function getHeaders(token) {
   return {
     Authorization: `Bearer ${token}`,
     Accept: 'application/vnd.github+json',
-    'X-GitHub-Api-Version': '2022-11-28',
+    ...(host.versionHeader ? { 'X-GitHub-Api-Version': '2022-11-28' } : {}),
+  };
+}
+
+// Repository fields kept in the cache, the ones needed for sorting/filtering
+function toRepoMetadata(repo) {
+  return {
+    id: repo.id,
+    name: repo.name,
+    full_name: repo.full_name,
+    description: repo.description,
+    updated_at: repo.updated_at,
+    pushed_at: repo.pushed_at,
+    stargazers_count: repo.stargazers_count,
+    fork: repo.fork,
+    language: repo.language,
+    default_branch: repo.default_branch,
+    size: repo.size,
   };
 }
 
 /**
- * Fetches all repositories for an organization with pagination
+ * Creates the error for a failed repository request
+ * @param {Response} response - Failed response
+ * @param {string} notFound - Message for a 404
+ * @returns {Error}
+ */
+function repoRequestError(response, notFound) {
+  if (response.status === 401) {
+    return new Error('Invalid token. Please check your Personal Access Token.');
+  }
+  if (response.status === 404) {
+    return new Error(notFound);
+  }
+  if (response.status === 403) {
+    return new Error('Access forbidden. Check your token permissions.');
+  }
+  return new Error(`Failed to fetch repos: ${response.status} ${response.statusText}`);
+}
+
+/**
+ * Fetches every page of a list endpoint
+ * A failed page throws describeError's error with the response status attached as `status`.
+ * @param {string} url - Endpoint URL without paging parameters
+ * @param {Object} headers - Request headers
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {Function} describeError - (response) => Error for a failed page
+ * @param {number} maxPages - Maximum number of pages to fetch
+ * @returns {Promise<Array>} All items
+ */
+async function fetchAllPages(url, headers, signal, describeError, maxPages = Infinity) {
+  const items = [];
+  const separator = url.includes('?') ? '&' : '?';
+  let page = 1;
+
+  while (page <= maxPages) {
+    const response = await scheduledFetch(`${url}${separator}per_page=100&page=${page}`, { headers, signal });
+    if (!response.ok) {
+      const error = describeError(response);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    items.push(...data);
+    if (data.length < 100) break;
+    page++;
+  }
+
+  return items;
+}
+
+/**
+ * Fetches all repositories of an organization or user with pagination
+ * Personal accounts have no /orgs endpoint, so a 404 there falls back to /users.
  * @param {string} token - GitHub PAT
- * @param {string} org - Organization name
+ * @param {string} org - Organization or user name
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
  * @returns {Promise<Array>} Array of repository objects
  */
-export async function fetchRepos(token, org) {
+export async function fetchRepos(token, org, signal = null) {
   // Check cache first
   const cacheKey = `repos_${org}`;
-  const cached = getFromCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) {
     return cached;
   }
 
   const headers = getHeaders(token);
-  const repos = [];
-  let page = 1;
+  const describeError = response => repoRequestError(response, `Organization or user "${org}" not found.`);
 
-  while (true) {
-    const response = await fetch(
-      `${GITHUB_API_BASE}/orgs/${org}/repos?per_page=100&page=${page}&sort=updated`,
-      { headers }
-    );
+  let repos;
+  try {
+    repos = await fetchAllPages(`${host.apiBase}/orgs/${org}/repos?sort=updated`, headers, signal, describeError);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    repos = await fetchAllPages(`${host.apiBase}/users/${org}/repos?sort=updated`, headers, signal, describeError);
+  }
 
-    if (!response.ok) {
-      if (response.status === 401) {
-        throw new Error('Invalid token. Please check your Personal Access Token.');
-      }
-      if (response.status === 404) {
-        throw new Error(`Organization "${org}" not found.`);
-      }
-      if (response.status === 403) {
-        const rateLimitRemaining = response.headers.get('x-ratelimit-remaining');
-        if (rateLimitRemaining === '0') {
-          const resetTime = response.headers.get('x-ratelimit-reset');
-          const resetDate = new Date(resetTime * 1000);
-          throw new Error(`Rate limit exceeded. Resets at ${resetDate.toLocaleTimeString()}`);
-        }
-        throw new Error('Access forbidden. Check your token permissions.');
-      }
-      throw new Error(`Failed to fetch repos: ${response.status} ${response.statusText}`);
-    }
+  const reposWithMetadata = repos.map(toRepoMetadata);
+  await cache.set(cacheKey, reposWithMetadata);
 
-    const data = await response.json();
-    repos.push(...data);
+  return reposWithMetadata;
+}
 
-    // Check if there are more pages
-    if (data.length < 100) break;
-    page++;
+/**
+ * Fetches a single repository
+ * @param {string} token - GitHub PAT
+ * @param {string} fullName - `owner/repo`
+ * @param {AbortSignal|null} signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} Repository object
+ */
+export async function fetchRepo(token, fullName, signal = null) {
+  const cacheKey = `repo_${fullName}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
   }
 
-  // Save repo data to cache (include fields we need for sorting/filtering)
-  const reposWithMetadata = repos.map(repo => ({
-    id: repo.id,
-    name: repo.name,
-    full_name: repo.full_name,
-    description: repo.description,
-    updated_at: repo.updated_at,
-    pushed_at: repo.pushed_at,
-    stargazers_count: repo.stargazers_count,
-    fork: repo.fork,
-    language: repo.language,
-    default_branch: repo.default_branch,
-    size: repo.size,
-  }));
-  saveToCache(cacheKey, reposWithMetadata);
-  
-  return reposWithMetadata;
+  const response = await scheduledFetch(`${host.apiBase}/repos/${fullName}`, {
+    headers: getHeaders(token),
+    signal,
+  });
+  if (!response.ok) {
+    throw repoRequestError(response, `Repository "${fullName}" not found.`);
+  }
+
+  const repo = toRepoMetadata(await response.json());
+  await cache.set(cacheKey, repo);
+  return repo;
+}
+
+/**
+ * Fetches the names of a repository's branches
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array<string>>} Branch names
+ */
+export async function fetchBranches(token, org, repoName, signal = null, refresh = false) {
+  const cacheKey = `branches_v1_${org}_${repoName}`;
+  const cached = refresh ? null : await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const branches = await fetchAllPages(
+    `${host.apiBase}/repos/${org}/${repoName}/branches`,
+    getHeaders(token),
+    signal,
+    response => new Error(`Failed to fetch branches: ${response.status} ${response.statusText}`)
+  );
+
+  const names = branches.map(branch => branch.name);
+  await cache.set(cacheKey, names);
+  return names;
+}
+
+/**
+ * Fetches an organization's teams and their members
+ * Needs a token with the read:org scope.
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Array>} [{ name, slug, members }] with member logins lowercased
+ */
+export async function fetchOrgTeams(token, org, signal = null) {
+  const cacheKey = `teams_v1_${org}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const headers = getHeaders(token);
+  const describeError = (response) => {
+    if (response.status === 401) {
+      return new Error('Invalid token. Please check your Personal Access Token.');
+    }
+    if (response.status === 403 || response.status === 404) {
+      return new Error(`Can't read the teams of "${org}". The token needs the read:org scope and access to the organization.`);
+    }
+    return new Error(`Failed to fetch teams: ${response.status} ${response.statusText}`);
+  };
+
+  const teamList = await fetchAllPages(`${host.apiBase}/orgs/${org}/teams`, headers, signal, describeError);
+  const teams = [];
+  for (const team of teamList) {
+    const members = await fetchAllPages(
+      `${host.apiBase}/orgs/${org}/teams/${team.slug}/members`,
+      headers,
+      signal,
+      describeError
+    );
+    teams.push({
+      name: team.name,
+      slug: team.slug,
+      members: members.map(member => member.login.toLowerCase()),
+    });
+  }
+
+  await cache.set(cacheKey, teams);
+  return teams;
 }
 
 /**
@@ -190,12 +269,13 @@ export async function fetchRepos(token, org) {
  * @param {string} org - Organization/owner name
  * @param {string} repoName - Repository name
  * @param {number} retries - Number of retries (default 3)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
  * @returns {Promise<Array>} Array of contributor stats
  */
-export async function fetchStats(token, org, repoName, retries = 3) {
+export async function fetchStats(token, org, repoName, retries = 3, signal = null) {
   // Check cache first
   const cacheKey = `stats_v2_${org}_${repoName}`;
-  const cached = getFromCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) {
     return cached;
   }
@@ -203,19 +283,19 @@ export async function fetchStats(token, org, repoName, retries = 3) {
   const headers = getHeaders(token);
 
   // Try the stats/contributors endpoint first
-  const response = await fetch(
-    `${GITHUB_API_BASE}/repos/${org}/${repoName}/stats/contributors`,
-    { headers }
+  const response = await scheduledFetch(
+    `${host.apiBase}/repos/${org}/${repoName}/stats/contributors`,
+    { headers, signal }
   );
 
   if (response.status === 202) {
     // Stats are being computed, wait and retry
     if (retries > 0) {
-      await new Promise((resolve) => setTimeout(resolve, 1500));
-      return fetchStats(token, org, repoName, retries - 1);
+      await sleep(1500, signal);
+      return fetchStats(token, org, repoName, retries - 1, signal);
     }
     // Fall back to commits API if stats not ready
-    return fetchCommitsAsStats(token, org, repoName);
+    return fetchCommitsAsStats(token, org, repoName, signal);
   }
 
   if (response.status === 204) {
@@ -224,23 +304,15 @@ export async function fetchStats(token, org, repoName, retries = 3) {
   }
 
   if (!response.ok) {
-    if (response.status === 403) {
-      const rateLimitRemaining = response.headers.get('x-ratelimit-remaining');
-      if (rateLimitRemaining === '0') {
-        const resetTime = response.headers.get('x-ratelimit-reset');
-        const resetDate = new Date(resetTime * 1000);
-        throw new Error(`Rate limit exceeded. Resets at ${resetDate.toLocaleTimeString()}`);
-      }
-    }
     // Fall back to commits API on error
-    return fetchCommitsAsStats(token, org, repoName);
+    return fetchCommitsAsStats(token, org, repoName, signal);
   }
 
   const data = await response.json();
   
   if (!data || data.length === 0) {
     // No stats returned, try commits API
-    return fetchCommitsAsStats(token, org, repoName);
+    return fetchCommitsAsStats(token, org, repoName, signal);
   }
   
   // Store minimal stats data to avoid cache size issues
@@ -258,7 +330,7 @@ export async function fetchStats(token, org, repoName, retries = 3) {
     })).filter(w => w.a > 0 || w.d > 0 || w.c > 0),
   })).filter(c => c.author?.login);
   
-  saveToCache(cacheKey, minimalStats);
+  await cache.set(cacheKey, minimalStats);
   return minimalStats;
 }
 
@@ -269,11 +341,12 @@ export async function fetchStats(token, org, repoName, retries = 3) {
  * @param {string} token - GitHub PAT
  * @param {string} org - Organization/owner name
  * @param {string} repoName - Repository name
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
  * @returns {Promise<Array>} Array of contributor stats
  */
-async function fetchCommitsAsStats(token, org, repoName) {
+async function fetchCommitsAsStats(token, org, repoName, signal = null) {
   const cacheKey = `commits_stats_v2_${org}_${repoName}`;
-  const cached = getFromCache(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) {
     return cached;
   }
@@ -290,9 +363,9 @@ async function fetchCommitsAsStats(token, org, repoName) {
 
   while (page <= maxPages) {
     try {
-      const response = await fetch(
-        `${GITHUB_API_BASE}/repos/${org}/${repoName}/commits?per_page=100&page=${page}&since=${since}`,
-        { headers }
+      const response = await scheduledFetch(
+        `${host.apiBase}/repos/${org}/${repoName}/commits?per_page=100&page=${page}&since=${since}`,
+        { headers, signal }
       );
 
       if (!response.ok) break;
@@ -314,9 +387,9 @@ async function fetchCommitsAsStats(token, org, repoName) {
   
   for (const commit of commitsToFetch) {
     try {
-      const response = await fetch(
-        `${GITHUB_API_BASE}/repos/${org}/${repoName}/commits/${commit.sha}`,
-        { headers }
+      const response = await scheduledFetch(
+        `${host.apiBase}/repos/${org}/${repoName}/commits/${commit.sha}`,
+        { headers, signal }
       );
       
       if (response.ok) {
@@ -388,71 +461,152 @@ async function fetchCommitsAsStats(token, org, repoName) {
       .sort((a, b) => a.w - b.w),
   }));
 
-  saveToCache(cacheKey, stats);
+  // Errors above are skipped, so make sure a cancelled run isn't cached as complete
+  signal?.throwIfAborted();
+  await cache.set(cacheKey, stats);
   return stats;
 }
 
 /**
- * Fetches commits from the default branch of a repository
- * @param {string} token - GitHub PAT
+ * Builds the cache key for a commit list
  * @param {string} org - Organization name
  * @param {string} repoName - Repository name
- * @param {string} defaultBranch - Default branch name (e.g., 'main', 'master')
- * @param {string|null} sinceDate - ISO date string to filter commits
- * @returns {Promise<Array>} Array of commit objects with URLs
+ * @param {string} defaultBranch - Branch name
+ * @param {string|null} sinceDate - ISO date string the list starts at
+ * @param {string|null} untilDate - ISO date string the list ends at
+ * @returns {string} Cache key
  */
-export async function fetchCommits(token, org, repoName, defaultBranch, sinceDate = null) {
-  const cacheKey = sinceDate
-    ? `commits_v4_${org}_${repoName}_${defaultBranch}_since_${sinceDate.slice(0, 10)}`
-    : `commits_v4_${org}_${repoName}_${defaultBranch}`;
-  const cached = getFromCache(cacheKey);
-  if (cached) {
-    return cached;
-  }
+function commitsCacheKey(org, repoName, defaultBranch, sinceDate, untilDate) {
+  return `commits_v7_${org}_${repoName}_${defaultBranch}${rangeKeySuffix(sinceDate, untilDate)}`;
+}
 
+/**
+ * Pages through the commits endpoint for a branch
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string} defaultBranch - Branch name
+ * @param {string|null} sinceDate - ISO date string passed as `since=`
+ * @param {string|null} untilDate - ISO date string passed as `until=`
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Object>} { commits, latestCommitDate } - latestCommitDate is the newest committer date seen
+ */
+async function fetchCommitPages(token, org, repoName, defaultBranch, sinceDate, untilDate, signal) {
   const headers = getHeaders(token);
   const commits = [];
+  let latestCommitDate = null;
   let page = 1;
-  // For "All Time" (no sinceDate), fetch all pages; otherwise limit to 10 pages
-  const maxPages = sinceDate ? 10 : Infinity;
 
-  while (page <= maxPages) {
-    let url = `${GITHUB_API_BASE}/repos/${org}/${repoName}/commits?sha=${encodeURIComponent(defaultBranch)}&per_page=100&page=${page}`;
+  while (true) {
+    let url = `${host.apiBase}/repos/${org}/${repoName}/commits?sha=${encodeURIComponent(defaultBranch)}&per_page=100&page=${page}`;
     if (sinceDate) {
       url += `&since=${sinceDate}`;
     }
+    if (untilDate) {
+      url += `&until=${untilDate}`;
+    }
 
-    const response = await fetch(url, { headers });
+    const response = await scheduledFetch(url, { headers, signal });
 
-    if (!response.ok) {
-      console.warn(`Failed to fetch commits for ${repoName}: ${response.status}`);
+    if (response.status === 409) {
+      // Empty repository
       break;
     }
 
+    if (!response.ok) {
+      // Rate limits are handled by the scheduler; anything else means the list would be incomplete
+      throw new Error(`Failed to fetch commits: ${response.status} ${response.statusText}`);
+    }
+
     const data = await response.json();
     if (data.length === 0) break;
 
     data.forEach(commit => {
-      if (commit.author?.login) {
-        commits.push({
-          sha: commit.sha,
-          user: commit.author.login,
-          avatar_url: commit.author.avatar_url,
-          message: commit.commit?.message?.split('\n')[0] || 'No message',
-          date: commit.commit?.author?.date || commit.commit?.committer?.date,
-          url: commit.html_url,
-        });
+      // `since=` filters on committer date, so that's what the sync cursor tracks
+      const committedAt = commit.commit?.committer?.date;
+      if (committedAt && (!latestCommitDate || committedAt > latestCommitDate)) {
+        latestCommitDate = committedAt;
       }
+
+      // Commits whose email isn't linked to an account have no login; keep the git
+      // author so they can still be attributed (see identity.js)
+      commits.push({
+        sha: commit.sha,
+        user: commit.author?.login || null,
+        avatar_url: commit.author?.avatar_url || null,
+        author_name: commit.commit?.author?.name || null,
+        author_email: commit.commit?.author?.email || null,
+        ...parseCommitMessage(commit.commit?.message),
+        date: commit.commit?.author?.date || commit.commit?.committer?.date,
+        url: commit.html_url,
+      });
     });
 
     if (data.length < 100) break;
     page++;
   }
 
-  saveToCache(cacheKey, commits);
+  return { commits, latestCommitDate };
+}
+
+/**
+ * Fetches commits from the default branch of a repository
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string} defaultBranch - Default branch name (e.g., 'main', 'master')
+ * @param {string|null} sinceDate - ISO date string to filter commits
+ * @param {string|null} untilDate - ISO date string to filter commits (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Array of commit objects with URLs
+ */
+export async function fetchCommits(token, org, repoName, defaultBranch, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = commitsCacheKey(org, repoName, defaultBranch, sinceDate, untilDate);
+  const cached = refresh ? null : await cache.getRecords('commits', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const { commits, latestCommitDate } = await fetchCommitPages(token, org, repoName, defaultBranch, sinceDate, untilDate, signal);
+
+  await cache.setRecords('commits', cacheKey, `${org}/${repoName}`, commits);
+  await cache.set(`${cacheKey}_sync`, { latestCommitDate });
   return commits;
 }
 
+/**
+ * Brings a cached commit list up to date by fetching only commits newer than the last sync
+ * Falls back to a full fetchCommits when nothing has been synced yet.
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string} defaultBranch - Default branch name (e.g., 'main', 'master')
+ * @param {string|null} sinceDate - ISO date string to filter commits
+ * @param {string|null} untilDate - ISO date string to filter commits (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Array>} Merged array of commit objects, newest first
+ */
+export async function syncCommits(token, org, repoName, defaultBranch, sinceDate = null, untilDate = null, signal = null) {
+  const cacheKey = commitsCacheKey(org, repoName, defaultBranch, sinceDate, untilDate);
+  const cached = await cache.getRecords('commits', cacheKey);
+  const syncState = cached && await cache.get(`${cacheKey}_sync`);
+  if (!syncState) {
+    return fetchCommits(token, org, repoName, defaultBranch, sinceDate, untilDate, signal);
+  }
+
+  const cursor = syncState.latestCommitDate || sinceDate;
+  const { commits: newCommits, latestCommitDate } = await fetchCommitPages(token, org, repoName, defaultBranch, cursor, untilDate, signal);
+
+  // `since=` is inclusive, so the newest cached commits come back again
+  const known = new Set(cached.map(commit => commit.sha));
+  const merged = [...newCommits.filter(commit => !known.has(commit.sha)), ...cached];
+
+  await cache.setRecords('commits', cacheKey, `${org}/${repoName}`, merged);
+  await cache.set(`${cacheKey}_sync`, { latestCommitDate: latestCommitDate || syncState.latestCommitDate });
+  return merged;
+}
+
 /**
  * Fetches pull requests for a repository with pagination
  * Includes additions/deletions/commits data from individual PR details
@@ -460,14 +614,14 @@ export async function fetchCommits(token, org, repoName, defaultBranch, sinceDat
  * @param {string} org - Organization name
  * @param {string} repoName - Repository name
  * @param {string|null} sinceDate - ISO date string to filter PRs (only fetch PRs updated after this date)
+ * @param {string|null} untilDate - ISO date string to filter PRs (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
  * @returns {Promise<Array>} Array of PR objects with stats
  */
-export async function fetchPullRequests(token, org, repoName, sinceDate = null) {
-  // Include sinceDate in cache key so different time ranges are cached separately
-  const cacheKey = sinceDate 
-    ? `prs_v3_${org}_${repoName}_since_${sinceDate.slice(0, 10)}`
-    : `prs_v3_${org}_${repoName}`;
-  const cached = getFromCache(cacheKey);
+export async function fetchPullRequests(token, org, repoName, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `prs_v6_${org}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('pullRequests', cacheKey);
   if (cached) {
     return cached;
   }
@@ -475,33 +629,28 @@ export async function fetchPullRequests(token, org, repoName, sinceDate = null)
   const headers = getHeaders(token);
   const prs = [];
   let page = 1;
-  // For "All Time" (no sinceDate), fetch all pages; otherwise limit to 10 pages
-  const maxPages = sinceDate ? 10 : Infinity;
 
-  while (page <= maxPages) {
-    let url = `${GITHUB_API_BASE}/repos/${org}/${repoName}/pulls?state=all&per_page=100&page=${page}&sort=updated&direction=desc`;
+  // Every page in the range; the scheduler paces the requests against the rate limit
+  while (true) {
+    let url = `${host.apiBase}/repos/${org}/${repoName}/pulls?state=all&per_page=100&page=${page}&sort=updated&direction=desc`;
     
-    const response = await fetch(url, { headers });
+    const response = await scheduledFetch(url, { headers, signal });
 
     if (!response.ok) {
-      console.warn(`Failed to fetch PRs for ${repoName}: ${response.status}`);
-      break;
+      throw new Error(`Failed to fetch pull requests: ${response.status} ${response.statusText}`);
     }
 
     const data = await response.json();
     
     // Filter by date
-    let filteredPRs = data;
-    if (sinceDate) {
-      const sinceTimestamp = new Date(sinceDate).getTime();
-      filteredPRs = data.filter(pr => {
-        const prDate = new Date(pr.merged_at || pr.closed_at || pr.updated_at).getTime();
-        return prDate >= sinceTimestamp;
-      });
-      
-      if (data.length > 0 && filteredPRs.length === 0) {
-        break;
-      }
+    const sinceTimestamp = sinceDate ? new Date(sinceDate).getTime() : 0;
+    const untilTimestamp = untilDate ? new Date(untilDate).getTime() : Infinity;
+    const prDate = pr => new Date(pr.merged_at || pr.closed_at || pr.updated_at).getTime();
+    const filteredPRs = data.filter(pr => prDate(pr) >= sinceTimestamp && prDate(pr) <= untilTimestamp);
+
+    // Sorted by update time, so once a whole page is before the range we're done
+    if (sinceDate && data.length > 0 && data.every(pr => prDate(pr) < sinceTimestamp)) {
+      break;
     }
     
     // Store basic info for now
@@ -511,6 +660,7 @@ export async function fetchPullRequests(token, org, repoName, sinceDate = null)
         user: pr.user?.login,
         avatar_url: pr.user?.avatar_url,
         created_at: pr.created_at,
+        updated_at: pr.updated_at,
         merged_at: pr.merged_at,
         state: pr.state,
         title: pr.title,
@@ -522,166 +672,874 @@ export async function fetchPullRequests(token, org, repoName, sinceDate = null)
     page++;
   }
 
-  // Now fetch details for merged PRs to get additions/deletions/commits
-  // Limit to 30 PRs to avoid rate limits
-  const mergedPRs = prs.filter(pr => pr.merged_at).slice(0, 30);
+  // Now fetch details for every merged PR to get additions/deletions/commits
+  const mergedPRs = prs.filter(pr => pr.merged_at);
   
   for (const pr of mergedPRs) {
-    try {
-      const response = await fetch(
-        `${GITHUB_API_BASE}/repos/${org}/${repoName}/pulls/${pr.number}`,
-        { headers }
-      );
-      
-      if (response.ok) {
-        const details = await response.json();
-        pr.additions = details.additions || 0;
-        pr.deletions = details.deletions || 0;
-        pr.commits = details.commits || 0;
-        pr.changed_files = details.changed_files || 0;
-      }
-    } catch {
-      // Skip on error
+    const response = await scheduledFetch(
+      `${host.apiBase}/repos/${org}/${repoName}/pulls/${pr.number}`,
+      { headers, signal }
+    );
+
+    // A PR without its line counts would be cached as if it had none
+    if (!response.ok) {
+      throw new Error(`Failed to fetch pull request #${pr.number}: ${response.status} ${response.statusText}`);
     }
+
+    const details = await response.json();
+    pr.additions = details.additions || 0;
+    pr.deletions = details.deletions || 0;
+    pr.commits = details.commits || 0;
+    pr.changed_files = details.changed_files || 0;
+    pr.files = await fetchPullRequestFiles(token, org, repoName, pr.number, signal);
   }
 
-  saveToCache(cacheKey, prs);
+  await cache.setRecords('pullRequests', cacheKey, `${org}/${repoName}`, prs);
   return prs;
 }
 
 /**
- * Fetches reviews for pull requests in a repository
+ * Fetches reviews for pull requests in a repository, with their state and inline comment counts
  * @param {string} token - GitHub PAT
  * @param {string} org - Organization name
  * @param {string} repoName - Repository name
  * @param {Array} pullRequests - Array of PR objects (already filtered by date)
  * @param {string|null} sinceDate - ISO date string (used for cache key)
- * @returns {Promise<Object>} Map of user -> { count, submitted_at[] }
+ * @param {string|null} untilDate - ISO date string (used for cache key)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Object>} Map of user -> { count, reviews[], prs[] } (see buildReviewMap)
  */
-export async function fetchReviews(token, org, repoName, pullRequests, sinceDate = null) {
-  const cacheKey = sinceDate
-    ? `reviews_${org}_${repoName}_since_${sinceDate.slice(0, 10)}`
-    : `reviews_${org}_${repoName}`;
-  const cached = getFromCache(cacheKey);
+export async function fetchReviews(token, org, repoName, pullRequests, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `reviews_v4_${org}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('reviews', cacheKey);
   if (cached) {
-    return cached;
+    return buildReviewMap(cached);
   }
 
   const headers = getHeaders(token);
-  const reviewData = {};
+  const reviewRecords = [];
+
+  // Every PR in the range; they are already filtered by date
+  for (const pr of pullRequests) {
+    const reviews = await fetchAllPages(
+      `${host.apiBase}/repos/${org}/${repoName}/pulls/${pr.number}/reviews`,
+      headers, signal,
+      reviewsResponse => new Error(`Failed to fetch reviews for PR #${pr.number}: ${reviewsResponse.status} ${reviewsResponse.statusText}`)
+    );
 
-  // Only check PRs that are already filtered by date (max 50 to limit API calls)
-  const prsToCheck = pullRequests.slice(0, 50);
+    // Inline comments name the review they were submitted with
+    const comments = await fetchAllPages(
+      `${host.apiBase}/repos/${org}/${repoName}/pulls/${pr.number}/comments`,
+      headers, signal,
+      commentsResponse => new Error(`Failed to fetch review comments for PR #${pr.number}: ${commentsResponse.status} ${commentsResponse.statusText}`)
+    );
+    const commentCounts = new Map();
+    comments.forEach(comment => {
+      commentCounts.set(comment.pull_request_review_id, (commentCounts.get(comment.pull_request_review_id) || 0) + 1);
+    });
 
-  for (const pr of prsToCheck) {
-    try {
-      const response = await fetch(
-        `${GITHUB_API_BASE}/repos/${org}/${repoName}/pulls/${pr.number}/reviews`,
-        { headers }
-      );
+    reviews.forEach(review => {
+      // Pending reviews haven't been submitted yet
+      if (review.user?.login && review.state !== 'PENDING') {
+        reviewRecords.push(toReviewRecord(review.id, review.user.login, review.submitted_at, pr,
+          review.state, commentCounts.get(review.id) || 0));
+      }
+    });
+  }
 
-      if (!response.ok) continue;
+  await cache.setRecords('reviews', cacheKey, `${org}/${repoName}`, reviewRecords);
+  return buildReviewMap(reviewRecords);
+}
 
-      const reviews = await response.json();
-      reviews.forEach(review => {
-        if (review.user?.login) {
-          const user = review.user.login;
-          if (!reviewData[user]) {
-            reviewData[user] = { count: 0, submitted_at: [], prs: [] };
-          }
-          reviewData[user].count += 1;
-          if (review.submitted_at) {
-            reviewData[user].submitted_at.push(review.submitted_at);
-          }
-          // Store PR info for linking
-          const prInfo = { number: pr.number, title: pr.title || `PR #${pr.number}`, url: pr.url };
-          if (!reviewData[user].prs.find(p => p.number === pr.number)) {
-            reviewData[user].prs.push(prInfo);
-          }
-        }
-      });
-    } catch (e) {
-      console.warn(`Error fetching reviews for PR #${pr.number}:`, e);
-    }
+/**
+ * Fetches the issues of a repository updated in a date range, without pull requests
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string|null} sinceDate - ISO date string (only fetch issues updated after this date)
+ * @param {string|null} untilDate - ISO date string (used for cache key)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Array of issue objects
+ */
+export async function fetchIssues(token, org, repoName, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `issues_v2_${org}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('issues', cacheKey);
+  if (cached) {
+    return cached;
   }
 
-  saveToCache(cacheKey, reviewData);
-  return reviewData;
+  let url = `${host.apiBase}/repos/${org}/${repoName}/issues?state=all&sort=updated&direction=desc`;
+  if (sinceDate) {
+    url += `&since=${sinceDate}`;
+  }
+  const data = await fetchAllPages(url, getHeaders(token), signal,
+    response => new Error(`Failed to fetch issues: ${response.status} ${response.statusText}`));
+
+  // The issues endpoint lists pull requests too
+  const issues = data
+    .filter(issue => !issue.pull_request)
+    .map(issue => ({
+      number: issue.number,
+      user: issue.user?.login,
+      avatar_url: issue.user?.avatar_url,
+      created_at: issue.created_at,
+      updated_at: issue.updated_at,
+      closed_at: issue.closed_at,
+      state: issue.state,
+      title: issue.title,
+      url: issue.html_url,
+    }));
+
+  await cache.setRecords('issues', cacheKey, `${org}/${repoName}`, issues);
+  return issues;
 }
 
 /**
- * Aggregates contributor statistics across multiple repositories
- * @param {Array<Object>} repoDataArray - Array of { stats, prs, reviews } for each repo
- * @param {number|null} daysFilter - Number of days to filter by (null for all time)
- * @returns {Array} Aggregated stats sorted by net lines
+ * Fetches the comments made on a repository's issues in a date range
+ * Comments on pull request conversations are left out.
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {Array} issues - Issue objects from fetchIssues, used for titles
+ * @param {string|null} sinceDate - ISO date string to filter comments
+ * @param {string|null} untilDate - ISO date string to filter comments (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Issue event records of type 'comment'
  */
-export function aggregateStats(repoDataArray, daysFilter = null) {
-  const userMap = {};
-  
-  // Calculate cutoff timestamp if filtering by days
-  const cutoffTimestamp = daysFilter
-    ? Math.floor((Date.now() - daysFilter * 24 * 60 * 60 * 1000) / 1000)
-    : 0;
+export async function fetchIssueComments(token, org, repoName, issues, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `issue_comments_v2_${org}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('issueEvents', cacheKey);
+  if (cached) {
+    return cached;
+  }
 
-  repoDataArray.forEach(({ prs, reviews, commits, repoName }) => {
-    // Process commits from default branch
-    if (Array.isArray(commits)) {
-      commits.forEach((commit) => {
-        if (!commit.user) return;
-        
-        // Filter by time range
-        if (daysFilter && commit.date) {
-          const commitTimestamp = Math.floor(new Date(commit.date).getTime() / 1000);
-          if (commitTimestamp < cutoffTimestamp) return;
-        }
-        
-        const user = commit.user;
-        
-        if (!userMap[user]) {
-          userMap[user] = {
-            user,
-            avatarUrl: commit.avatar_url,
-            additions: 0,
-            deletions: 0,
-            commits: 0,
-            pullRequests: 0,
-            reviews: 0,
-            reposContributed: new Set(),
-            weeklyData: {},
-            prsList: [], // PRs created by user
-            reviewsList: [], // PRs reviewed by user
-            commitsList: [], // Commits by user
-          };
-        }
-        
-        userMap[user].commits += 1;
-        userMap[user].reposContributed.add(repoName);
-        
-        // Add commit to list (limit to 20 most recent)
-        if (userMap[user].commitsList.length < 20) {
-          userMap[user].commitsList.push({
-            sha: commit.sha.slice(0, 7),
-            message: commit.message,
-            url: commit.url,
-            date: commit.date,
-            repo: repoName,
-          });
+  let url = `${host.apiBase}/repos/${org}/${repoName}/issues/comments?sort=updated&direction=desc`;
+  if (sinceDate) {
+    url += `&since=${sinceDate}`;
+  }
+  const data = await fetchAllPages(url, getHeaders(token), signal,
+    response => new Error(`Failed to fetch issue comments: ${response.status} ${response.statusText}`));
+
+  const issueByNumber = new Map(issues.map(issue => [issue.number, issue]));
+  const inRange = inDateRange(sinceDate, untilDate);
+  const comments = data
+    .filter(comment => comment.user?.login && !comment.html_url?.includes('/pull/') && inRange(comment.created_at))
+    .map(comment => {
+      const number = Number(comment.issue_url.split('/').pop());
+      return toIssueEventRecord('comment', comment.id, comment.user.login, comment.user.avatar_url,
+        comment.created_at, issueByNumber.get(number) || { number }, comment.html_url);
+    });
+
+  await cache.setRecords('issueEvents', cacheKey, `${org}/${repoName}`, comments);
+  return comments;
+}
+
+/**
+ * Fetches who closed a repository's issues in a date range
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {Array} issues - Issue objects from fetchIssues (unused; the events carry their issue)
+ * @param {string|null} sinceDate - ISO date string to filter events
+ * @param {string|null} untilDate - ISO date string to filter events (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Issue event records of type 'close'
+ */
+export async function fetchIssueCloseEvents(token, org, repoName, issues, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `issue_closes_v2_${org}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('issueEvents', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const headers = getHeaders(token);
+  const inRange = inDateRange(sinceDate, untilDate);
+  const sinceTimestamp = sinceDate ? new Date(sinceDate).getTime() : 0;
+  const closes = [];
+  let page = 1;
+
+  // The feed has every kind of issue event, so page until it's past the range
+  while (true) {
+    const response = await scheduledFetch(
+      `${host.apiBase}/repos/${org}/${repoName}/issues/events?per_page=100&page=${page}`,
+      { headers, signal }
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to fetch issue events: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    data
+      .filter(event => event.event === 'closed' && event.actor?.login && event.issue && !event.issue.pull_request)
+      .filter(event => inRange(event.created_at))
+      .forEach(event => {
+        closes.push(toIssueEventRecord('close', event.id, event.actor.login, event.actor.avatar_url,
+          event.created_at, event.issue, event.issue.html_url));
+      });
+
+    // Events come newest first, so once a whole page is before the range we're done
+    if (sinceDate && data.length > 0 && data.every(event => new Date(event.created_at).getTime() < sinceTimestamp)) {
+      break;
+    }
+    if (data.length < 100) break;
+    page++;
+  }
+
+  await cache.setRecords('issueEvents', cacheKey, `${org}/${repoName}`, closes);
+  return closes;
+}
+
+const PULL_REQUESTS_QUERY = `
+  query($owner: String!, $name: String!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequests(first: 50, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          url
+          state
+          createdAt
+          updatedAt
+          closedAt
+          mergedAt
+          additions
+          deletions
+          changedFiles
+          commits { totalCount }
+          author { __typename login avatarUrl }
+          files(first: 100) {
+            pageInfo { hasNextPage endCursor }
+            nodes { path additions deletions }
+          }
+          reviews(first: 100) {
+            pageInfo { hasNextPage endCursor }
+            nodes { databaseId author { __typename login } submittedAt state comments { totalCount } }
+          }
         }
+      }
+    }
+  }
+`;
+
+const PULL_REQUEST_FILES_QUERY = `
+  query($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequest(number: $number) {
+        files(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { path additions deletions }
+        }
+      }
+    }
+  }
+`;
+
+const PULL_REQUEST_REVIEWS_QUERY = `
+  query($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequest(number: $number) {
+        reviews(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { databaseId author { __typename login } submittedAt state comments { totalCount } }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Runs a query against the GitHub GraphQL v4 API
+ * @param {string} token - GitHub PAT
+ * @param {string} query - GraphQL query document
+ * @param {Object} variables - Query variables
+ * @param {AbortSignal|null} signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} The `data` field of the response
+ */
+async function graphqlRequest(token, query, variables, signal = null) {
+  while (true) {
+    const response = await scheduledFetch(host.graphqlUrl, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ query, variables }),
+      signal,
+    });
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        throw new Error('Invalid token. Please check your Personal Access Token.');
+      }
+      throw new Error(`GraphQL request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    // GraphQL reports an exhausted budget in the body with a 200 status
+    if (result.errors?.some(e => e.type === 'RATE_LIMITED')) {
+      await waitForRateLimitReset(host.graphqlUrl, 'graphql', signal);
+      continue;
+    }
+    if (result.errors?.length) {
+      throw new Error(`GraphQL error: ${result.errors.map(e => e.message).join('; ')}`);
+    }
+    return result.data;
+  }
+}
+
+/**
+ * Fetches per-file line stats for a pull request
+ * The endpoint lists at most 3000 files; anything past that counts toward the PR totals only.
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {number} number - Pull request number
+ * @param {AbortSignal|null} signal - Optional abort signal
+ * @returns {Promise<Array>} Files as { path, additions, deletions }
+ */
+async function fetchPullRequestFiles(token, org, repoName, number, signal = null) {
+  const headers = getHeaders(token);
+  const files = [];
+  let page = 1;
+
+  while (page <= 30) {
+    const response = await scheduledFetch(
+      `${host.apiBase}/repos/${org}/${repoName}/pulls/${number}/files?per_page=100&page=${page}`,
+      { headers, signal }
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to fetch pull request files: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    data.forEach(file => {
+      files.push({ path: file.filename, additions: file.additions, deletions: file.deletions });
+    });
+
+    if (data.length < 100) break;
+    page++;
+  }
+
+  return files;
+}
+
+/**
+ * Fetches the paths a repo's .gitattributes marks as linguist-generated or linguist-vendored
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string} defaultBranch - Branch to read .gitattributes from
+ * @param {AbortSignal|null} signal - Optional abort signal
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array<string>>} Globs, empty when the repo has no .gitattributes
+ */
+export async function fetchGeneratedPaths(token, org, repoName, defaultBranch, signal = null, refresh = false) {
+  const cacheKey = `gitattributes_v1_${org}_${repoName}_${defaultBranch}`;
+  const cached = refresh ? null : await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await scheduledFetch(
+    `${host.apiBase}/repos/${org}/${repoName}/contents/.gitattributes?ref=${encodeURIComponent(defaultBranch)}`,
+    { headers: { ...getHeaders(token), Accept: 'application/vnd.github.raw+json' }, signal }
+  );
+
+  let paths = [];
+  if (response.ok) {
+    paths = parseGitattributes(await response.text());
+  } else if (response.status !== 404) {
+    throw new Error(`Failed to fetch .gitattributes: ${response.status} ${response.statusText}`);
+  }
+
+  await cache.set(cacheKey, paths);
+  return paths;
+}
+
+/**
+ * Returns an actor's login the way the REST API spells it
+ * GraphQL drops the `[bot]` suffix from app accounts, which bot detection relies on.
+ * @param {Object|null} author - GraphQL actor with __typename and login
+ * @returns {string|undefined} Login
+ */
+function graphqlLogin(author) {
+  if (!author?.login) return undefined;
+  return author.__typename === 'Bot' ? `${author.login}[bot]` : author.login;
+}
+
+/**
+ * Builds the cache key for GraphQL PR activity
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string|null} sinceDate - ISO date string the data starts at
+ * @param {string|null} untilDate - ISO date string the data ends at
+ * @returns {string} Cache key
+ */
+function prActivityCacheKey(org, repoName, sinceDate, untilDate) {
+  return `pr_activity_gql_v4_${org}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+}
+
+/**
+ * Pages through pull requests (most recently updated first) and their reviews via GraphQL
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string|null} sinceDate - ISO date string; PRs merged/closed/updated before it are skipped
+ * @param {string|null} untilDate - ISO date string; PRs merged/closed/updated after it are skipped
+ * @param {string|null} updatedSince - ISO date string; paging stops at PRs last updated before it
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Object>} { prs, reviewRecords, latestUpdate } - latestUpdate is the newest updatedAt seen
+ */
+async function fetchPullRequestPagesGraphQL(token, org, repoName, sinceDate, untilDate, updatedSince, signal) {
+  const sinceTimestamp = sinceDate ? new Date(sinceDate).getTime() : 0;
+  const untilTimestamp = untilDate ? new Date(untilDate).getTime() : Infinity;
+  const cutoffTimestamp = Math.max(sinceTimestamp, updatedSince ? new Date(updatedSince).getTime() : 0);
+  const prs = [];
+  const reviewRecords = [];
+  let latestUpdate = null;
+  let cursor = null;
+
+  while (true) {
+    const data = await graphqlRequest(token, PULL_REQUESTS_QUERY, { owner: org, name: repoName, cursor }, signal);
+    const connection = data.repository?.pullRequests;
+    if (!connection) {
+      throw new Error(`Repository "${org}/${repoName}" not found.`);
+    }
+
+    let reachedCutoff = false;
+    for (const node of connection.nodes) {
+      if (!latestUpdate || node.updatedAt > latestUpdate) {
+        latestUpdate = node.updatedAt;
+      }
+
+      // Ordered by updatedAt, so nothing past this point can be in range
+      if (cutoffTimestamp && new Date(node.updatedAt).getTime() < cutoffTimestamp) {
+        reachedCutoff = true;
+        break;
+      }
+
+      const prDate = new Date(node.mergedAt || node.closedAt || node.updatedAt).getTime();
+      if (prDate < sinceTimestamp || prDate > untilTimestamp) continue;
+
+      const pr = {
+        number: node.number,
+        user: graphqlLogin(node.author),
+        avatar_url: node.author?.avatarUrl,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        merged_at: node.mergedAt,
+        state: node.state === 'OPEN' ? 'open' : 'closed',
+        title: node.title,
+        url: node.url,
+      };
+      if (node.mergedAt) {
+        pr.additions = node.additions || 0;
+        pr.deletions = node.deletions || 0;
+        pr.commits = node.commits?.totalCount || 0;
+        pr.changed_files = node.changedFiles || 0;
+
+        // Per-file stats let generated files be left out of line counts
+        const fileNodes = [...node.files.nodes];
+        let filePage = node.files.pageInfo;
+        while (filePage.hasNextPage) {
+          const more = await graphqlRequest(token, PULL_REQUEST_FILES_QUERY, {
+            owner: org,
+            name: repoName,
+            number: node.number,
+            cursor: filePage.endCursor,
+          }, signal);
+          const fileConnection = more.repository.pullRequest.files;
+          fileNodes.push(...fileConnection.nodes);
+          filePage = fileConnection.pageInfo;
+        }
+        pr.files = fileNodes.map(({ path, additions, deletions }) => ({ path, additions, deletions }));
+      }
+      prs.push(pr);
+
+      const reviewNodes = [...node.reviews.nodes];
+      let reviewPage = node.reviews.pageInfo;
+      // Rare, but a PR can have more than 100 reviews
+      while (reviewPage.hasNextPage) {
+        const more = await graphqlRequest(token, PULL_REQUEST_REVIEWS_QUERY, {
+          owner: org,
+          name: repoName,
+          number: node.number,
+          cursor: reviewPage.endCursor,
+        }, signal);
+        const reviewConnection = more.repository.pullRequest.reviews;
+        reviewNodes.push(...reviewConnection.nodes);
+        reviewPage = reviewConnection.pageInfo;
+      }
+
+      reviewNodes.forEach((review, index) => {
+        // The token owner's own pending review is visible to them but not submitted
+        if (review.author?.login && review.state !== 'PENDING') {
+          const id = review.databaseId ?? `${node.number}-${index}`;
+          reviewRecords.push(toReviewRecord(id, graphqlLogin(review.author), review.submittedAt, pr,
+            review.state, review.comments?.totalCount || 0));
+        }
+      });
+    }
+
+    if (reachedCutoff || !connection.pageInfo.hasNextPage) break;
+    cursor = connection.pageInfo.endCursor;
+  }
+
+  return { prs, reviewRecords, latestUpdate };
+}
+
+/**
+ * Fetches pull requests and their reviews in paginated GraphQL batch queries
+ * Returns the same shapes as fetchPullRequests and fetchReviews, without the per-PR REST calls
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string|null} sinceDate - ISO date string to filter PRs (only fetch PRs updated after this date)
+ * @param {string|null} untilDate - ISO date string to filter PRs (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Object>} { prs, reviews } in fetchPullRequests/fetchReviews format
+ */
+export async function fetchPullRequestsGraphQL(token, org, repoName, sinceDate = null, untilDate = null, signal = null) {
+  const cacheKey = prActivityCacheKey(org, repoName, sinceDate, untilDate);
+  const cachedPRs = await cache.getRecords('pullRequests', cacheKey);
+  const cachedReviews = cachedPRs && await cache.getRecords('reviews', `${cacheKey}_reviews`);
+  if (cachedPRs && cachedReviews) {
+    return { prs: cachedPRs, reviews: buildReviewMap(cachedReviews) };
+  }
+
+  const { prs, reviewRecords, latestUpdate } = await fetchPullRequestPagesGraphQL(token, org, repoName, sinceDate, untilDate, null, signal);
+
+  const scope = `${org}/${repoName}`;
+  await cache.setRecords('pullRequests', cacheKey, scope, prs);
+  await cache.setRecords('reviews', `${cacheKey}_reviews`, scope, reviewRecords);
+  await cache.set(`${cacheKey}_sync`, { latestUpdate });
+  return { prs, reviews: buildReviewMap(reviewRecords) };
+}
+
+/**
+ * Brings cached PRs and reviews up to date by fetching only PRs updated since the last sync
+ * Updated PRs replace their cached copy, along with all of their reviews.
+ * Falls back to a full fetchPullRequestsGraphQL when nothing has been synced yet.
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string|null} sinceDate - ISO date string to filter PRs
+ * @param {string|null} untilDate - ISO date string to filter PRs (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Object>} { prs, reviews } in fetchPullRequests/fetchReviews format
+ */
+export async function syncPullRequestsGraphQL(token, org, repoName, sinceDate = null, untilDate = null, signal = null) {
+  const cacheKey = prActivityCacheKey(org, repoName, sinceDate, untilDate);
+  const cachedPRs = await cache.getRecords('pullRequests', cacheKey);
+  const cachedReviews = cachedPRs && await cache.getRecords('reviews', `${cacheKey}_reviews`);
+  const syncState = cachedReviews && await cache.get(`${cacheKey}_sync`);
+  if (!syncState) {
+    return fetchPullRequestsGraphQL(token, org, repoName, sinceDate, untilDate, signal);
+  }
+
+  const { prs: changedPRs, reviewRecords: changedReviews, latestUpdate } =
+    await fetchPullRequestPagesGraphQL(token, org, repoName, sinceDate, untilDate, syncState.latestUpdate, signal);
+
+  const changed = new Set(changedPRs.map(pr => pr.number));
+  const prs = [...changedPRs, ...cachedPRs.filter(pr => !changed.has(pr.number))];
+  const reviewRecords = [...changedReviews, ...cachedReviews.filter(review => !changed.has(review.pr_number))];
+
+  const scope = `${org}/${repoName}`;
+  await cache.setRecords('pullRequests', cacheKey, scope, prs);
+  await cache.setRecords('reviews', `${cacheKey}_reviews`, scope, reviewRecords);
+  await cache.set(`${cacheKey}_sync`, { latestUpdate: latestUpdate || syncState.latestUpdate });
+  return { prs, reviews: buildReviewMap(reviewRecords) };
+}
+
+/**
+ * Fetches PRs with stats and their reviews in GraphQL batches,
+ * falling back to the capped REST endpoints if GraphQL is unavailable
+ * @param {string} token - GitHub PAT
+ * @param {string} org - Organization name
+ * @param {string} repoName - Repository name
+ * @param {string|null} sinceDate - ISO date string to filter PRs
+ * @param {string|null} untilDate - ISO date string to filter PRs (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} incremental - Only fetch PRs updated since the last sync (see syncPullRequestsGraphQL)
+ * @returns {Promise<Object>} { prs, reviews } in fetchPullRequests/fetchReviews format
+ */
+export async function fetchPullRequestActivity(token, org, repoName, sinceDate = null, untilDate = null, signal = null, incremental = false) {
+  const getPullRequestsGraphQL = incremental ? syncPullRequestsGraphQL : fetchPullRequestsGraphQL;
+  try {
+    return await getPullRequestsGraphQL(token, org, repoName, sinceDate, untilDate, signal);
+  } catch (graphqlError) {
+    signal?.throwIfAborted();
+    console.warn(`GraphQL fetch failed for ${org}/${repoName}, falling back to REST:`, graphqlError);
+    // REST has no sync path, so a refresh fetches everything again
+    const prs = await fetchPullRequests(token, org, repoName, sinceDate, untilDate, signal, incremental);
+    const reviews = await fetchReviews(token, org, repoName, prs, sinceDate, untilDate, signal, incremental);
+    return { prs, reviews };
+  }
+}
+
+/**
+ * Normalizes a date filter into explicit bounds
+ * @param {number|Object|null} dateFilter - Number of days back from now, { since, until } ISO dates, or null for all time
+ * @returns {Object} { since, until } ISO date strings, either may be null
+ */
+export function resolveDateRange(dateFilter) {
+  if (!dateFilter) {
+    return { since: null, until: null };
+  }
+  if (typeof dateFilter === 'number') {
+    return { since: new Date(Date.now() - dateFilter * 24 * 60 * 60 * 1000).toISOString(), until: null };
+  }
+  return { since: dateFilter.since || null, until: dateFilter.until || null };
+}
+
+/**
+ * Returns the window of the same length immediately before a date filter
+ * @param {number|Object|null} dateFilter - Number of days back from now, { since, until } ISO dates, or null for all time
+ * @returns {Object|null} { since, until } ISO dates, or null when the filter has no start (all time)
+ */
+export function getPreviousRange(dateFilter) {
+  const { since, until } = resolveDateRange(dateFilter);
+  if (!since) return null;
+  const start = new Date(since).getTime();
+  const end = until ? new Date(until).getTime() : Date.now();
+  return {
+    since: new Date(start - 1 - (end - start)).toISOString(),
+    until: new Date(start - 1).toISOString(),
+  };
+}
+
+// Split co-author credit leaves fractions; two decimals are plenty for display
+function roundCredit(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Hours from one ISO date to a later one, never negative
+function hoursBetween(start, end) {
+  return Math.max(0, Math.round((new Date(end) - new Date(start)) / 36000) / 100);
+}
+
+// Per-user review counts by the state a review ended in (see REVIEW_STATES)
+const REVIEW_STATE_FIELDS = {
+  APPROVED: 'reviewsApproved',
+  CHANGES_REQUESTED: 'reviewsChangesRequested',
+  COMMENTED: 'reviewsCommented',
+  DISMISSED: 'reviewsDismissed',
+};
+
+// Series tracked per week in weeklyData
+function emptyWeek() {
+  return {
+    additions: 0,
+    deletions: 0,
+    commits: 0,
+    pullRequests: 0,
+    reviews: 0,
+    issuesOpened: 0,
+    issuesClosed: 0,
+    issueComments: 0,
+  };
+}
+
+/**
+ * Aggregates contributor statistics across multiple repositories
+ * @param {Array<Object>} repoDataArray - Array of { commits, prs, reviews, issues, issueComments, issueCloseEvents }
+ *   for each repo
+ * @param {number|Object|null} dateFilter - Number of days back from now, { since, until } ISO dates, or null for all time
+ * @param {Object} options - Aggregation options
+ * @param {Array<Object>} options.aliases - Parsed alias table (see parseMailmap) merging identities into one row
+ * @param {Object} options.exclusions - Exclusion rules (see getExclusionReason); matching rows get an `excluded` reason
+ * @param {Object} options.lineExclusions - { globs, useGitattributes } paths left out of additions/deletions;
+ *   rows keep the unfiltered counts as rawAdditions/rawDeletions
+ * @param {string} options.coAuthorCredit - 'off', 'full' or 'split' credit for `Co-authored-by` trailers
+ *   (see CO_AUTHOR_CREDIT); co-authors share the commit and the lines of the PR it landed, and the
+ *   credited part is also reported as coAuthoredCommits/coAuthoredAdditions/coAuthoredDeletions
+ * Reviews count once per reviewer and PR, split into reviewsApproved, reviewsChangesRequested,
+ * reviewsCommented and reviewsDismissed by final state, with their inline reviewComments.
+ * Rows also carry pullRequestTimes (hours to first review and to merge of each authored PR) and
+ * reviewTurnarounds (hours from a PR opening to the reviewer's first response), see cycleTime.js.
+ * Issues count as issuesOpened for their author; issue comments and close events count as
+ * issueComments and issuesClosed for whoever commented or closed.
+ * @returns {Array} Aggregated stats sorted by net lines
+ */
+export function aggregateStats(repoDataArray, dateFilter = null, options = {}) {
+  const { aliases = [], exclusions = null, lineExclusions = null, coAuthorCredit = 'off' } = options;
+  const userMap = {};
+  const resolveIdentity = createIdentityResolver(aliases);
+  const emailLogins = coAuthorCredit === 'off' ? null : collectEmailLogins(repoDataArray);
+
+  // Returns the stats entry for an author, creating it on first sight.
+  // Aliases of the same person resolve to the same entry.
+  const getUserStats = (author, avatarUrl = null) => {
+    const identity = resolveIdentity(author);
+    if (!identity) return null;
+    if (!userMap[identity.key]) {
+      userMap[identity.key] = {
+        user: identity.key,
+        name: null,
+        avatarUrl: null,
+        logins: new Set(),
+        additions: 0,
+        deletions: 0,
+        rawAdditions: 0,
+        rawDeletions: 0,
+        commits: 0,
+        coAuthoredCommits: 0,
+        coAuthoredAdditions: 0,
+        coAuthoredDeletions: 0,
+        pullRequests: 0,
+        mergedPullRequests: 0,
+        reviews: 0,
+        reviewsApproved: 0,
+        reviewsChangesRequested: 0,
+        reviewsCommented: 0,
+        reviewsDismissed: 0,
+        reviewComments: 0,
+        issuesOpened: 0,
+        issuesClosed: 0,
+        issueComments: 0,
+        reposContributed: new Set(),
+        weeklyData: {},
+        prsList: [], // PRs created by user
+        reviewsList: [], // PRs reviewed by user
+        issuesList: [], // Issues opened, closed or commented on by user
+        pullRequestTimes: [], // Cycle times of PRs created by user
+        reviewTurnarounds: [], // Response times on PRs reviewed by user
+        commitsList: [], // Commits by user
+      };
+    }
+    const stats = userMap[identity.key];
+    if (author.login) stats.logins.add(author.login);
+    stats.name = stats.name || identity.name;
+    stats.avatarUrl = stats.avatarUrl || avatarUrl;
+    return stats;
+  };
+  
+  // Calculate range bounds (in seconds) if filtering by date
+  const { since, until } = resolveDateRange(dateFilter);
+  const sinceTimestamp = since ? Math.floor(new Date(since).getTime() / 1000) : 0;
+  const untilTimestamp = until ? Math.floor(new Date(until).getTime() / 1000) : Infinity;
+  const inRange = (date) => {
+    const timestamp = Math.floor(new Date(date).getTime() / 1000);
+    return timestamp >= sinceTimestamp && timestamp <= untilTimestamp;
+  };
+
+  // Weekly bucket a date falls in, created on first use
+  const getWeek = (stats, date) => {
+    const weekStart = new Date(date);
+    weekStart.setHours(0, 0, 0, 0);
+    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+    const weekTs = Math.floor(weekStart.getTime() / 1000);
+    if (!stats.weeklyData[weekTs]) {
+      stats.weeklyData[weekTs] = emptyWeek();
+    }
+    return stats.weeklyData[weekTs];
+  };
+
+  // Counts one issue action for an author, listing each issue once per action
+  const addIssueActivity = (author, avatarUrl, field, item, repoName) => {
+    const stats = getUserStats(author, avatarUrl);
+    if (!stats) return;
+
+    stats[field] += 1;
+    stats.reposContributed.add(repoName);
+    getWeek(stats, item.date)[field] += 1;
+
+    // Add issue to list (limit to 20)
+    if (stats.issuesList.length < 20 &&
+        !stats.issuesList.some(i => i.repo === repoName && i.number === item.number && i.action === item.action)) {
+      stats.issuesList.push({ ...item, repo: repoName });
+    }
+  };
+
+  // Stats entries of a commit's trailer co-authors, leaving out the author (and anyone
+  // the aliases fold into them)
+  const getCoAuthorStats = (commit, authorStats) => {
+    if (!emailLogins || !Array.isArray(commit?.co_authors)) return [];
+    const coAuthors = new Set(commit.co_authors.map(coAuthor => getUserStats(resolveCoAuthor(coAuthor, emailLogins))));
+    coAuthors.delete(authorStats);
+    coAuthors.delete(null);
+    return [...coAuthors];
+  };
+
+  repoDataArray.forEach(({ prs, reviews, commits, issues, issueComments, issueCloseEvents, repoName, generatedPaths }) => {
+    const isExcludedPath = createPathMatcher([
+      ...(lineExclusions?.globs || []),
+      ...(lineExclusions?.useGitattributes && Array.isArray(generatedPaths) ? generatedPaths : []),
+    ]);
+
+    // Process commits from the branches in scope
+    if (Array.isArray(commits)) {
+      commits.forEach((commit) => {
+        // Filter by time range
+        if (commit.date && !inRange(commit.date)) return;
         
-        // Track commit in weekly data
-        const commitDate = new Date(commit.date);
-        const weekStart = new Date(commitDate);
-        weekStart.setHours(0, 0, 0, 0);
-        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-        const weekTs = Math.floor(weekStart.getTime() / 1000);
-        
-        if (!userMap[user].weeklyData[weekTs]) {
-          userMap[user].weeklyData[weekTs] = { additions: 0, deletions: 0, commits: 0, pullRequests: 0, reviews: 0 };
+        // Commits without a linked account are keyed by git author email
+        const stats = getUserStats(
+          { login: commit.user, name: commit.author_name, email: commit.author_email },
+          commit.avatar_url
+        );
+        if (!stats) return;
+
+        const coAuthorStats = getCoAuthorStats(commit, stats);
+        const share = creditShare(coAuthorCredit, coAuthorStats.length + 1);
+
+        [stats, ...coAuthorStats].forEach((entry) => {
+          entry.commits += share;
+          if (entry !== stats) {
+            entry.coAuthoredCommits += share;
+          }
+          entry.reposContributed.add(repoName);
+
+          // Add commit to list (limit to 20 most recent)
+          if (entry.commitsList.length < 20) {
+            entry.commitsList.push({
+              sha: commit.sha.slice(0, 7),
+              message: commit.message,
+              url: commit.url,
+              date: commit.date,
+              repo: repoName,
+              branches: commit.branches || [],
+              coAuthored: entry !== stats,
+            });
+          }
+
+          // Track commit in weekly data
+          getWeek(entry, commit.date).commits += share;
+        });
+      });
+    }
+
+    // Commits that landed a PR, whose co-authors share the PR's lines
+    const landingCommits = new Map();
+    if (emailLogins && Array.isArray(commits)) {
+      commits.forEach((commit) => {
+        if (commit.pr_number && !landingCommits.has(commit.pr_number)) {
+          landingCommits.set(commit.pr_number, commit);
         }
-        userMap[user].weeklyData[weekTs].commits += 1;
       });
     }
 
+    // Earliest review of each PR, leaving out bots and ignored accounts
+    const firstReviews = new Map();
+    if (reviews && typeof reviews === 'object') {
+      Object.entries(reviews).forEach(([user, reviewInfo]) => {
+        if (getExclusionReason([user], exclusions)) return;
+        (reviewInfo.reviews || []).forEach(review => {
+          const reviewedAt = review.first_submitted_at || review.submitted_at;
+          const earliest = firstReviews.get(review.pr_number);
+          if (reviewedAt && (!earliest || new Date(reviewedAt) < new Date(earliest))) {
+            firstReviews.set(review.pr_number, reviewedAt);
+          }
+        });
+      });
+    }
+    const prByNumber = new Map((Array.isArray(prs) ? prs : []).map(pr => [pr.number, pr]));
+
     // Process pull requests - now includes additions/deletions from merged PRs
     if (Array.isArray(prs)) {
       prs.forEach((pr) => {
@@ -689,36 +1547,19 @@ export function aggregateStats(repoDataArray, daysFilter = null) {
         
         // Filter PRs by time range using merged_at for merged PRs, created_at otherwise
         const prDate = pr.merged_at || pr.created_at;
-        if (daysFilter && prDate) {
-          const prTimestamp = Math.floor(new Date(prDate).getTime() / 1000);
-          if (prTimestamp < cutoffTimestamp) return;
-        }
+        if (prDate && !inRange(prDate)) return;
         
-        const user = pr.user;
+        const stats = getUserStats({ login: pr.user }, pr.avatar_url);
         
-        if (!userMap[user]) {
-          userMap[user] = {
-            user,
-            avatarUrl: pr.avatar_url,
-            additions: 0,
-            deletions: 0,
-            commits: 0,
-            pullRequests: 0,
-            reviews: 0,
-            reposContributed: new Set(),
-            weeklyData: {},
-            prsList: [],
-            reviewsList: [],
-            commitsList: [],
-          };
+        stats.pullRequests += 1;
+        if (pr.merged_at) {
+          stats.mergedPullRequests += 1;
         }
-        
-        userMap[user].pullRequests += 1;
-        userMap[user].reposContributed.add(repoName);
+        stats.reposContributed.add(repoName);
         
         // Add PR to list (limit to 20 most recent)
-        if (userMap[user].prsList.length < 20) {
-          userMap[user].prsList.push({
+        if (stats.prsList.length < 20) {
+          stats.prsList.push({
             number: pr.number,
             title: pr.title || `PR #${pr.number}`,
             url: pr.url,
@@ -728,104 +1569,120 @@ export function aggregateStats(repoDataArray, daysFilter = null) {
             repo: repoName,
           });
         }
+
+        // Cycle time, from opening to the first review and to merging
+        const firstReviewAt = firstReviews.get(pr.number);
+        stats.pullRequestTimes.push({
+          number: pr.number,
+          title: pr.title || `PR #${pr.number}`,
+          url: pr.url,
+          repo: repoName,
+          created_at: pr.created_at,
+          merged_at: pr.merged_at || null,
+          hoursToFirstReview: firstReviewAt ? hoursBetween(pr.created_at, firstReviewAt) : null,
+          hoursToMerge: pr.merged_at ? hoursBetween(pr.created_at, pr.merged_at) : null,
+        });
         
-        // Add line stats from merged PRs
-        if (pr.merged_at && pr.additions !== undefined) {
-          userMap[user].additions += pr.additions || 0;
-          userMap[user].deletions += pr.deletions || 0;
+        // Add line stats from merged PRs, without excluded files
+        const hasLineStats = pr.merged_at && pr.additions !== undefined;
+        const lines = hasLineStats ? countIncludedLines(pr, isExcludedPath) : null;
+        const coAuthorStats = hasLineStats ? getCoAuthorStats(landingCommits.get(pr.number), stats) : [];
+        const share = creditShare(coAuthorCredit, coAuthorStats.length + 1);
+        if (hasLineStats) {
+          [stats, ...coAuthorStats].forEach((entry) => {
+            entry.additions += lines.additions * share;
+            entry.deletions += lines.deletions * share;
+            entry.rawAdditions += (pr.additions || 0) * share;
+            entry.rawDeletions += (pr.deletions || 0) * share;
+            if (entry !== stats) {
+              entry.coAuthoredAdditions += lines.additions * share;
+              entry.coAuthoredDeletions += lines.deletions * share;
+              entry.reposContributed.add(repoName);
+            }
+          });
         }
 
         // Track PR in weekly data
-        const weekDate = new Date(pr.merged_at || pr.created_at);
-        const weekStart = new Date(weekDate);
-        weekStart.setHours(0, 0, 0, 0);
-        weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-        const weekTs = Math.floor(weekStart.getTime() / 1000);
-        
-        if (!userMap[user].weeklyData[weekTs]) {
-          userMap[user].weeklyData[weekTs] = { additions: 0, deletions: 0, commits: 0, pullRequests: 0, reviews: 0 };
-        }
-        userMap[user].weeklyData[weekTs].pullRequests += 1;
-        
+        const weekDate = pr.merged_at || pr.created_at;
+        getWeek(stats, weekDate).pullRequests += 1;
+
         // Add line stats to weekly data for merged PRs
-        if (pr.merged_at && pr.additions !== undefined) {
-          userMap[user].weeklyData[weekTs].additions += pr.additions || 0;
-          userMap[user].weeklyData[weekTs].deletions += pr.deletions || 0;
+        if (hasLineStats) {
+          [stats, ...coAuthorStats].forEach((entry) => {
+            const week = getWeek(entry, weekDate);
+            week.additions += lines.additions * share;
+            week.deletions += lines.deletions * share;
+          });
         }
       });
     }
 
-    // Process reviews (now with timestamps for filtering)
+    // Process reviews: one per reviewer and PR (see buildReviewMap), split by state
     if (reviews && typeof reviews === 'object') {
       Object.entries(reviews).forEach(([user, reviewInfo]) => {
-        // Handle both old format (just count) and new format (count + submitted_at[] + prs[])
-        const count = typeof reviewInfo === 'number' ? reviewInfo : reviewInfo.count;
-        const submittedDates = typeof reviewInfo === 'object' ? reviewInfo.submitted_at : [];
-        const reviewedPRs = typeof reviewInfo === 'object' ? reviewInfo.prs : [];
-        
-        if (!userMap[user]) {
-          userMap[user] = {
-            user,
-            avatarUrl: null,
-            additions: 0,
-            deletions: 0,
-            commits: 0,
-            pullRequests: 0,
-            reviews: 0,
-            reposContributed: new Set(),
-            weeklyData: {},
-            prsList: [],
-            reviewsList: [],
-            commitsList: [],
-          };
-        }
-        
-        // Add reviewed PRs to list
-        if (Array.isArray(reviewedPRs)) {
-          reviewedPRs.forEach(prInfo => {
-            if (userMap[user].reviewsList.length < 20 && 
-                !userMap[user].reviewsList.find(p => p.number === prInfo.number && p.repo === repoName)) {
-              userMap[user].reviewsList.push({
-                ...prInfo,
-                repo: repoName,
-              });
-            }
-          });
-        }
-        
-        // If we have timestamps, filter and count; otherwise use the count directly
-        if (submittedDates && submittedDates.length > 0) {
-          const cutoffMs = daysFilter ? Date.now() - daysFilter * 24 * 60 * 60 * 1000 : 0;
-          
-          submittedDates.forEach(date => {
-            const dateMs = new Date(date).getTime();
-            // Skip if before cutoff (when filtering)
-            if (daysFilter && dateMs < cutoffMs) return;
-            
-            userMap[user].reviews += 1;
-            
-            // Track reviews in weekly data
-            const reviewDate = new Date(date);
-            const weekStart = new Date(reviewDate);
-            weekStart.setHours(0, 0, 0, 0);
-            weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-            const weekTs = Math.floor(weekStart.getTime() / 1000);
-            
-            if (!userMap[user].weeklyData[weekTs]) {
-              userMap[user].weeklyData[weekTs] = { additions: 0, deletions: 0, commits: 0, pullRequests: 0, reviews: 0 };
-            }
-            userMap[user].weeklyData[weekTs].reviews += 1;
-          });
-        } else {
-          // No timestamps available, just add the count (won't show in graph)
-          userMap[user].reviews += count;
-        }
-        
-        if (userMap[user].reviews > 0) {
-          userMap[user].reposContributed.add(repoName);
-        }
+        const stats = getUserStats({ login: user });
+        if (!stats) return;
+        const prInfoByNumber = new Map((reviewInfo.prs || []).map(prInfo => [prInfo.number, prInfo]));
+
+        (reviewInfo.reviews || []).forEach(review => {
+          // Reviews without a date can't be placed in the range, so they count but aren't graphed
+          if (review.submitted_at && !inRange(review.submitted_at)) return;
+
+          stats.reviews += 1;
+          stats[REVIEW_STATE_FIELDS[review.state] || REVIEW_STATE_FIELDS.COMMENTED] += 1;
+          stats.reviewComments += review.comments || 0;
+          stats.reposContributed.add(repoName);
+          if (review.submitted_at) {
+            getWeek(stats, review.submitted_at).reviews += 1;
+          }
+
+          // Time from the PR opening to this reviewer's first response
+          const pr = prByNumber.get(review.pr_number);
+          const respondedAt = review.first_submitted_at || review.submitted_at;
+          if (pr?.created_at && respondedAt) {
+            stats.reviewTurnarounds.push({
+              number: pr.number,
+              title: pr.title || `PR #${pr.number}`,
+              url: pr.url,
+              repo: repoName,
+              hours: hoursBetween(pr.created_at, respondedAt),
+            });
+          }
+
+          // Add reviewed PR to list (limit to 20)
+          const prInfo = prInfoByNumber.get(review.pr_number);
+          if (prInfo && stats.reviewsList.length < 20 &&
+              !stats.reviewsList.find(p => p.number === prInfo.number && p.repo === repoName)) {
+            stats.reviewsList.push({ ...prInfo, repo: repoName });
+          }
+        });
+      });
+    }
+
+    // Process issues: opened by their author, closed and commented on by anyone
+    if (Array.isArray(issues)) {
+      issues.forEach((issue) => {
+        if (!issue.user || !inRange(issue.created_at)) return;
+        addIssueActivity({ login: issue.user }, issue.avatar_url, 'issuesOpened', {
+          number: issue.number,
+          title: issue.title || `Issue #${issue.number}`,
+          url: issue.url,
+          action: 'opened',
+          date: issue.created_at,
+        }, repoName);
       });
     }
+    [...(issueCloseEvents || []), ...(issueComments || [])].forEach((event) => {
+      if (!event.user || !inRange(event.created_at)) return;
+      const closed = event.type === 'close';
+      addIssueActivity({ login: event.user }, event.avatar_url, closed ? 'issuesClosed' : 'issueComments', {
+        number: event.issue_number,
+        title: event.issue_title || `Issue #${event.issue_number}`,
+        url: event.url,
+        action: closed ? 'closed' : 'commented',
+        date: event.created_at,
+      }, repoName);
+    });
   });
 
   // Convert to array and calculate derived fields
@@ -834,7 +1691,8 @@ export function aggregateStats(repoDataArray, daysFilter = null) {
     .filter((stats) => {
       // Keep users who have any activity
       return stats.additions > 0 || stats.deletions > 0 || stats.commits > 0 || 
-             stats.pullRequests > 0 || stats.reviews > 0;
+             stats.pullRequests > 0 || stats.reviews > 0 ||
+             stats.issuesOpened > 0 || stats.issuesClosed > 0 || stats.issueComments > 0;
     })
     .map((stats) => {
       // Convert weeklyData to sorted array
@@ -845,16 +1703,25 @@ export function aggregateStats(repoDataArray, daysFilter = null) {
         }))
         .sort((a, b) => a.week - b.week);
       
-      // Determine the time range for the graph
-      const maxWeeks = daysFilter ? Math.ceil(daysFilter / 7) : 52;
-      
-      // Get the current week's Sunday at midnight (consistent with how we store weeks)
-      const now = new Date();
-      const endWeekStart = new Date(now);
+      // Get the last week's Sunday at midnight (consistent with how we store weeks),
+      // which is the current week unless the range has an explicit end
+      const endWeekStart = until ? new Date(until) : new Date();
       endWeekStart.setHours(0, 0, 0, 0);
       endWeekStart.setDate(endWeekStart.getDate() - endWeekStart.getDay());
       const endTs = Math.floor(endWeekStart.getTime() / 1000);
       
+      // Determine the time range for the graph
+      let maxWeeks = 52;
+      if (typeof dateFilter === 'number') {
+        maxWeeks = Math.ceil(dateFilter / 7);
+      } else if (since) {
+        const sinceWeekStart = new Date(since);
+        sinceWeekStart.setHours(0, 0, 0, 0);
+        sinceWeekStart.setDate(sinceWeekStart.getDate() - sinceWeekStart.getDay());
+        // Round, since a DST change inside the range shifts local midnights by an hour
+        maxWeeks = Math.round((endTs - sinceWeekStart.getTime() / 1000) / (7 * 24 * 60 * 60)) + 1;
+      }
+      
       // Calculate start timestamp
       const startTs = endTs - ((maxWeeks - 1) * 7 * 24 * 60 * 60);
       
@@ -871,11 +1738,9 @@ export function aggregateStats(repoDataArray, daysFilter = null) {
           weekMap[normalizedTs] = { ...w, week: normalizedTs };
         } else {
           // Merge if there's already data for this week
-          weekMap[normalizedTs].commits += w.commits;
-          weekMap[normalizedTs].pullRequests += w.pullRequests;
-          weekMap[normalizedTs].reviews += w.reviews;
-          weekMap[normalizedTs].additions += w.additions;
-          weekMap[normalizedTs].deletions += w.deletions;
+          Object.keys(emptyWeek()).forEach(series => {
+            weekMap[normalizedTs][series] += w[series];
+          });
         }
       });
       
@@ -886,132 +1751,49 @@ export function aggregateStats(repoDataArray, daysFilter = null) {
         if (weekMap[ts]) {
           filledArray.push(weekMap[ts]);
         } else {
-          filledArray.push({
-            week: ts,
-            additions: 0,
-            deletions: 0,
-            commits: 0,
-            pullRequests: 0,
-            reviews: 0,
-          });
+          filledArray.push({ week: ts, ...emptyWeek() });
         }
       }
       weeklyArray = filledArray;
 
       return {
         user: stats.user,
+        // GitHub account for the profile link; null for identities only known from git
+        login: stats.logins.has(stats.user) ? stats.user : [...stats.logins][0] || null,
+        // Every account merged into this identity, for matching team members
+        logins: [...stats.logins],
+        name: stats.name,
+        // Bots and ignored accounts stay in the data so the UI can list them separately
+        excluded: getExclusionReason([stats.user, stats.name, ...stats.logins], exclusions),
         avatarUrl: stats.avatarUrl,
-        additions: stats.additions,
-        deletions: stats.deletions,
-        net: stats.additions - stats.deletions,
-        commits: stats.commits,
+        additions: roundCredit(stats.additions),
+        deletions: roundCredit(stats.deletions),
+        rawAdditions: roundCredit(stats.rawAdditions),
+        rawDeletions: roundCredit(stats.rawDeletions),
+        net: roundCredit(stats.additions - stats.deletions),
+        commits: roundCredit(stats.commits),
+        coAuthoredCommits: roundCredit(stats.coAuthoredCommits),
+        coAuthoredAdditions: roundCredit(stats.coAuthoredAdditions),
+        coAuthoredDeletions: roundCredit(stats.coAuthoredDeletions),
         pullRequests: stats.pullRequests,
+        mergedPullRequests: stats.mergedPullRequests,
         reviews: stats.reviews,
+        reviewsApproved: stats.reviewsApproved,
+        reviewsChangesRequested: stats.reviewsChangesRequested,
+        reviewsCommented: stats.reviewsCommented,
+        reviewsDismissed: stats.reviewsDismissed,
+        reviewComments: stats.reviewComments,
+        issuesOpened: stats.issuesOpened,
+        issuesClosed: stats.issuesClosed,
+        issueComments: stats.issueComments,
         reposCount: stats.reposContributed.size,
         weeklyData: weeklyArray,
         prsList: stats.prsList.sort((a, b) => new Date(b.date) - new Date(a.date)),
         reviewsList: stats.reviewsList,
+        issuesList: stats.issuesList.sort((a, b) => new Date(b.date) - new Date(a.date)),
+        pullRequestTimes: stats.pullRequestTimes,
+        reviewTurnarounds: stats.reviewTurnarounds,
         commitsList: stats.commitsList.sort((a, b) => new Date(b.date) - new Date(a.date)),
       };
     });
 }
-
-/**
- * Fetches stats for multiple repos with progress callback
- * @param {string} token - GitHub PAT
- * @param {string} org - Organization name
- * @param {Array} repos - Array of repo objects
- * @param {Function} onProgress - Callback with progress (0-100)
- * @param {number|null} daysFilter - Number of days to filter by (null for all time)
- * @param {Function} onDataUpdate - Callback with aggregated data after each repo (for progressive updates)
- * @param {Function} onLog - Callback for logging progress messages
- * @returns {Promise<Array>} Aggregated leaderboard data
- */
-export async function fetchAllStats(token, org, repos, onProgress, daysFilter = null, onDataUpdate = null, onLog = null) {
-  const repoDataArray = [];
-  const total = repos.length;
-  
-  // Calculate since date for API calls
-  const sinceDate = daysFilter
-    ? new Date(Date.now() - daysFilter * 24 * 60 * 60 * 1000).toISOString()
-    : null;
-
-  for (let i = 0; i < repos.length; i++) {
-    const repo = repos[i];
-    const repoName = repo.name;
-    
-    if (onLog) {
-      onLog({ type: 'start', repo: repoName, index: i + 1, total });
-    }
-    
-    try {
-      // Fetch commits from default branch
-      const defaultBranch = repo.default_branch || 'main';
-      const commits = await fetchCommits(token, org, repoName, defaultBranch, sinceDate);
-      
-      // Fetch PRs with stats (additions/deletions for merged PRs)
-      const prs = await fetchPullRequests(token, org, repoName, sinceDate);
-      
-      // Fetch reviews only for PRs within time range
-      const reviews = await fetchReviews(token, org, repoName, prs, sinceDate);
-
-      const hasPRs = Array.isArray(prs) && prs.length > 0;
-      const mergedPRs = prs.filter(pr => pr.merged_at);
-      
-      // Calculate totals from merged PRs for logging
-      let totalAdditions = 0;
-      let totalDeletions = 0;
-      mergedPRs.forEach(pr => {
-        totalAdditions += pr.additions || 0;
-        totalDeletions += pr.deletions || 0;
-      });
-      
-      repoDataArray.push({
-        repoName,
-        commits,
-        prs,
-        reviews,
-      });
-      
-      if (onLog) {
-        onLog({ 
-          type: 'complete', 
-          repo: repoName, 
-          index: i + 1, 
-          total,
-          hasStats: commits.length > 0 || mergedPRs.length > 0,
-          hasPRs,
-          prCount: prs.length,
-          mergedPRCount: mergedPRs.length,
-          totalCommits: commits.length,
-          totalAdditions,
-          totalDeletions,
-        });
-      }
-    } catch (error) {
-      if (onLog) {
-        onLog({ type: 'error', repo: repoName, index: i + 1, total, error: error.message });
-      }
-      repoDataArray.push({
-        repoName,
-        commits: [],
-        prs: [],
-        reviews: {},
-      });
-    }
-
-    const currentProgress = Math.round(((i + 1) / total) * 100);
-    
-    if (onProgress) {
-      onProgress(currentProgress);
-    }
-    
-    // Progressively update the leaderboard after each repo
-    if (onDataUpdate) {
-      const currentAggregated = aggregateStats(repoDataArray, daysFilter);
-      onDataUpdate(currentAggregated, i + 1, total);
-    }
-  }
-
-  return aggregateStats(repoDataArray, daysFilter);
-}
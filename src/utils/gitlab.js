@@ -0,0 +1,589 @@
+// GitLab backend (REST API v4), for gitlab.com or a self-managed instance.
+// Projects, merge requests, issues, approvals and notes are normalized into the records
+// the GitHub fetchers produce (see records.js); merge request iids stand in for PR numbers.
+import { scheduledFetch } from './scheduler';
+import { createScopedCache } from './cache';
+import { resolveForgeHost } from './hosts';
+import { parseGitattributes } from './fileFilters';
+import { parseCommitMessage } from './coauthors';
+import { rangeKeySuffix, inDateRange, toReviewRecord, buildReviewMap, toIssueEventRecord } from './records';
+
+const GITLAB_URL = 'https://gitlab.com';
+const API_PATH = '/api/v4';
+
+// Server every request goes to, gitlab.com unless configured (see setGitLabHost)
+let host = resolveGitLabHost('');
+
+// Cached apart from GitHub data and per server
+const cache = createScopedCache(() => `gitlab:${host.key}`);
+
+/**
+ * Resolves a GitLab server address into its API base
+ * @param {string} baseUrl - Server address, blank for gitlab.com
+ * @returns {Object} { key, apiBase, webBase }
+ * @throws {Error} When the address isn't a valid URL
+ */
+export function resolveGitLabHost(baseUrl) {
+  return resolveForgeHost(baseUrl, GITLAB_URL, API_PATH);
+}
+
+/**
+ * Points all GitLab fetchers at a server
+ * @param {string} baseUrl - Server address, blank for gitlab.com
+ * @throws {Error} When the address isn't a valid URL
+ */
+export function setGitLabHost(baseUrl) {
+  host = resolveGitLabHost(baseUrl);
+}
+
+/**
+ * Creates headers for GitLab API requests
+ * Public projects can be read without a token, so it is optional.
+ * @param {string} token - GitLab personal access token with read_api
+ * @returns {Object} Headers object
+ */
+function getHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Projects are addressed by their URL-encoded `namespace/project` path
+function projectPath(owner, repoName) {
+  return encodeURIComponent(`${owner}/${repoName}`);
+}
+
+// Project fields in the shape of GitHub's repository metadata
+function toRepoMetadata(project) {
+  return {
+    id: `gitlab:${project.id}`,
+    name: project.path,
+    full_name: project.path_with_namespace,
+    description: project.description,
+    updated_at: project.last_activity_at,
+    pushed_at: project.last_activity_at,
+    stargazers_count: project.star_count,
+    fork: Boolean(project.forked_from_project),
+    language: null,
+    default_branch: project.default_branch || 'main',
+    size: 0,
+    provider: 'gitlab',
+  };
+}
+
+/**
+ * Creates the error for a failed request, with the response status attached as `status`
+ * @param {Response} response - Failed response
+ * @param {string} message - Message for anything but authentication failures
+ * @returns {Error}
+ */
+function requestError(response, message) {
+  const error = response.status === 401
+    ? new Error('Invalid GitLab token. Please check your access token.')
+    : new Error(message);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Fetches every page of a list endpoint
+ * @param {string} url - Endpoint URL without paging parameters
+ * @param {Object} headers - Request headers
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {string} message - Error message for a failed page (see requestError)
+ * @param {number} maxPages - Maximum number of pages to fetch
+ * @returns {Promise<Array>} All items
+ */
+async function fetchAllPages(url, headers, signal, message, maxPages = Infinity) {
+  const items = [];
+  const separator = url.includes('?') ? '&' : '?';
+  let page = 1;
+
+  while (page <= maxPages) {
+    const response = await scheduledFetch(`${url}${separator}per_page=100&page=${page}`, { headers, signal });
+    if (!response.ok) {
+      throw requestError(response, `${message}: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    items.push(...data);
+    if (data.length < 100) break;
+    page++;
+  }
+
+  return items;
+}
+
+/**
+ * Waits for a request, resolving to null when the resource doesn't exist
+ * @param {Promise} request - Request that rejects with a `status`
+ * @returns {Promise<any|null>}
+ */
+async function unlessNotFound(request) {
+  try {
+    return await request;
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    return null;
+  }
+}
+
+/**
+ * Fetches a single project
+ * @param {string} token - GitLab access token
+ * @param {string} fullName - `namespace/project`
+ * @param {AbortSignal|null} signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} Repository object
+ */
+export async function fetchRepo(token, fullName, signal = null) {
+  const cacheKey = `repo_${fullName}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await scheduledFetch(`${host.apiBase}/projects/${encodeURIComponent(fullName)}`, {
+    headers: getHeaders(token),
+    signal,
+  });
+  if (!response.ok) {
+    throw requestError(response, response.status === 404
+      ? `GitLab project "${fullName}" not found.`
+      : `Failed to fetch project: ${response.status} ${response.statusText}`);
+  }
+
+  const repo = toRepoMetadata(await response.json());
+  await cache.set(cacheKey, repo);
+  return repo;
+}
+
+/**
+ * Fetches the projects of a group (subgroups included) or user
+ * @param {string} token - GitLab access token
+ * @param {string} owner - Group path (e.g. `group/subgroup`) or username
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Array>} Array of repository objects
+ */
+export async function fetchRepos(token, owner, signal = null) {
+  const cacheKey = `repos_${owner}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const headers = getHeaders(token);
+  const encoded = encodeURIComponent(owner);
+  const message = 'Failed to fetch projects';
+
+  let projects = await unlessNotFound(fetchAllPages(
+    `${host.apiBase}/groups/${encoded}/projects?include_subgroups=true&archived=false&order_by=last_activity_at`,
+    headers, signal, message
+  ));
+  // Usernames can't contain a slash, so only top-level names are tried as users
+  if (!projects && !owner.includes('/')) {
+    projects = await unlessNotFound(fetchAllPages(
+      `${host.apiBase}/users/${encoded}/projects?archived=false&order_by=last_activity_at`,
+      headers, signal, message
+    ));
+  }
+  if (!projects) {
+    const error = new Error(`GitLab group or user "${owner}" not found.`);
+    error.status = 404;
+    throw error;
+  }
+
+  const repos = projects.map(toRepoMetadata);
+  await cache.set(cacheKey, repos);
+  return repos;
+}
+
+/**
+ * Fetches the projects an owner field entry names
+ * Groups nest, so `a/b` may be a subgroup or a project; groups are tried first.
+ * @param {string} token - GitLab access token
+ * @param {string} path - Group, username or project path
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @returns {Promise<Array>} Array of repository objects
+ */
+export async function fetchSource(token, path, signal = null) {
+  if (!path.includes('/')) {
+    return fetchRepos(token, path, signal);
+  }
+  const repos = await unlessNotFound(fetchRepos(token, path, signal));
+  return repos || [await fetchRepo(token, path, signal)];
+}
+
+/**
+ * Fetches the names of a project's branches
+ * @param {string} token - GitLab access token
+ * @param {string} owner - Namespace path
+ * @param {string} repoName - Project path
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array<string>>} Branch names
+ */
+export async function fetchBranches(token, owner, repoName, signal = null, refresh = false) {
+  const cacheKey = `branches_v1_${owner}_${repoName}`;
+  const cached = refresh ? null : await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const branches = await fetchAllPages(
+    `${host.apiBase}/projects/${projectPath(owner, repoName)}/repository/branches`,
+    getHeaders(token), signal, 'Failed to fetch branches'
+  );
+
+  const names = branches.map(branch => branch.name);
+  await cache.set(cacheKey, names);
+  return names;
+}
+
+/**
+ * Fetches commits from a branch of a project
+ * GitLab doesn't link commits to accounts, so they carry only the git author
+ * and are attributed through identity.js.
+ * @param {string} token - GitLab access token
+ * @param {string} owner - Namespace path
+ * @param {string} repoName - Project path
+ * @param {string} defaultBranch - Branch name
+ * @param {string|null} sinceDate - ISO date string to filter commits
+ * @param {string|null} untilDate - ISO date string to filter commits (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Array of commit objects with URLs
+ */
+export async function fetchCommits(token, owner, repoName, defaultBranch, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `commits_v3_${owner}_${repoName}_${defaultBranch}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('commits', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let url = `${host.apiBase}/projects/${projectPath(owner, repoName)}/repository/commits?ref_name=${encodeURIComponent(defaultBranch)}`;
+  if (sinceDate) {
+    url += `&since=${sinceDate}`;
+  }
+  if (untilDate) {
+    url += `&until=${untilDate}`;
+  }
+
+  // Empty projects have no branch and answer 404
+  const data = await unlessNotFound(
+    fetchAllPages(url, getHeaders(token), signal, 'Failed to fetch commits')
+  ) || [];
+
+  const commits = data.map(commit => ({
+    sha: commit.id,
+    user: null,
+    avatar_url: null,
+    author_name: commit.author_name || null,
+    author_email: commit.author_email || null,
+    ...parseCommitMessage(commit.message || commit.title),
+    date: commit.authored_date || commit.committed_date,
+    url: commit.web_url,
+  }));
+
+  await cache.setRecords('commits', cacheKey, `${owner}/${repoName}`, commits);
+  return commits;
+}
+
+/**
+ * Counts added and removed lines in a diff
+ * GitLab diffs start at the first hunk, without the ---/+++ file headers.
+ * @param {string} diff - Unified diff body
+ * @returns {Object} { additions, deletions }
+ */
+function countDiffLines(diff) {
+  let additions = 0;
+  let deletions = 0;
+  (diff || '').split('\n').forEach(line => {
+    if (line.startsWith('+')) additions++;
+    else if (line.startsWith('-')) deletions++;
+  });
+  return { additions, deletions };
+}
+
+/**
+ * Fetches the files a merge request changes with their line counts
+ * Diffs GitLab collapses for size count as zero lines.
+ * @param {string} token - GitLab access token
+ * @param {string} owner - Namespace path
+ * @param {string} repoName - Project path
+ * @param {number} iid - Merge request iid
+ * @param {AbortSignal|null} signal - Optional abort signal
+ * @returns {Promise<Array>} Files as { path, additions, deletions }
+ */
+async function fetchMergeRequestFiles(token, owner, repoName, iid, signal = null) {
+  const headers = getHeaders(token);
+  const url = `${host.apiBase}/projects/${projectPath(owner, repoName)}/merge_requests/${iid}`;
+  const message = 'Failed to fetch merge request changes';
+
+  let diffs = await unlessNotFound(fetchAllPages(`${url}/diffs`, headers, signal, message, 30));
+  if (!diffs) {
+    // /diffs arrived in GitLab 15.7; older servers only have /changes
+    const response = await scheduledFetch(`${url}/changes`, { headers, signal });
+    if (!response.ok) {
+      throw requestError(response, `${message}: ${response.status} ${response.statusText}`);
+    }
+    diffs = (await response.json()).changes || [];
+  }
+
+  return diffs.map(diff => ({ path: diff.new_path || diff.old_path, ...countDiffLines(diff.diff) }));
+}
+
+/**
+ * Fetches merge requests with stats for a project
+ * Merged and closed merge requests both get GitHub's `closed` state.
+ * @param {string} token - GitLab access token
+ * @param {string} owner - Namespace path
+ * @param {string} repoName - Project path
+ * @param {string|null} sinceDate - ISO date string to filter merge requests
+ * @param {string|null} untilDate - ISO date string to filter merge requests (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Array of PR objects with stats
+ */
+export async function fetchPullRequests(token, owner, repoName, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `mrs_v3_${owner}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('pullRequests', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let url = `${host.apiBase}/projects/${projectPath(owner, repoName)}/merge_requests?state=all&order_by=updated_at&sort=desc`;
+  if (sinceDate) {
+    url += `&updated_after=${sinceDate}`;
+  }
+  const mergeRequests = await fetchAllPages(url, getHeaders(token), signal, 'Failed to fetch merge requests');
+
+  // Merge requests merged before GitLab recorded merged_at only have their update time
+  const mergedAt = mr => mr.merged_at || (mr.state === 'merged' ? mr.updated_at : null);
+  const inRange = inDateRange(sinceDate, untilDate);
+  const prs = mergeRequests
+    .filter(mr => inRange(mergedAt(mr) || mr.closed_at || mr.updated_at))
+    .map(mr => ({
+      number: mr.iid,
+      user: mr.author?.username,
+      avatar_url: mr.author?.avatar_url,
+      created_at: mr.created_at,
+      updated_at: mr.updated_at,
+      merged_at: mergedAt(mr),
+      state: mr.state === 'opened' ? 'open' : 'closed',
+      title: mr.title,
+      url: mr.web_url,
+    }));
+
+  // Files of every merged merge request in the range, for line counts
+  for (const pr of prs.filter(pr => pr.merged_at)) {
+    pr.files = await fetchMergeRequestFiles(token, owner, repoName, pr.number, signal);
+    pr.additions = pr.files.reduce((sum, file) => sum + file.additions, 0);
+    pr.deletions = pr.files.reduce((sum, file) => sum + file.deletions, 0);
+    pr.changed_files = pr.files.length;
+  }
+
+  await cache.setRecords('pullRequests', cacheKey, `${owner}/${repoName}`, prs);
+  return prs;
+}
+
+/**
+ * Fetches reviews for merge requests: approvals and comments by anyone but the author
+ * Approvals become APPROVED reviews and each commenter one COMMENTED review at their first
+ * comment, counting their diff comments as inline comments; GitLab has no change requests.
+ * @param {string} token - GitLab access token
+ * @param {string} owner - Namespace path
+ * @param {string} repoName - Project path
+ * @param {Array} pullRequests - Array of PR objects (already filtered by date)
+ * @param {string|null} sinceDate - ISO date string (used for cache key)
+ * @param {string|null} untilDate - ISO date string (used for cache key)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Object>} Map of user -> { count, reviews[], prs[] } (see buildReviewMap)
+ */
+export async function fetchReviews(token, owner, repoName, pullRequests, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `reviews_v3_${owner}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('reviews', cacheKey);
+  if (cached) {
+    return buildReviewMap(cached);
+  }
+
+  const headers = getHeaders(token);
+  const reviewRecords = [];
+
+  // Every merge request in the range; they are already filtered by date
+  for (const pr of pullRequests) {
+    const url = `${host.apiBase}/projects/${projectPath(owner, repoName)}/merge_requests/${pr.number}`;
+
+    const response = await scheduledFetch(`${url}/approvals`, { headers, signal });
+    // Servers without approvals answer 404; that just means no approvals
+    if (!response.ok && response.status !== 404) {
+      throw requestError(response, `Failed to fetch approvals for MR !${pr.number}: ${response.status} ${response.statusText}`);
+    }
+    const approvals = response.ok ? await response.json() : {};
+    (approvals.approved_by || []).forEach(({ user, approved_at: approvedAt }) => {
+      if (!user?.username) return;
+      reviewRecords.push(toReviewRecord(
+        `approval-${pr.number}-${user.username}`,
+        user.username,
+        approvedAt || pr.merged_at || pr.updated_at,
+        pr,
+        'APPROVED'
+      ));
+    });
+
+    const notes = await fetchAllPages(`${url}/notes?sort=asc&order_by=created_at`, headers, signal,
+      `Failed to fetch notes for MR !${pr.number}`);
+    const commenters = new Map();
+    notes.forEach(note => {
+      // System notes record events such as pushes and label changes
+      const username = note.author?.username;
+      if (note.system || !username) return;
+      if (!commenters.has(username)) {
+        commenters.set(username, { note, inline: 0 });
+      }
+      if (note.type === 'DiffNote') {
+        commenters.get(username).inline += 1;
+      }
+    });
+    commenters.forEach(({ note, inline }, username) => {
+      reviewRecords.push(toReviewRecord(`note-${note.id}`, username, note.created_at, pr, 'COMMENTED', inline));
+    });
+  }
+
+  await cache.setRecords('reviews', cacheKey, `${owner}/${repoName}`, reviewRecords);
+  return buildReviewMap(reviewRecords);
+}
+
+/**
+ * Fetches the issues of a project updated in a date range
+ * GitLab's issue list names who closed each issue, which fetchIssueCloseEvents reads.
+ * @param {string} token - GitLab access token
+ * @param {string} owner - Namespace path
+ * @param {string} repoName - Project path
+ * @param {string|null} sinceDate - ISO date string (only fetch issues updated after this date)
+ * @param {string|null} untilDate - ISO date string (used for cache key)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Array of issue objects
+ */
+export async function fetchIssues(token, owner, repoName, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `issues_v2_${owner}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('issues', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let url = `${host.apiBase}/projects/${projectPath(owner, repoName)}/issues?scope=all&order_by=updated_at&sort=desc`;
+  if (sinceDate) {
+    url += `&updated_after=${sinceDate}`;
+  }
+  const data = await fetchAllPages(url, getHeaders(token), signal, 'Failed to fetch issues');
+
+  const issues = data.map(issue => ({
+    number: issue.iid,
+    user: issue.author?.username,
+    avatar_url: issue.author?.avatar_url,
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    closed_at: issue.closed_at,
+    state: issue.state === 'opened' ? 'open' : 'closed',
+    title: issue.title,
+    url: issue.web_url,
+    closed_by: issue.closed_by ? { login: issue.closed_by.username, avatar_url: issue.closed_by.avatar_url } : null,
+  }));
+
+  await cache.setRecords('issues', cacheKey, `${owner}/${repoName}`, issues);
+  return issues;
+}
+
+/**
+ * Fetches the comments made on issues in a date range, leaving out system notes
+ * @param {string} token - GitLab access token
+ * @param {string} owner - Namespace path
+ * @param {string} repoName - Project path
+ * @param {Array} issues - Issue objects from fetchIssues
+ * @param {string|null} sinceDate - ISO date string to filter comments
+ * @param {string|null} untilDate - ISO date string to filter comments (null for up to now)
+ * @param {AbortSignal|null} signal - Optional signal to cancel the requests
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array>} Issue event records of type 'comment'
+ */
+export async function fetchIssueComments(token, owner, repoName, issues, sinceDate = null, untilDate = null, signal = null, refresh = false) {
+  const cacheKey = `issue_comments_v2_${owner}_${repoName}${rangeKeySuffix(sinceDate, untilDate)}`;
+  const cached = refresh ? null : await cache.getRecords('issueEvents', cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const headers = getHeaders(token);
+  const inRange = inDateRange(sinceDate, untilDate);
+  const comments = [];
+
+  // Notes are listed per issue, so check every issue already filtered by date
+  for (const issue of issues) {
+    const notes = await fetchAllPages(
+      `${host.apiBase}/projects/${projectPath(owner, repoName)}/issues/${issue.number}/notes?sort=asc&order_by=created_at`,
+      headers, signal, `Failed to fetch notes for issue #${issue.number}`
+    );
+    notes
+      .filter(note => !note.system && note.author?.username && inRange(note.created_at))
+      .forEach(note => {
+        comments.push(toIssueEventRecord('comment', note.id, note.author.username, note.author.avatar_url,
+          note.created_at, issue, `${issue.url}#note_${note.id}`));
+      });
+  }
+
+  await cache.setRecords('issueEvents', cacheKey, `${owner}/${repoName}`, comments);
+  return comments;
+}
+
+/**
+ * Lists who closed issues in a date range, from the closers fetchIssues recorded
+ * @param {string} token - GitLab access token (unused; no requests needed)
+ * @param {string} owner - Namespace path (unused)
+ * @param {string} repoName - Project path (unused)
+ * @param {Array} issues - Issue objects from fetchIssues
+ * @param {string|null} sinceDate - ISO date string to filter closes
+ * @param {string|null} untilDate - ISO date string to filter closes (null for up to now)
+ * @param {AbortSignal|null} signal - Optional abort signal
+ * @returns {Promise<Array>} Issue event records of type 'close'
+ */
+export async function fetchIssueCloseEvents(token, owner, repoName, issues, sinceDate = null, untilDate = null, signal = null) {
+  signal?.throwIfAborted();
+  const inRange = inDateRange(sinceDate, untilDate);
+  return issues
+    .filter(issue => issue.closed_by?.login && issue.closed_at && inRange(issue.closed_at))
+    .map(issue => toIssueEventRecord('close', issue.number, issue.closed_by.login, issue.closed_by.avatar_url,
+      issue.closed_at, issue, issue.url));
+}
+
+/**
+ * Fetches the paths a project's .gitattributes marks as linguist-generated or linguist-vendored
+ * @param {string} token - GitLab access token
+ * @param {string} owner - Namespace path
+ * @param {string} repoName - Project path
+ * @param {string} defaultBranch - Branch to read .gitattributes from
+ * @param {AbortSignal|null} signal - Optional abort signal
+ * @param {boolean} refresh - Ignore cached data and fetch again, for refreshes without a sync path
+ * @returns {Promise<Array<string>>} Globs, empty when the project has no .gitattributes
+ */
+export async function fetchGeneratedPaths(token, owner, repoName, defaultBranch, signal = null, refresh = false) {
+  const cacheKey = `gitattributes_v1_${owner}_${repoName}_${defaultBranch}`;
+  const cached = refresh ? null : await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await scheduledFetch(
+    `${host.apiBase}/projects/${projectPath(owner, repoName)}/repository/files/.gitattributes/raw?ref=${encodeURIComponent(defaultBranch)}`,
+    { headers: getHeaders(token), signal }
+  );
+
+  let paths = [];
+  if (response.ok) {
+    paths = parseGitattributes(await response.text());
+  } else if (response.status !== 404) {
+    throw new Error(`Failed to fetch .gitattributes: ${response.status} ${response.statusText}`);
+  }
+
+  await cache.set(cacheKey, paths);
+  return paths;
+}
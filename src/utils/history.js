@@ -0,0 +1,291 @@
+// Leaderboard history: every completed run is kept as a timestamped snapshot,
+// grouped by a hash of the configuration that produced it (org, repos, range and
+// identity/exclusion settings), so trends only compare like with like.
+// Snapshots live in their own IndexedDB database so clearing the API cache keeps them.
+import { promisifyRequest, transactionDone } from './cache';
+import { computeScore } from './scoring';
+import { summarizeRowCycleTimes } from './cycleTime';
+
+const DB_NAME = 'github_leaderboard_history';
+const DB_VERSION = 1;
+const STORAGE_KEY = 'github_leaderboard_history';
+const MAX_SNAPSHOTS_PER_CONFIG = 200;
+// Version 2 added the review breakdown, issue and cycle time metrics
+const SNAPSHOT_VERSION = 2;
+
+// Metrics kept per contributor; lists and weekly data are left out to keep snapshots small.
+// Cycle times are kept as medians and p90s (see summarizeRowCycleTimes).
+const SNAPSHOT_FIELDS = [
+  'user',
+  'login',
+  'name',
+  'avatarUrl',
+  'commits',
+  'pullRequests',
+  'mergedPullRequests',
+  'reviews',
+  'reviewsApproved',
+  'reviewsChangesRequested',
+  'reviewsCommented',
+  'reviewsDismissed',
+  'reviewComments',
+  'issuesOpened',
+  'issuesClosed',
+  'issueComments',
+  'additions',
+  'deletions',
+  'net',
+  'reposCount',
+  'medianHoursToFirstReview',
+  'p90HoursToFirstReview',
+  'medianHoursToMerge',
+  'p90HoursToMerge',
+  'medianReviewTurnaround',
+  'p90ReviewTurnaround',
+];
+
+/**
+ * Brings a snapshot saved by an older version up to SNAPSHOT_VERSION
+ * Metrics that weren't recorded yet are null, so charts leave a gap instead of a zero.
+ * @param {Object} snapshot - Stored snapshot
+ * @returns {Object} Snapshot with every SNAPSHOT_FIELDS field on its rows
+ */
+function migrateSnapshot(snapshot) {
+  if (snapshot.version === SNAPSHOT_VERSION) return snapshot;
+  return {
+    ...snapshot,
+    version: SNAPSHOT_VERSION,
+    rows: snapshot.rows.map(row => ({
+      ...Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, null])),
+      ...row,
+    })),
+  };
+}
+
+// JSON with sorted object keys, so equal configs always serialize the same way
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Normalizes the inputs of a run into a history configuration
+ * Repo order and unused custom dates don't change the configuration. The host is only
+ * recorded for GitHub Enterprise Server, the branch scope only when it goes beyond the
+ * default branch and co-author credit only when it's on, so other configurations hash as before.
+ * @param {Object} fields - { org, repos, timeRange, customStart, customEnd, aliases, exclusions, lineExclusions,
+ *   host, branches, coAuthorCredit }
+ * @returns {Object} Configuration to hash and store with snapshots
+ */
+export function createHistoryConfig(fields) {
+  const custom = fields.timeRange === 'custom';
+  return {
+    org: fields.org.toLowerCase(),
+    repos: [...fields.repos].sort(),
+    timeRange: fields.timeRange,
+    customStart: custom ? fields.customStart || '' : '',
+    customEnd: custom ? fields.customEnd || '' : '',
+    aliases: fields.aliases || '',
+    exclusions: fields.exclusions || null,
+    lineExclusions: fields.lineExclusions || null,
+    ...(fields.host ? { host: fields.host } : {}),
+    ...(fields.branches ? { branches: fields.branches } : {}),
+    ...(fields.coAuthorCredit ? { coAuthorCredit: fields.coAuthorCredit } : {}),
+  };
+}
+
+/**
+ * Hashes a history configuration (32-bit FNV-1a)
+ * @param {Object} config - Configuration from createHistoryConfig
+ * @returns {string} 8 hex digits
+ */
+export function hashConfig(config) {
+  const text = stableStringify(config);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Opens (and creates) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+      store.createIndex('configHash', 'configHash');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates a snapshot store on localStorage
+ * @returns {Object} Store with async list(configHash), put(snapshot), remove(ids), clear(configHash)
+ */
+function createLocalStorageStore() {
+  const read = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(saved) ? saved : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (snapshots) => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshots));
+    } catch (e) {
+      console.warn('Failed to save leaderboard history:', e);
+    }
+  };
+
+  return {
+    list: async (configHash) => read().filter(s => s.configHash === configHash),
+    put: async (snapshot) => {
+      const snapshots = read();
+      const id = snapshots.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+      write([...snapshots, { ...snapshot, id }]);
+      return id;
+    },
+    remove: async (ids) => write(read().filter(s => !ids.includes(s.id))),
+    clear: async (configHash) => write(read().filter(s => s.configHash !== configHash)),
+  };
+}
+
+/**
+ * Creates a snapshot store on IndexedDB, falling back to localStorage
+ * @returns {Object} Store with async list(configHash), put(snapshot), remove(ids), clear(configHash)
+ */
+function createSnapshotStore() {
+  const fallback = createLocalStorageStore();
+  if (typeof indexedDB === 'undefined') return fallback;
+
+  const dbPromise = openDatabase().catch(error => {
+    console.warn('IndexedDB unavailable, keeping leaderboard history in localStorage:', error);
+    return null;
+  });
+
+  const withStore = (method, mode, run) => async (...args) => {
+    const db = await dbPromise;
+    if (!db) return fallback[method](...args);
+    const tx = db.transaction('snapshots', mode);
+    const result = await run(tx.objectStore('snapshots'), ...args);
+    await transactionDone(tx);
+    return result;
+  };
+
+  return {
+    list: withStore('list', 'readonly', (store, configHash) =>
+      promisifyRequest(store.index('configHash').getAll(configHash))
+    ),
+    put: withStore('put', 'readwrite', (store, snapshot) => promisifyRequest(store.add(snapshot))),
+    remove: withStore('remove', 'readwrite', async (store, ids) => {
+      ids.forEach(id => store.delete(id));
+    }),
+    clear: withStore('clear', 'readwrite', async (store, configHash) => {
+      const ids = await promisifyRequest(store.index('configHash').getAllKeys(configHash));
+      ids.forEach(id => store.delete(id));
+    }),
+  };
+}
+
+const store = createSnapshotStore();
+
+/**
+ * Lists the snapshots taken with a configuration
+ * @param {string} configHash - Hash from hashConfig
+ * @returns {Promise<Array<Object>>} Snapshots { id, timestamp, configHash, config, rows }, oldest first
+ */
+export async function listSnapshots(configHash) {
+  const snapshots = await store.list(configHash);
+  return snapshots.map(migrateSnapshot).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Saves a leaderboard as a snapshot
+ * Skipped when nothing changed since the configuration's latest snapshot, so
+ * auto-refreshes don't pile up duplicates. The oldest snapshots are pruned past
+ * MAX_SNAPSHOTS_PER_CONFIG.
+ * @param {Array<Object>} data - Aggregated leaderboard rows
+ * @param {Object} config - Configuration from createHistoryConfig
+ * @returns {Promise<boolean>} Whether a snapshot was written
+ */
+export async function saveSnapshot(data, config) {
+  const configHash = hashConfig(config);
+  const rows = data
+    .filter(row => !row.excluded)
+    .map(row => ({ ...row, ...summarizeRowCycleTimes(row) }))
+    .map(row => Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, row[field] ?? null])));
+
+  try {
+    const existing = await listSnapshots(configHash);
+    const latest = existing[existing.length - 1];
+    if (latest && JSON.stringify(latest.rows) === JSON.stringify(rows)) {
+      return false;
+    }
+    await store.put({ version: SNAPSHOT_VERSION, timestamp: Date.now(), configHash, config, rows });
+
+    const overflow = existing.length + 1 - MAX_SNAPSHOTS_PER_CONFIG;
+    if (overflow > 0) {
+      await store.remove(existing.slice(0, overflow).map(s => s.id));
+    }
+    return true;
+  } catch (e) {
+    console.warn('Failed to save leaderboard snapshot:', e);
+    return false;
+  }
+}
+
+/**
+ * Deletes every snapshot taken with a configuration
+ * @param {string} configHash - Hash from hashConfig
+ * @returns {Promise<void>}
+ */
+export function clearSnapshots(configHash) {
+  return store.clear(configHash);
+}
+
+/**
+ * Builds per-contributor series across snapshots
+ * Ranks use the given Impact weights, so past snapshots are ranked the same way as today's table.
+ * @param {Array<Object>} snapshots - Snapshots, oldest first
+ * @param {Object} weights - Impact score weights (see computeScore)
+ * @returns {Array<Object>} [{ user, login, name, avatarUrl, points }] ordered by latest rank;
+ *   points has one entry per snapshot, null where the contributor was absent
+ */
+export function buildTrends(snapshots, weights) {
+  const contributors = new Map();
+
+  snapshots.forEach((snapshot, index) => {
+    snapshot.rows
+      .map(row => ({ ...row, score: computeScore(row, weights) }))
+      .sort((a, b) => b.score - a.score)
+      .forEach((row, position) => {
+        if (!contributors.has(row.user)) {
+          contributors.set(row.user, { points: new Array(snapshots.length).fill(null) });
+        }
+        const entry = contributors.get(row.user);
+        // The latest snapshot's identity wins
+        Object.assign(entry, { user: row.user, login: row.login, name: row.name, avatarUrl: row.avatarUrl });
+        entry.points[index] = { ...row, rank: position + 1 };
+      });
+  });
+
+  const latestRank = entry => entry.points[snapshots.length - 1]?.rank ?? Infinity;
+  return [...contributors.values()].sort((a, b) => latestRank(a) - latestRank(b));
+}
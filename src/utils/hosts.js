@@ -0,0 +1,94 @@
+// GitHub hosts: github.com by default, or a GitHub Enterprise Server instance.
+// Settings are { apiBase, webBase, serverVersion }; blank fields fall back to
+// github.com or are derived from the API base.
+// Other forges (GitLab, Gitea) are configured by their web address alone.
+
+export const DEFAULT_HOST_SETTINGS = { apiBase: '', webBase: '', serverVersion: '' };
+
+const GITHUB_API = 'https://api.github.com';
+const GITHUB_WEB = 'https://github.com';
+
+// GHES releases that accept the X-GitHub-Api-Version header
+const MIN_VERSIONED_SERVER = [3, 9];
+
+function trimSlashes(url) {
+  return url.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Tells whether a GHES release accepts the X-GitHub-Api-Version header
+ * Unknown versions are treated as too old; without the header every server
+ * answers with its default version, so leaving it out is always safe.
+ * @param {string} version - e.g. "3.12" or "3.12.4"
+ * @returns {boolean}
+ */
+export function supportsApiVersionHeader(version) {
+  const match = /^(\d+)\.(\d+)/.exec(version || '');
+  if (!match) return false;
+  const [major, minor] = [Number(match[1]), Number(match[2])];
+  return major > MIN_VERSIONED_SERVER[0] || (major === MIN_VERSIONED_SERVER[0] && minor >= MIN_VERSIONED_SERVER[1]);
+}
+
+/**
+ * Resolves host settings into the URLs and options requests need
+ * A GHES address without a path gets the standard `/api/v3` suffix.
+ * @param {Object} settings - { apiBase, webBase, serverVersion }
+ * @returns {Object} { key, apiBase, graphqlUrl, webBase, enterprise, versionHeader }
+ * @throws {Error} When the API base isn't a valid http(s) URL
+ */
+export function resolveHost(settings = DEFAULT_HOST_SETTINGS) {
+  let apiBase = trimSlashes(settings.apiBase || '') || GITHUB_API;
+  if (!/^https?:\/\//i.test(apiBase)) {
+    apiBase = `https://${apiBase}`;
+  }
+
+  let url;
+  try {
+    url = new URL(apiBase);
+  } catch {
+    throw new Error(`"${settings.apiBase}" is not a valid API URL.`);
+  }
+
+  const enterprise = url.hostname !== 'api.github.com';
+  if (enterprise && (url.pathname === '/' || url.pathname === '')) {
+    apiBase = `${url.origin}/api/v3`;
+  }
+
+  return {
+    // Host and path, so two servers on one hostname stay apart
+    key: apiBase.replace(/^https?:\/\//i, '').toLowerCase(),
+    apiBase,
+    // GHES serves GraphQL at /api/graphql next to /api/v3
+    graphqlUrl: /\/v3$/.test(apiBase) ? apiBase.replace(/\/v3$/, '/graphql') : `${apiBase}/graphql`,
+    webBase: trimSlashes(settings.webBase || '') || (enterprise ? url.origin : GITHUB_WEB),
+    enterprise,
+    versionHeader: !enterprise || supportsApiVersionHeader(settings.serverVersion),
+  };
+}
+
+/**
+ * Resolves the web address of a GitLab or Gitea server into its API base
+ * @param {string} baseUrl - Server address, blank for the public instance
+ * @param {string} defaultUrl - Public instance, e.g. "https://gitlab.com"
+ * @param {string} apiPath - API path on the server, e.g. "/api/v4"
+ * @returns {Object} { key, apiBase, webBase }
+ * @throws {Error} When the address isn't a valid http(s) URL
+ */
+export function resolveForgeHost(baseUrl, defaultUrl, apiPath) {
+  let webBase = trimSlashes(baseUrl || '') || defaultUrl;
+  if (!/^https?:\/\//i.test(webBase)) {
+    webBase = `https://${webBase}`;
+  }
+
+  try {
+    new URL(webBase);
+  } catch {
+    throw new Error(`"${baseUrl}" is not a valid server URL.`);
+  }
+
+  return {
+    key: webBase.replace(/^https?:\/\//i, '').toLowerCase(),
+    apiBase: `${webBase}${apiPath}`,
+    webBase,
+  };
+}
@@ -0,0 +1,81 @@
+// Author identity resolution.
+// Activity arrives as GitHub logins (PRs, reviews, linked commits) or as git author
+// name/email pairs (commits whose email isn't linked to an account). An alias table in
+// .mailmap syntax maps any of these to one canonical identity:
+//   Proper Name <commit@email>
+//   <proper@email> <commit@email>
+//   Proper Name <proper@email> <commit@email>
+//   Proper Name <proper@email> Commit Name <commit@email>
+// As an extension, `<@login>` in the commit position matches a GitHub account, so
+// `alice <@alice-work>` folds a second account into `alice`.
+// Use the GitHub login as the proper name to merge commits with that user's PRs and reviews.
+
+const MAILMAP_LINE = /^([^<]*)<([^>]*)>\s*(?:([^<]*)<([^>]*)>)?\s*$/;
+
+/**
+ * Parses a .mailmap-style alias table
+ * Blank lines, `#` comments and unparseable lines are ignored.
+ * @param {string} text - Alias table contents
+ * @returns {Array<Object>} Entries of { properName, properEmail, commitName, commitEmail }
+ */
+export function parseMailmap(text) {
+  if (!text) return [];
+  return text
+    .split('\n')
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const match = line.match(MAILMAP_LINE);
+      if (!match) return null;
+      const [, name1, email1, name2, email2] = match;
+      // A single <email> means the name applies to that commit email
+      if (email2 === undefined) {
+        return name1.trim()
+          ? { properName: name1.trim(), properEmail: null, commitName: null, commitEmail: email1.trim().toLowerCase() }
+          : null;
+      }
+      return {
+        properName: name1.trim() || null,
+        properEmail: email1.trim() || null,
+        commitName: name2.trim() || null,
+        commitEmail: email2.trim().toLowerCase(),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Creates a function that resolves an author to its canonical identity
+ * Unmatched authors are keyed by GitHub login, falling back to git email, then git name.
+ * @param {Array<Object>} entries - Parsed alias table (see parseMailmap)
+ * @returns {Function} ({ login, name, email }) => { key, name } or null when there's nothing to key on
+ */
+export function createIdentityResolver(entries = []) {
+  const byLogin = new Map();
+  const byEmail = new Map();
+  const byNameAndEmail = new Map();
+  entries.forEach(entry => {
+    if (entry.commitEmail.startsWith('@')) {
+      byLogin.set(entry.commitEmail.slice(1), entry);
+    } else if (entry.commitName) {
+      byNameAndEmail.set(`${entry.commitName.toLowerCase()}\n${entry.commitEmail}`, entry);
+    } else {
+      byEmail.set(entry.commitEmail, entry);
+    }
+  });
+
+  return ({ login = null, name = null, email = null }) => {
+    const normalizedEmail = email?.toLowerCase() || null;
+    // Like git, an entry naming both the commit name and email wins over an email-only one
+    const entry = (login && byLogin.get(login.toLowerCase()))
+      || (name && normalizedEmail && byNameAndEmail.get(`${name.toLowerCase()}\n${normalizedEmail}`))
+      || (normalizedEmail && byEmail.get(normalizedEmail));
+
+    if (entry) {
+      const key = entry.properName || entry.properEmail?.toLowerCase();
+      if (key) return { key, name: entry.properName || name };
+    }
+    const key = login || normalizedEmail || name;
+    return key ? { key, name: login ? null : name } : null;
+  };
+}
@@ -0,0 +1,64 @@
+// Repository sources: the owner field accepts a list of organizations or users
+// and individual `owner/repo` entries, separated by commas, spaces or new lines.
+// Entries prefixed with another forge (`gitlab:group/subgroup`, `gitea:owner/repo`)
+// are fetched from that forge instead of GitHub.
+
+// Forges that can be named with a `forge:` prefix; `github:` is accepted and dropped
+export const FORGE_PREFIXES = ['gitlab', 'gitea'];
+
+/**
+ * Parses the owner field
+ * Duplicates are dropped case-insensitively, keeping the first spelling.
+ * @param {string} text - e.g. "facebook, torvalds vercel/next.js gitlab:gitlab-org/cli"
+ * @returns {Object} { owners: Array<string>, repos: Array<string>, forges: Array<Object> } where repos
+ *   are GitHub `owner/repo` names and forges are { provider, path } entries for the other forges
+ */
+export function parseOwnerList(text) {
+  const owners = new Map();
+  const repos = new Map();
+  const forges = new Map();
+  (text || '')
+    .split(/[\s,]+/)
+    .map(entry => entry.trim().replace(/^@/, '').replace(/\/+$/, '').replace(/^github:/i, ''))
+    .filter(Boolean)
+    .forEach(entry => {
+      const match = /^([a-z]+):(.+)$/i.exec(entry);
+      const provider = match && FORGE_PREFIXES.includes(match[1].toLowerCase()) ? match[1].toLowerCase() : null;
+      const key = entry.toLowerCase();
+      if (provider) {
+        if (!forges.has(key)) forges.set(key, { provider, path: match[2].replace(/^@/, '') });
+        return;
+      }
+      const target = entry.includes('/') ? repos : owners;
+      if (!target.has(key)) {
+        target.set(key, entry);
+      }
+    });
+  return { owners: [...owners.values()], repos: [...repos.values()], forges: [...forges.values()] };
+}
+
+/**
+ * Gets the owner of a repository
+ * GitLab namespaces nest, so the owner is everything before the last slash.
+ * @param {Object} repo - Repository with full_name
+ * @returns {string} Owner login or namespace path
+ */
+export function getRepoOwner(repo) {
+  return repo.full_name.slice(0, repo.full_name.lastIndexOf('/'));
+}
+
+/**
+ * Adds a display label to each repository
+ * Repos are labelled by name when they share one owner, and by `owner/repo` otherwise
+ * so same-named repos of different owners stay apart. Repos from another forge
+ * then carry its prefix, e.g. `gitlab:group/repo`.
+ * @param {Array<Object>} repos - Repositories with name, full_name and optionally provider
+ * @returns {Array<Object>} Copies with a label field
+ */
+export function labelRepos(repos) {
+  const owners = new Set(repos.map(repo => `${repo.provider || 'github'}:${getRepoOwner(repo).toLowerCase()}`));
+  return repos.map(repo => ({
+    ...repo,
+    label: owners.size > 1 ? `${repo.provider ? `${repo.provider}:` : ''}${repo.full_name}` : repo.name,
+  }));
+}
@@ -0,0 +1,80 @@
+// Shareable links: the leaderboard's inputs mirrored in the URL query string.
+// Links are also read from the hash (#org=...&range=30d). The token is never written,
+// and one arriving in a link is ignored and dropped from the address bar.
+
+// Parameters that change as the user types; updating them replaces the history entry
+const TYPED_PARAMS = ['org', 'q'];
+
+/**
+ * Reads leaderboard state from the current URL
+ * @returns {Object} { org, repos, timeRange, customStart, customEnd, compare, sort, search };
+ *   repos is null when the link doesn't pin a selection
+ */
+export function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  const hash = window.location.hash.replace(/^#\??/, '');
+  new URLSearchParams(hash).forEach((value, key) => {
+    if (!params.has(key)) params.set(key, value);
+  });
+
+  return {
+    org: params.get('org') || '',
+    repos: params.has('repos') ? params.get('repos').split(',').filter(Boolean) : null,
+    timeRange: params.get('range') || null,
+    customStart: params.get('from') || '',
+    customEnd: params.get('to') || '',
+    compare: params.get('compare') === '1',
+    sort: {
+      key: params.get('sort') || 'score',
+      order: params.get('order') === 'asc' ? 'asc' : 'desc',
+    },
+    search: params.get('q') || '',
+  };
+}
+
+/**
+ * Builds a query string for leaderboard state, leaving out defaults
+ * @param {Object} state - Same shape as readUrlState()
+ * @returns {string} Query string including the leading `?`, or '' when everything is default
+ */
+export function buildUrlSearch(state) {
+  const params = new URLSearchParams();
+  if (state.org) params.set('org', state.org);
+  if (state.repos) params.set('repos', state.repos.join(','));
+  if (state.timeRange && state.timeRange !== 'all') params.set('range', state.timeRange);
+  if (state.timeRange === 'custom') {
+    if (state.customStart) params.set('from', state.customStart);
+    if (state.customEnd) params.set('to', state.customEnd);
+  }
+  if (state.compare) params.set('compare', '1');
+  if (state.sort.key !== 'score') params.set('sort', state.sort.key);
+  if (state.sort.order === 'asc') params.set('order', 'asc');
+  if (state.search) params.set('q', state.search);
+
+  const search = params.toString();
+  return search ? `?${search.replace(/%2C/g, ',')}` : '';
+}
+
+/**
+ * Writes leaderboard state into the URL
+ * Discrete changes add a history entry so back/forward step through them;
+ * typing in the org or search box, and the first sync after load, replace the current entry.
+ * @param {Object} state - Same shape as readUrlState()
+ * @param {boolean} replace - Always replace the current entry
+ */
+export function writeUrlState(state, replace = false) {
+  const search = buildUrlSearch(state);
+  if (search === window.location.search && !window.location.hash) return;
+
+  const withoutTyped = query => {
+    const params = new URLSearchParams(query);
+    TYPED_PARAMS.forEach(key => params.delete(key));
+    return params.toString();
+  };
+  const url = `${window.location.pathname}${search}`;
+  if (replace || withoutTyped(search) === withoutTyped(window.location.search)) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
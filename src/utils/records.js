@@ -0,0 +1,147 @@
+// Normalized records every forge produces, so aggregateStats doesn't depend on where
+// data came from:
+//   commit       { sha, user, avatar_url, author_name, author_email, message, co_authors, pr_number, date, url }
+//                (see parseCommitMessage)
+//   pull request { number, user, avatar_url, created_at, updated_at, merged_at, state, title, url }
+//                plus additions, deletions, commits, changed_files and files [{ path, additions, deletions }]
+//                when details were fetched
+//   review       { id, user, submitted_at, state, comments, pr_number, pr_user, pr_title, pr_url }
+//                (see toReviewRecord)
+//   issue        { number, user, avatar_url, created_at, updated_at, closed_at, state, title, url },
+//                plus closed_by where the forge's issue list reports who closed it
+//   issue event  { id, type, user, avatar_url, created_at, issue_number, issue_title, url } for
+//                comments and closes (see toIssueEventRecord)
+
+/**
+ * Builds the cache key suffix for a date range, so different ranges are cached separately
+ * @param {string|null} sinceDate - ISO date string the range starts at
+ * @param {string|null} untilDate - ISO date string the range ends at
+ * @returns {string} Key suffix, empty for all time
+ */
+export function rangeKeySuffix(sinceDate, untilDate) {
+  return (sinceDate ? `_since_${sinceDate.slice(0, 10)}` : '') +
+    (untilDate ? `_until_${untilDate.slice(0, 10)}` : '');
+}
+
+/**
+ * Builds a predicate keeping items whose date falls in a range
+ * @param {string|null} sinceDate - ISO date string the range starts at, null for no start
+ * @param {string|null} untilDate - ISO date string the range ends at, null for up to now
+ * @returns {Function} (date) => boolean
+ */
+export function inDateRange(sinceDate, untilDate) {
+  const sinceTimestamp = sinceDate ? new Date(sinceDate).getTime() : 0;
+  const untilTimestamp = untilDate ? new Date(untilDate).getTime() : Infinity;
+  return date => {
+    const timestamp = new Date(date).getTime();
+    return timestamp >= sinceTimestamp && timestamp <= untilTimestamp;
+  };
+}
+
+// Review states, as GitHub names them; other forges map theirs onto these
+export const REVIEW_STATES = ['APPROVED', 'CHANGES_REQUESTED', 'COMMENTED', 'DISMISSED'];
+
+/**
+ * Creates a flat review record, the unit reviews are cached as
+ * @param {number|string} id - Review id
+ * @param {string} user - Reviewer login
+ * @param {string|null} submittedAt - ISO date the review was submitted
+ * @param {Object} pr - PR object the review belongs to
+ * @param {string} state - One of REVIEW_STATES
+ * @param {number} comments - Inline (diff) comments made with the review
+ * @returns {Object} Review record
+ */
+export function toReviewRecord(id, user, submittedAt, pr, state = 'COMMENTED', comments = 0) {
+  return {
+    id,
+    user,
+    submitted_at: submittedAt,
+    state: REVIEW_STATES.includes(state) ? state : 'COMMENTED',
+    comments,
+    pr_number: pr.number,
+    pr_user: pr.user || null,
+    pr_title: pr.title,
+    pr_url: pr.url,
+  };
+}
+
+/**
+ * Creates a flat issue event record, the unit issue comments and closes are cached as
+ * @param {string} type - 'comment' or 'close'
+ * @param {number|string} id - Comment or event id, unique per type within a repo
+ * @param {string} user - Login of whoever commented or closed the issue
+ * @param {string|null} avatarUrl - Their avatar
+ * @param {string} createdAt - ISO date of the comment or close
+ * @param {Object} issue - { number, title } of the issue; title may be null
+ * @param {string} url - Link to the comment, or to the issue for closes
+ * @returns {Object} Issue event record
+ */
+export function toIssueEventRecord(type, id, user, avatarUrl, createdAt, issue, url) {
+  return {
+    id: `${type}-${id}`,
+    type,
+    user,
+    avatar_url: avatarUrl,
+    created_at: createdAt,
+    issue_number: issue.number,
+    issue_title: issue.title || null,
+    url,
+  };
+}
+
+/**
+ * Builds the user -> { count, reviews[], prs[] } map aggregateStats consumes
+ * A reviewer's submissions on one PR make a single review: it takes the state and date of
+ * the latest approval, change request or dismissal (the latest comment when there is none),
+ * and the inline comments of all of them. Authors reviewing their own PR aren't counted.
+ * @param {Array} records - Review records from toReviewRecord
+ * @returns {Object} Review map, with reviews[] as { submitted_at, first_submitted_at, state, comments, pr_number }
+ */
+export function buildReviewMap(records) {
+  const byReviewerAndPR = new Map();
+  records.forEach(record => {
+    if (record.pr_user && record.user === record.pr_user) return;
+    const key = `${record.user}#${record.pr_number}`;
+    byReviewerAndPR.set(key, [...(byReviewerAndPR.get(key) || []), record]);
+  });
+
+  const reviewData = {};
+  byReviewerAndPR.forEach(submissions => {
+    const byDate = [...submissions].sort((a, b) => new Date(a.submitted_at || 0) - new Date(b.submitted_at || 0));
+    const decisive = byDate.filter(record => record.state && record.state !== 'COMMENTED');
+    const deciding = decisive.length > 0 ? decisive[decisive.length - 1] : byDate[byDate.length - 1];
+    addReview(reviewData, deciding.user, {
+      submitted_at: deciding.submitted_at,
+      // When the reviewer first responded, for review turnaround
+      first_submitted_at: byDate.find(record => record.submitted_at)?.submitted_at || null,
+      state: deciding.state || 'COMMENTED',
+      comments: submissions.reduce((sum, record) => sum + (record.comments || 0), 0),
+      pr_number: deciding.pr_number,
+    }, {
+      number: deciding.pr_number,
+      title: deciding.pr_title,
+      url: deciding.pr_url,
+    });
+  });
+  return reviewData;
+}
+
+/**
+ * Records a single review in a user -> { count, reviews[], prs[] } map
+ * @param {Object} reviewData - Review map being built
+ * @param {string} user - Reviewer login
+ * @param {Object} review - { submitted_at, first_submitted_at, state, comments, pr_number }
+ * @param {Object} pr - PR object the review belongs to
+ */
+function addReview(reviewData, user, review, pr) {
+  if (!reviewData[user]) {
+    reviewData[user] = { count: 0, reviews: [], prs: [] };
+  }
+  reviewData[user].count += 1;
+  reviewData[user].reviews.push(review);
+  // Store PR info for linking
+  const prInfo = { number: pr.number, title: pr.title || `PR #${pr.number}`, url: pr.url, state: review.state };
+  if (!reviewData[user].prs.find(p => p.number === pr.number)) {
+    reviewData[user].prs.push(prInfo);
+  }
+}
@@ -0,0 +1,268 @@
+// Central request scheduler for the forge APIs.
+// Every request goes through scheduledFetch so primary and secondary rate limits
+// are tracked in one place, and requests pause and resume instead of failing.
+// Limits are kept per host, so one server's limit never holds up another's. GitHub's
+// x-ratelimit-* headers are read, and GitLab's RateLimit-* names otherwise; Gitea sends neither.
+// The same gate lets the user pause all requests manually.
+
+const SECONDARY_LIMIT_DEFAULT_WAIT_MS = 60 * 1000; // GitHub asks for at least a minute
+const MAX_SECONDARY_RETRIES = 5;
+
+// Primary limits per host and resource (core, graphql, search...) from response headers
+const limits = {};
+// Per host: { until, reason }, the timestamp (ms) before which no request may be sent
+const pauses = {};
+// Manual pause requested by the user; resumers are the waiting requests
+let userPaused = false;
+let resumers = [];
+const listeners = new Set();
+
+/**
+ * Returns a snapshot of the current rate limit state
+ * When several hosts are paused, the one paused longest is reported.
+ * @returns {Object} { limits: { [host|resource]: { host, resource, limit, remaining, reset } },
+ *   pausedUntil, pauseReason, userPaused }
+ */
+export function getRateLimitState() {
+  const [host, pause] = Object.entries(pauses)
+    .filter(([, { until }]) => until > Date.now())
+    .sort(([, a], [, b]) => b.until - a.until)[0] || [];
+  return {
+    limits: { ...limits },
+    pausedUntil: pause ? pause.until : null,
+    pauseReason: pause ? `${pause.reason} (${host})` : null,
+    userPaused,
+  };
+}
+
+/**
+ * Holds all scheduled requests until resumeRequests() is called
+ * Requests already in flight complete normally.
+ */
+export function pauseRequests() {
+  if (userPaused) return;
+  userPaused = true;
+  notify();
+}
+
+/**
+ * Releases requests held by pauseRequests()
+ */
+export function resumeRequests() {
+  if (!userPaused) return;
+  userPaused = false;
+  resumers.forEach(resume => resume());
+  resumers = [];
+  notify();
+}
+
+/**
+ * Subscribes to rate limit state changes
+ * @param {Function} listener - Called with getRateLimitState() on every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeRateLimit(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify() {
+  const state = getRateLimitState();
+  listeners.forEach(listener => listener(state));
+}
+
+/**
+ * Waits for the given time, rejecting early if the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal|null} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    // Long-lived signals outlast many waits, so each one removes its listener
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Waits until resumeRequests() is called, rejecting early if the signal aborts
+ * @param {AbortSignal|null} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function waitForResume(signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      resumers = resumers.filter(resume => resume !== resumer);
+      reject(signal.reason);
+    };
+    const resumer = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    resumers.push(resumer);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Reads the host a request goes to, which its rate limits belong to
+ * @param {string} url - Request URL
+ * @returns {string} e.g. "api.github.com"
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Pauses the scheduled requests to a host until the given time
+ * @param {string} host - Host whose limit was hit
+ * @param {number} until - Timestamp (ms) to resume at
+ * @param {string} reason - Human-readable reason shown in the UI
+ */
+function pauseUntil(host, until, reason) {
+  if (until <= (pauses[host]?.until || 0)) return;
+  pauses[host] = { until, reason };
+  notify();
+}
+
+/**
+ * Waits until requests to a host are no longer paused by the user or a rate limit
+ * @param {string} host - Host the request goes to
+ * @param {AbortSignal|null} signal - Optional abort signal
+ */
+async function waitWhilePaused(host, signal = null) {
+  while (userPaused || pauses[host]?.until > Date.now()) {
+    signal?.throwIfAborted();
+    if (userPaused) {
+      await waitForResume(signal);
+    } else {
+      await sleep(pauses[host].until - Date.now(), signal);
+    }
+  }
+  signal?.throwIfAborted();
+  if (pauses[host]) {
+    delete pauses[host];
+    notify();
+  }
+}
+
+/**
+ * Reads a rate limit header under GitHub's name, falling back to GitLab's
+ * @param {Response} response - Fetch response
+ * @param {string} name - Header suffix, e.g. 'remaining'
+ * @returns {string|null} Header value
+ */
+function rateLimitHeader(response, name) {
+  return response.headers.get(`x-ratelimit-${name}`) ?? response.headers.get(`ratelimit-${name}`);
+}
+
+/**
+ * Records primary rate limit headers from a response
+ * @param {string} host - Host the response came from
+ * @param {Response} response - Fetch response
+ */
+function trackRateLimit(host, response) {
+  const remaining = rateLimitHeader(response, 'remaining');
+  if (remaining === null) return;
+
+  // GitLab has one budget per host, which counts as core
+  const resource = response.headers.get('x-ratelimit-resource') || 'core';
+  limits[`${host}|${resource}`] = {
+    host,
+    resource,
+    limit: parseInt(rateLimitHeader(response, 'limit')) || null,
+    remaining: parseInt(remaining),
+    reset: parseInt(rateLimitHeader(response, 'reset')) || null,
+  };
+  notify();
+}
+
+/**
+ * Pauses until the primary limit for a resource resets
+ * Used when the API signals exhaustion in the body rather than the status (GraphQL)
+ * @param {string} url - URL of the request that hit the limit
+ * @param {string} resource - Rate limit resource name (e.g. 'core', 'graphql')
+ * @param {AbortSignal|null} signal - Optional abort signal
+ */
+export async function waitForRateLimitReset(url, resource = 'core', signal = null) {
+  const host = hostOf(url);
+  const reset = limits[`${host}|${resource}`]?.reset;
+  const until = reset ? reset * 1000 + 1000 : Date.now() + SECONDARY_LIMIT_DEFAULT_WAIT_MS;
+  pauseUntil(host, until, 'Rate limit exceeded');
+  await waitWhilePaused(host, signal);
+}
+
+/**
+ * Fetch wrapper that honors GitHub's primary and secondary rate limits and GitLab's limits
+ * Pauses the requests to a host while its limit is in effect and retries the request afterwards.
+ * Responses that fail for other reasons are returned as-is for the caller to handle.
+ * Pass `signal` in options to cancel the request, including while it waits.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+export async function scheduledFetch(url, options = {}) {
+  const host = hostOf(url);
+  let secondaryRetries = 0;
+
+  while (true) {
+    await waitWhilePaused(host, options.signal);
+
+    // Proactively wait if we already know the budget is spent
+    const resource = url.endsWith('/graphql') ? 'graphql' : 'core';
+    const known = limits[`${host}|${resource}`];
+    if (known && known.remaining === 0 && known.reset && known.reset * 1000 > Date.now()) {
+      pauseUntil(host, known.reset * 1000 + 1000, 'Rate limit exceeded');
+      continue;
+    }
+
+    const response = await fetch(url, options);
+    trackRateLimit(host, response);
+
+    if (response.status !== 403 && response.status !== 429) {
+      return response;
+    }
+
+    // Secondary rate limit with an explicit wait
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter !== null && secondaryRetries < MAX_SECONDARY_RETRIES) {
+      secondaryRetries++;
+      pauseUntil(host, Date.now() + parseInt(retryAfter) * 1000, 'Secondary rate limit');
+      continue;
+    }
+
+    // Primary rate limit exhausted
+    if (rateLimitHeader(response, 'remaining') === '0') {
+      const reset = parseInt(rateLimitHeader(response, 'reset'));
+      pauseUntil(host, reset ? reset * 1000 + 1000 : Date.now() + SECONDARY_LIMIT_DEFAULT_WAIT_MS, 'Rate limit exceeded');
+      continue;
+    }
+
+    // Secondary rate limit without retry-after: back off exponentially
+    const body = await response.clone().text().catch(() => '');
+    if (/secondary rate limit/i.test(body) && secondaryRetries < MAX_SECONDARY_RETRIES) {
+      const wait = SECONDARY_LIMIT_DEFAULT_WAIT_MS * 2 ** secondaryRetries;
+      secondaryRetries++;
+      pauseUntil(host, Date.now() + wait, 'Secondary rate limit');
+      continue;
+    }
+
+    return response;
+  }
+}
@@ -0,0 +1,75 @@
+// Composite "Impact" score: a weighted sum of per-contributor metrics.
+// Weights are points per unit, so a lines weight of 0.01 means 100 lines = 1 point.
+
+const STORAGE_KEY = 'github_leaderboard_scoring';
+
+export const SCORE_METRICS = [
+  { key: 'commits', label: 'Commits', step: 0.5 },
+  { key: 'mergedPullRequests', label: 'PRs merged', step: 0.5 },
+  { key: 'reviews', label: 'Reviews', step: 0.5 },
+  { key: 'additions', label: 'Additions (per line)', step: 0.001 },
+  { key: 'deletions', label: 'Deletions (per line)', step: 0.001 },
+  { key: 'reposCount', label: 'Repos contributed to', step: 0.5 },
+];
+
+export const BUILT_IN_PRESETS = [
+  {
+    name: 'Balanced',
+    weights: { commits: 1, mergedPullRequests: 5, reviews: 3, additions: 0.01, deletions: 0.01, reposCount: 2 },
+  },
+  {
+    name: 'Shipping',
+    weights: { commits: 1, mergedPullRequests: 8, reviews: 1, additions: 0.005, deletions: 0.005, reposCount: 1 },
+  },
+  {
+    name: 'Reviewing',
+    weights: { commits: 0.5, mergedPullRequests: 3, reviews: 6, additions: 0, deletions: 0, reposCount: 1 },
+  },
+];
+
+export const DEFAULT_WEIGHTS = BUILT_IN_PRESETS[0].weights;
+
+/**
+ * Computes the composite score for a leaderboard row
+ * @param {Object} row - Aggregated contributor row
+ * @param {Object} weights - Points per unit, keyed by SCORE_METRICS key
+ * @returns {number} Score rounded to one decimal
+ */
+export function computeScore(row, weights) {
+  const score = SCORE_METRICS.reduce(
+    (sum, { key }) => sum + (row[key] || 0) * (weights[key] || 0),
+    0
+  );
+  return Math.round(score * 10) / 10;
+}
+
+/**
+ * Loads the active weights and saved presets
+ * @returns {Object} { weights, presets: [{ name, weights }] }
+ */
+export function loadScoringSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved) {
+      return {
+        weights: { ...DEFAULT_WEIGHTS, ...saved.weights },
+        presets: Array.isArray(saved.presets) ? saved.presets : [],
+      };
+    }
+  } catch {
+    // Fall through to the defaults
+  }
+  return { weights: DEFAULT_WEIGHTS, presets: [] };
+}
+
+/**
+ * Persists the active weights and saved presets
+ * @param {Object} settings - { weights, presets }
+ */
+export function saveScoringSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Failed to save scoring settings:', e);
+  }
+}
@@ -0,0 +1,129 @@
+// Teams: named groups of logins whose metrics roll up into a team leaderboard.
+// Teams are written one per line as `Team name: login1, login2`, so teams imported
+// from GitHub can be edited by hand like any manual assignment.
+
+// Metrics summed over a team's members
+const TEAM_METRICS = [
+  'score',
+  'commits',
+  'pullRequests',
+  'mergedPullRequests',
+  'reviews',
+  'issuesOpened',
+  'issuesClosed',
+  'issueComments',
+  'additions',
+  'deletions',
+  'net',
+];
+
+// Metrics also shown per member
+const PER_CAPITA_METRICS = ['score', 'commits', 'mergedPullRequests', 'reviews', 'net'];
+
+/**
+ * Parses team assignments
+ * Lines without a colon, blank lines and `#` comments are ignored; a team listed
+ * twice gets the members of both lines.
+ * @param {string} text - One `Team name: login1, login2` per line
+ * @returns {Array<Object>} [{ name, members }] with logins lowercased, in order of appearance
+ */
+export function parseTeams(text) {
+  const teams = new Map();
+  (text || '').split('\n').forEach(line => {
+    const trimmed = line.replace(/#.*$/, '').trim();
+    const colon = trimmed.indexOf(':');
+    if (colon <= 0) return;
+
+    const name = trimmed.slice(0, colon).trim();
+    const members = trimmed
+      .slice(colon + 1)
+      .split(/[\s,]+/)
+      .map(login => login.replace(/^@/, '').toLowerCase())
+      .filter(Boolean);
+    if (!teams.has(name)) {
+      teams.set(name, new Set());
+    }
+    members.forEach(login => teams.get(name).add(login));
+  });
+  return [...teams].map(([name, members]) => ({ name, members: [...members] }));
+}
+
+/**
+ * Writes teams back in the format parseTeams reads
+ * @param {Array<Object>} teams - [{ name, members }]
+ * @returns {string} Team assignments, one per line
+ */
+export function formatTeams(teams) {
+  return teams.map(team => `${team.name}: ${team.members.join(', ')}`).join('\n');
+}
+
+/**
+ * Adds or replaces teams by name (case-insensitive)
+ * @param {Array<Object>} existing - Current teams
+ * @param {Array<Object>} incoming - Teams to add
+ * @returns {Array<Object>} Merged list
+ */
+export function mergeTeams(existing, incoming) {
+  const names = new Set(incoming.map(team => team.name.toLowerCase()));
+  return [...existing.filter(team => !names.has(team.name.toLowerCase())), ...incoming];
+}
+
+/**
+ * Rolls contributor rows up into team rows
+ * Members are matched by any login of a contributor, so a row merged from several aliases
+ * (see parseMailmap) joins the team that lists any of them; a contributor in several teams counts in each.
+ * Per-capita figures divide by the team's size, so inactive members lower the average.
+ * @param {Array<Object>} rows - Scored leaderboard rows (excluded accounts already removed)
+ * @param {Array<Object>} teams - Teams from parseTeams
+ * @returns {Array<Object>} [{ team, size, members, inactiveMembers, perCapita, weeklyData, ...totals }]
+ */
+export function aggregateTeams(rows, teams) {
+  const rowsByLogin = new Map();
+  rows.forEach(row => {
+    [row.user, row.login, ...(row.logins || [])].filter(Boolean).forEach(login => {
+      rowsByLogin.set(login.toLowerCase(), row);
+    });
+  });
+
+  return teams.map(({ name, members }) => {
+    // A team file listing two aliases of one person still counts them once
+    const memberRows = [...new Set(members.map(login => rowsByLogin.get(login)).filter(Boolean))]
+      .sort((a, b) => (b.score || 0) - (a.score || 0));
+
+    const totals = Object.fromEntries(
+      TEAM_METRICS.map(key => [key, memberRows.reduce((sum, row) => sum + (row[key] || 0), 0)])
+    );
+    totals.score = Math.round(totals.score * 10) / 10;
+
+    const inactiveMembers = members.filter(login => !rowsByLogin.has(login));
+    const size = memberRows.length + inactiveMembers.length;
+    const perCapita = Object.fromEntries(
+      PER_CAPITA_METRICS.map(key => [key, size ? Math.round((totals[key] / size) * 10) / 10 : 0])
+    );
+
+    // Members share the same week buckets, so sum them week by week
+    const weeks = new Map();
+    memberRows.forEach(row => {
+      row.weeklyData.forEach(week => {
+        const sum = weeks.get(week.week) || { week: week.week };
+        Object.entries(week).forEach(([series, value]) => {
+          if (series !== 'week') {
+            sum[series] = (sum[series] || 0) + value;
+          }
+        });
+        weeks.set(week.week, sum);
+      });
+    });
+
+    return {
+      team: name,
+      size,
+      members: memberRows,
+      inactiveMembers,
+      ...totals,
+      perCapita,
+      perCapitaScore: perCapita.score,
+      weeklyData: [...weeks.values()].sort((a, b) => a.week - b.week),
+    };
+  });
+}
@@ -0,0 +1,83 @@
+// Named workspaces: saved leaderboard configurations (org, repo set, range,
+// exclusions and sort), kept in localStorage and shareable as JSON files.
+// Workspaces never contain the token.
+
+const STORAGE_KEY = 'github_leaderboard_workspaces';
+const EXPORT_VERSION = 1;
+
+/**
+ * Loads saved workspaces
+ * @returns {Array<Object>} Workspaces, oldest first
+ */
+export function loadWorkspaces() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persists workspaces
+ * @param {Array<Object>} workspaces - Workspaces to save
+ */
+export function saveWorkspaces(workspaces) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(workspaces));
+  } catch (e) {
+    console.warn('Failed to save workspaces:', e);
+  }
+}
+
+/**
+ * Serializes workspaces for sharing
+ * @param {Array<Object>} workspaces - Workspaces to export
+ * @returns {string} JSON text
+ */
+export function exportWorkspaces(workspaces) {
+  return JSON.stringify({ version: EXPORT_VERSION, workspaces }, null, 2) + '\n';
+}
+
+/**
+ * Parses an exported workspaces file
+ * Accepts the export format or a bare array of workspaces.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Valid workspaces
+ * @throws {Error} When the file isn't a workspaces export
+ */
+export function parseWorkspaceImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Workspace file is not valid JSON.');
+  }
+
+  const list = Array.isArray(data) ? data : data?.workspaces;
+  if (!Array.isArray(list)) {
+    throw new Error('Workspace file has no "workspaces" list.');
+  }
+
+  const workspaces = list.filter(w => typeof w?.name === 'string' && w.name.trim() && typeof w.org === 'string');
+  if (workspaces.length === 0) {
+    throw new Error('Workspace file contains no workspaces with a name and org.');
+  }
+  // Tokens must never travel in a shared file
+  return workspaces.map(workspace => {
+    const copy = { ...workspace };
+    delete copy.token;
+    return copy;
+  });
+}
+
+/**
+ * Adds or replaces workspaces by name
+ * @param {Array<Object>} existing - Current workspaces
+ * @param {Array<Object>} incoming - Workspaces to add
+ * @returns {Array<Object>} Merged list
+ */
+export function mergeWorkspaces(existing, incoming) {
+  const names = new Set(incoming.map(w => w.name));
+  return [...existing.filter(w => !names.has(w.name)), ...incoming];
+}